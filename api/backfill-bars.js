@@ -0,0 +1,61 @@
+import { BarBackfill, countTradingDays } from '../lib/bar-backfill.js';
+import { loadWatchlist } from '../lib/watchlist.js';
+import { verifyWebhookSignature } from '../lib/security.js';
+
+// A single function call can't outlast its timeout; longer ranges go through scripts/backfill-bars.js
+const MAX_TRADING_DAYS = 5;
+
+// POST { symbols?: ['QQQ'], start: '2025-03-03', end?: '2025-03-07', timeframes?: ['5m'], aggregate?: true }
+export default async function handler(req, res) {
+    try {
+        if (req.method !== 'POST') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        if (!verifyWebhookSignature(req)) {
+            return res.status(401).json({ error: 'Unauthorized webhook' });
+        }
+
+        const body = req.body || {};
+        if (!body.start) {
+            return res.status(400).json({ error: 'start is required' });
+        }
+
+        let tradingDays;
+        try {
+            tradingDays = countTradingDays(body.start, body.end);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        if (tradingDays > MAX_TRADING_DAYS) {
+            return res.status(400).json({
+                error: `Range covers ${tradingDays} trading days, the endpoint backfills at most ${MAX_TRADING_DAYS}. Use scripts/backfill-bars.js (npm run backfill) for longer ranges.`
+            });
+        }
+
+        const backfill = new BarBackfill();
+        const symbols = body.symbols?.length
+            ? body.symbols.map(symbol => symbol.toUpperCase())
+            : (await loadWatchlist({ store: backfill.store })).map(entry => entry.symbol);
+
+        const result = await backfill.backfill({
+            symbols,
+            start: body.start,
+            end: body.end,
+            timeframes: body.timeframes,
+            aggregate: body.aggregate !== false
+        });
+
+        res.status(result.success ? 200 : 500).json(result);
+
+    } catch (error) {
+        console.error('Backfill error:', error);
+
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+}
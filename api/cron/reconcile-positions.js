@@ -0,0 +1,31 @@
+import { PositionReconciler } from '../../lib/position-reconciler.js';
+
+export default async function handler(req, res) {
+  console.log('Starting reconcile-positions cron job');
+
+  try {
+    const reconciler = new PositionReconciler();
+    const result = await reconciler.reconcile();
+
+    if (!result.success) {
+      return res.status(500).json(result);
+    }
+
+    console.log('Reconciliation completed:', {
+      trades_checked: result.trades_checked,
+      trades_closed: result.trades_closed,
+      realized_pnl: result.realized_pnl
+    });
+
+    res.status(200).json(result);
+
+  } catch (error) {
+    console.error('Reconciliation cron error:', error);
+
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
@@ -1,63 +1,73 @@
 import { LevelFlagStrategy } from '../lib/level-flag-strategy.js';
-import { AlpacaClient } from '../lib/alpaca-client.js';
+import { TradeManager } from '../lib/trade-manager.js';
 import { SupabaseClient } from '../lib/supabase-client.js';
 import { verifyWebhookSignature } from '../lib/security.js';
+import { ensureMarketCalendar } from '../lib/market-calendar.js';
 
 export default async function handler(req, res) {
+    const db = new SupabaseClient();
+
     try {
         // Verify FastCron webhook signature
         if (!verifyWebhookSignature(req)) {
             return res.status(401).json({ error: 'Unauthorized webhook' });
         }
 
-        const strategy = new LevelFlagStrategy();
-        const alpaca = new AlpacaClient();
-        const db = new SupabaseClient();
+        const strategy = new LevelFlagStrategy({ store: db.store });
 
         // Check if trading is enabled
         if (process.env.TRADING_ENABLED !== 'true') {
             return res.status(200).json({ message: 'Trading disabled' });
         }
 
-        // Check market hours and determine timeframe
+        // Check market hours (holidays and early closes included) and determine timeframe
+        await ensureMarketCalendar();
         const marketSession = strategy.getMarketSession();
         if (!marketSession.isOpen) {
-            return res.status(200).json({ message: 'Market closed' });
+            return res.status(200).json({ message: 'Market closed', market_session: marketSession });
         }
 
+        // Manage open trades before the economic-event pause so exits still happen
+        const tradeManagement = await new TradeManager({ store: db.store }).manageOpenTrades();
+
         // Check for economic events
-        const hasHighImpactEvents = await strategy.checkEconomicEvents();
-        if (hasHighImpactEvents) {
-            await db.logEvent('trading_paused', { reason: 'high_impact_economic_event' });
-            return res.status(200).json({ message: 'Trading paused due to economic events' });
+        const economicEvents = await strategy.checkEconomicEvents();
+        if (economicEvents.hasHighImpactEvents) {
+            await db.logEvent('trading_paused', {
+                reason: 'high_impact_economic_event',
+                events: economicEvents.events.map(event => event.Event)
+            });
+            return res.status(200).json({ message: 'Trading paused due to economic events', trade_management: tradeManagement });
         }
 
-        // Execute main strategy
-        const result = await strategy.execute({
-            symbol: 'QQQ',
-            timeframe: marketSession.timeframe,
+        // Execute main strategy for every watchlist symbol at its session timeframe (market conditions were checked above)
+        const result = await strategy.executeWatchlist({
+            skipMarketCheck: true,
             maxPositions: 3
         });
 
-        // Log execution to database
-        await db.logExecution(result);
+        // Log each symbol's execution to database
+        for (const symbolResult of Object.values(result.results)) {
+            await db.logExecution(symbolResult);
+        }
 
-        res.status(200).json({
-            success: true,
+        res.status(result.success ? 200 : 500).json({
+            success: result.success,
             timestamp: new Date().toISOString(),
-            result: result
+            result: result,
+            trade_management: tradeManagement
         });
 
     } catch (error) {
         console.error('Strategy execution error:', error);
-        
+
         // Log error to database
         await db.logError(error);
-        
+
         res.status(500).json({
             success: false,
             error: error.message,
             timestamp: new Date().toISOString()
         });
     }
-}
\ No newline at end of file
+}
@@ -1,12 +1,14 @@
 import { AlpacaClient } from '../lib/alpaca-client.js';
-import { IndicatorCalculator } from '../lib/indicators.js';
+import { LevelDetector } from '../lib/level-detector.js';
+import { normalizeBar } from '../lib/bar-source.js';
+import { normalizeTimeframe } from '../lib/strategy-helpers.js';
 
 export default async function handler(req, res) {
     try {
         const { symbol = 'QQQ', timeframe = '5Min', limit = 100 } = req.query;
         
         const alpaca = new AlpacaClient();
-        const calculator = new IndicatorCalculator();
+        const detector = new LevelDetector();
 
         // Get market data
         const bars = await alpaca.getBars({
@@ -19,13 +21,15 @@ export default async function handler(req, res) {
             return res.status(404).json({ error: 'No market data available' });
         }
 
-        // Calculate indicators
-        const closes = bars.map(bar => bar.close);
-        const ma200 = calculator.sma(closes, 200);
-        const ma400 = calculator.sma(closes, 400);
-        
-        // Detect support/resistance levels
-        const levels = calculator.detectLevels(bars, { ma200, ma400 });
+        // Calculate indicators from Alpaca's short-key bars
+        const normalized = bars.map(normalizeBar).filter(bar => bar !== null);
+        const { ma200, ma400 } = detector.movingAverages(normalized);
+
+        // Detect support/resistance levels, shaped like detected_levels rows
+        const levels = detector.toLevelRecords(detector.detectLevels(normalized, { ma200, ma400 }), {
+            symbol,
+            timeframe: normalizeTimeframe(timeframe)
+        });
 
         res.status(200).json({
             symbol,
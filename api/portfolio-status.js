@@ -1,15 +1,15 @@
-import { AlpacaClient } from '../lib/alpaca-client.js';
+import { getBroker } from '../lib/broker.js';
 import { SupabaseClient } from '../lib/supabase-client.js';
 
 export default async function handler(req, res) {
     try {
-        const alpaca = new AlpacaClient();
+        const broker = getBroker();
         const db = new SupabaseClient();
 
         // Get account information
-        const account = await alpaca.getAccount();
-        const positions = await alpaca.getPositions();
-        const orders = await alpaca.getOrders({ status: 'open' });
+        const account = await broker.getAccount();
+        const positions = await broker.getPositions();
+        const orders = await broker.getOrders({ status: 'open' });
 
         // Get today's P&L from database
         const todaysPnL = await db.getTodaysPnL();
@@ -6,25 +6,13 @@ export default async function handler(req, res) {
         
         const db = new SupabaseClient();
         
-        let query = db.supabase
-            .from('trades')
-            .select('*')
-            .order('timestamp', { ascending: false })
-            .range(parseInt(offset), parseInt(offset) + parseInt(limit) - 1);
-        
-        if (symbol) {
-            query = query.eq('symbol', symbol);
-        }
-        
-        if (start_date) {
-            query = query.gte('timestamp', start_date);
-        }
-        
-        if (end_date) {
-            query = query.lte('timestamp', end_date);
-        }
-        
-        const { data: trades, error } = await query;
+        const { data: trades, error } = await db.getTrades({
+            symbol,
+            start: start_date,
+            end: end_date,
+            limit: parseInt(limit),
+            offset: parseInt(offset)
+        });
         
         if (error) {
             throw error;
@@ -0,0 +1,103 @@
+// lib/alpaca-broker.js
+// Broker implementation that routes account, order and option chain calls to Alpaca
+
+import { AlpacaClient } from './alpaca-client.js';
+
+const QUOTE_BATCH_SIZE = 100; // Alpaca caps latest-quote requests at 100 symbols
+
+export class AlpacaBroker {
+  /**
+   * @param {AlpacaClient} [client] - Preconfigured client; defaults to one built from ALPACA_* env vars
+   */
+  constructor(client = null) {
+    this.client = client || new AlpacaClient();
+    this.name = 'alpaca';
+  }
+
+  async getAccount() {
+    return this.client.getAccount();
+  }
+
+  async getPositions() {
+    return this.client.getPositions();
+  }
+
+  async getOrders(params = {}) {
+    return this.client.getOrders(params);
+  }
+
+  /**
+   * Single order with bracket legs nested under `legs`
+   */
+  async getOrder(orderId) {
+    return this.client.getOrder(orderId, { nested: true });
+  }
+
+  /**
+   * Submit an order using Alpaca's order payload (qty, side, type, limit_price, order_class, legs...)
+   */
+  async submitOrder(order) {
+    return this.client.submitOrder(order);
+  }
+
+  async cancelOrder(orderId) {
+    return this.client.cancelOrder(orderId);
+  }
+
+  /**
+   * Latest stock quotes keyed by symbol ({ bp, ap, bs, as, t })
+   */
+  async getQuotes(symbols) {
+    return this.client.getQuotes(symbols);
+  }
+
+  /**
+   * Active option contracts for an underlying, enriched with latest bid/ask
+   * @returns {Promise<{contracts: Array}|null>} Contracts in the shape OptionSelector expects
+   */
+  async getOptionChain(symbol) {
+    const data = await this.client.getOptionChain(symbol);
+    const contracts = data?.option_contracts || [];
+
+    if (contracts.length === 0) {
+      console.warn('[ALPACA] No option contracts found for', symbol);
+      return null;
+    }
+
+    const quotes = {};
+    for (let i = 0; i < contracts.length; i += QUOTE_BATCH_SIZE) {
+      const batch = contracts.slice(i, i + QUOTE_BATCH_SIZE).map(c => c.symbol);
+      try {
+        Object.assign(quotes, await this.client.getOptionQuotes(batch));
+      } catch (error) {
+        console.warn('[ALPACA] Failed to fetch option quotes:', error.message);
+      }
+    }
+
+    return {
+      contracts: contracts.map(contract => normalizeContract(contract, quotes[contract.symbol]))
+    };
+  }
+}
+
+/**
+ * Map Alpaca's contract and quote fields onto the chain format used by OptionSelector
+ */
+function normalizeContract(contract, quote) {
+  const bid = quote?.bp ?? null;
+  const ask = quote?.ap ?? null;
+  const closePrice = contract.close_price ? parseFloat(contract.close_price) : null;
+
+  return {
+    ...contract,
+    type: contract.type,
+    strike: parseFloat(contract.strike_price),
+    expiration: contract.expiration_date,
+    bid,
+    ask,
+    last_price: closePrice,
+    mark_price: bid !== null && ask !== null ? (bid + ask) / 2 : closePrice,
+    open_interest: contract.open_interest ? parseInt(contract.open_interest) : 0,
+    quote_time: quote?.t ?? null
+  };
+}
@@ -1,30 +1,17 @@
-import { createClient } from '@supabase/supabase-js';
+import { resolveRepository } from './repository.js';
+import { getDataFeed } from './data-feed.js';
 
 export class AlpacaClient {
-  constructor() {
+  /**
+   * @param {Object} [store] - Repository or raw Supabase client used for stored bars; defaults to the configured repository
+   */
+  constructor(store = null) {
     this.apiKey = process.env.ALPACA_API_KEY;
     this.secretKey = process.env.ALPACA_API_SECRET;
     this.baseUrl = process.env.ALPACA_BASE_URL || 'https://paper-api.alpaca.markets';
     this.dataUrl = 'https://data.alpaca.markets';
-
-    // Initialize Supabase client with service role key for data access
-    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
-    if (!supabaseKey) {
-      throw new Error('Missing Supabase keys: SUPABASE_SERVICE_ROLE_KEY or SUPABASE_ANON_KEY required');
-    }
-
-    this.supabase = createClient(
-      process.env.SUPABASE_URL,
-      supabaseKey,
-      {
-        auth: {
-          autoRefreshToken: false,
-          persistSession: false
-        }
-      }
-    );
-
-    console.log(`AlpacaClient initialized with ${process.env.SUPABASE_SERVICE_ROLE_KEY ? 'service role' : 'anon'} key for database access`);
+    this.dataFeed = getDataFeed();
+    this.store = resolveRepository(store);
   }
 
   async makeRequest(endpoint, options = {}) {
@@ -42,7 +29,13 @@ export class AlpacaClient {
     });
 
     if (!response.ok) {
-      throw new Error(`Alpaca API error: ${response.status} ${response.statusText}`);
+      const body = await response.text().catch(() => '');
+      throw new Error(`Alpaca API error: ${response.status} ${response.statusText}${body ? ` - ${body}` : ''}`);
+    }
+
+    // DELETE endpoints answer 204 with no body
+    if (response.status === 204) {
+      return null;
     }
 
     return response.json();
@@ -84,6 +77,7 @@ export class AlpacaClient {
     const params = {
       symbols: symbols.join(','),
       timeframe,
+      feed: this.dataFeed,
       limit
     };
     if (start) params.start = start;
@@ -93,8 +87,59 @@ export class AlpacaClient {
     return response.bars[symbols[0]] || [];
   }
 
-  async getOptionChain(symbol) {
-    return this.makeRequest(`/v2/options/contracts?underlying_symbol=${symbol}&status=active`);
+  /**
+   * All bars for one symbol in [start, end], following next_page_token
+   */
+  async getAllBars({ symbol, timeframe = '1Min', start, end, feed = this.dataFeed, pageLimit = 10000 }) {
+    const bars = [];
+    let pageToken;
+
+    do {
+      const response = await this.makeDataRequest('/v2/stocks/bars', {
+        symbols: symbol,
+        timeframe,
+        start,
+        end,
+        feed,
+        limit: pageLimit,
+        page_token: pageToken
+      });
+
+      bars.push(...(response.bars?.[symbol] || []));
+      pageToken = response.next_page_token || undefined;
+    } while (pageToken);
+
+    return bars;
+  }
+
+  /**
+   * Trading days in [start, end] (YYYY-MM-DD) with their open/close times (ET)
+   */
+  async getCalendar({ start, end }) {
+    const queryString = new URLSearchParams({ start, end }).toString();
+    return this.makeRequest(`/v2/calendar?${queryString}`);
+  }
+
+  async getOptionChain(symbol, params = {}) {
+    const queryString = new URLSearchParams({
+      underlying_symbols: symbol,
+      status: 'active',
+      limit: 1000,
+      ...params
+    }).toString();
+    return this.makeRequest(`/v2/options/contracts?${queryString}`);
+  }
+
+  async getOptionQuotes(symbols) {
+    const response = await this.makeDataRequest('/v1beta1/options/quotes/latest', {
+      symbols: symbols.join(',')
+    });
+    return response.quotes || {};
+  }
+
+  async getOrder(orderId, params = {}) {
+    const queryString = new URLSearchParams(params).toString();
+    return this.makeRequest(`/v2/orders/${orderId}${queryString ? `?${queryString}` : ''}`);
   }
 
   async submitOrder(orderData) {
@@ -104,9 +149,14 @@ export class AlpacaClient {
     });
   }
 
+  async cancelOrder(orderId) {
+    return this.makeRequest(`/v2/orders/${orderId}`, { method: 'DELETE' });
+  }
+
   async getQuotes(symbols) {
     const response = await this.makeDataRequest('/v2/stocks/quotes/latest', {
-      symbols: symbols.join(',')
+      symbols: symbols.join(','),
+      feed: this.dataFeed
     });
     return response.quotes;
   }
@@ -123,21 +173,10 @@ export class AlpacaClient {
       const tableName = normalizedTimeframe === '1m' ? 'minute_bars' : 'aggregated_bars';
       console.log(`Querying table: ${tableName}`);
 
-      // Build the query
-      let query = this.supabase
-        .from(tableName)
-        .select('*')
-        .eq('symbol', symbol)
-        .order('timestamp', { ascending: false })
-        .limit(limit);
-
-      // Add timeframe filter for aggregated bars
-      if (tableName === 'aggregated_bars') {
-        query = query.eq('timeframe', normalizedTimeframe);
-        console.log(`Added timeframe filter: ${normalizedTimeframe}`);
-      }
-
-      const { data, error } = await query;
+      const queryOptions = { limit, ascending: false };
+      const { data, error } = tableName === 'minute_bars'
+        ? await this.store.getMinuteBars(symbol, queryOptions)
+        : await this.store.getAggregatedBars(symbol, normalizedTimeframe, queryOptions);
 
       if (error) {
         console.error('Database query error:', error);
@@ -207,57 +246,30 @@ export class AlpacaClient {
     try {
       console.log(`=== DEBUG: Checking ${tableName} content ===`);
 
-      // Check total records
-      const { count: totalCount, error: countError } = await this.supabase
-        .from(tableName)
-        .select('*', { count: 'exact', head: true });
+      const sampleOptions = { limit: 500, ascending: false };
+      const { data: sampleData, error: sampleError } = tableName === 'minute_bars'
+        ? await this.store.getMinuteBars(symbol, sampleOptions)
+        : await this.store.getAggregatedBars(symbol, null, sampleOptions);
 
-      if (countError) {
-        console.error('Error counting records:', countError);
-      } else {
-        console.log(`Total records in ${tableName}: ${totalCount}`);
+      if (sampleError) {
+        console.error(`Error reading ${symbol} records:`, sampleError);
+        return;
       }
 
-      // Check records for this symbol
-      let symbolQuery = this.supabase
-        .from(tableName)
-        .select('*', { count: 'exact', head: true })
-        .eq('symbol', symbol);
-
-      const { count: symbolCount, error: symbolError } = await symbolQuery;
-
-      if (symbolError) {
-        console.error(`Error counting ${symbol} records:`, symbolError);
-      } else {
-        console.log(`Records for ${symbol}: ${symbolCount}`);
-      }
+      console.log(`Recent records for ${symbol} (sampled up to 500): ${sampleData?.length || 0}`);
 
       // For aggregated bars, check timeframe breakdown
-      if (tableName === 'aggregated_bars') {
-        const { data: timeframeData, error: tfError } = await this.supabase
-          .from(tableName)
-          .select('timeframe')
-          .eq('symbol', symbol);
-
-        if (!tfError && timeframeData) {
-          const timeframes = [...new Set(timeframeData.map(d => d.timeframe))];
-          console.log(`Available timeframes for ${symbol}:`, timeframes);
-
-          if (timeframe && !timeframes.includes(timeframe)) {
-            console.warn(`Requested timeframe '${timeframe}' not available. Available: ${timeframes.join(', ')}`);
-          }
+      if (tableName === 'aggregated_bars' && sampleData) {
+        const timeframes = [...new Set(sampleData.map(d => d.timeframe))];
+        console.log(`Available timeframes for ${symbol}:`, timeframes);
+
+        if (timeframe && !timeframes.includes(timeframe)) {
+          console.warn(`Requested timeframe '${timeframe}' not available. Available: ${timeframes.join(', ')}`);
         }
       }
 
-      // Get most recent records for debugging
-      const { data: recentData, error: recentError } = await this.supabase
-        .from(tableName)
-        .select('timestamp, symbol, timeframe')
-        .order('timestamp', { ascending: false })
-        .limit(5);
-
-      if (!recentError && recentData) {
-        console.log('Most recent records:', recentData);
+      if (sampleData?.length) {
+        console.log('Most recent records:', sampleData.slice(0, 5).map(({ timestamp, symbol, timeframe }) => ({ timestamp, symbol, timeframe })));
       }
 
       console.log(`=== END DEBUG ===`);
@@ -271,10 +283,7 @@ export class AlpacaClient {
     try {
       console.log('Testing database connection for market data access...');
 
-      const { data, error } = await this.supabase
-        .from('minute_bars')
-        .select('count')
-        .limit(1);
+      const { error } = await this.store.ping('minute_bars');
 
       if (error) {
         console.error('Database connection test failed:', error);
@@ -289,6 +298,7 @@ export class AlpacaClient {
       return { 
         success: true, 
         message: 'Database connection working for market data access',
+        backend: this.store.backend,
         keyType: process.env.SUPABASE_SERVICE_ROLE_KEY ? 'service_role' : 'anon'
       };
     } catch (error) {
@@ -0,0 +1,393 @@
+// lib/backtest-engine.js
+// Replays historical bars through the live detection -> breakout -> sizing -> exit pipeline without network calls
+
+import { FlagDetector } from './flag-detector.js';
+import { LevelDetector } from './level-detector.js';
+import { PatternManager } from './pattern-manager.js';
+import { RiskManager } from './risk-manager.js';
+import { MemoryRepository } from './memory-repository.js';
+import {
+  normalizeTimeframe,
+  convertFlagToPatternState,
+  isDuplicatePattern,
+  calculateStopLoss,
+  calculateTakeProfit
+} from './strategy-helpers.js';
+
+export class BacktestEngine {
+  constructor(options = {}) {
+    this.initialEquity = options.initialEquity ?? 100000;
+    this.lookbackBars = options.lookbackBars ?? 200; // Same window the webhook loads from aggregated_bars
+    this.warmupBars = options.warmupBars ?? 50; // Level detection needs 50 bars in the live path
+    this.levelRefreshBars = options.levelRefreshBars ?? 20; // Re-detect levels every N bars
+    this.minQualityScore = options.minQualityScore ?? 0.7;
+    this.minConfluence = options.minConfluence ?? 1;
+    this.riskPerTrade = options.riskPerTrade ?? 0.01;
+    this.slippagePct = options.slippagePct ?? 0; // Applied against us on entry and exit
+    this.commissionPerTrade = options.commissionPerTrade ?? 0;
+
+    this.flagDetector = new FlagDetector();
+    this.levelDetector = new LevelDetector();
+    this.patternManager = new PatternManager(new MemoryRepository()); // Only checkBreakout is used; nothing is persisted
+    this.riskManager = new RiskManager();
+  }
+
+  /**
+   * Run a backtest over chronological bars for one symbol/timeframe
+   */
+  async run(bars, { symbol, timeframe }) {
+    const normalizedTimeframe = normalizeTimeframe(timeframe);
+    console.log(`[BACKTEST] Replaying ${bars.length} ${normalizedTimeframe} bars for ${symbol}`);
+
+    const state = {
+      realizedPnL: 0,
+      dayStartEquity: this.initialEquity,
+      currentDay: null,
+      activePatterns: [],
+      openPositions: [],
+      levels: [],
+      trades: [],
+      equityCurve: [],
+      patternsDetected: 0,
+      breakoutsFound: 0
+    };
+
+    for (let i = 0; i < bars.length; i++) {
+      const currentBar = bars[i];
+      const window = bars.slice(Math.max(0, i + 1 - this.lookbackBars), i + 1);
+
+      this.rollTradingDay(state, currentBar);
+
+      // Exits are evaluated first so a position never exits on its own entry bar
+      this.processExits(state, currentBar);
+
+      if (i + 1 >= this.warmupBars) {
+        if (state.levels.length === 0 || (i + 1) % this.levelRefreshBars === 0) {
+          state.levels = this.detectLevels(window);
+        }
+
+        this.expirePatterns(state, currentBar);
+        this.detectPatterns(state, window, symbol, normalizedTimeframe);
+        await this.processBreakouts(state, currentBar);
+      }
+
+      state.equityCurve.push({
+        timestamp: currentBar.timestamp,
+        equity: round(this.getEquity(state, currentBar.close)),
+        open_positions: state.openPositions.length
+      });
+    }
+
+    // Flatten anything still open at the final close
+    const lastBar = bars[bars.length - 1];
+    if (lastBar) {
+      for (const position of [...state.openPositions]) {
+        this.closePosition(state, position, lastBar.close, lastBar.timestamp, 'end_of_data');
+      }
+      if (state.equityCurve.length > 0) {
+        state.equityCurve[state.equityCurve.length - 1].equity = round(this.getEquity(state, lastBar.close));
+      }
+    }
+
+    const stats = this.calculateStats(state.trades, state.equityCurve);
+    console.log(`[BACKTEST] Completed: ${stats.totalTrades} trades, win rate ${stats.winRate}%, net P&L ${stats.netPnL}`);
+
+    return {
+      symbol,
+      timeframe: normalizedTimeframe,
+      period: {
+        start: bars[0]?.timestamp || null,
+        end: lastBar?.timestamp || null,
+        bars: bars.length
+      },
+      config: this.getConfig(),
+      activity: {
+        patterns_detected: state.patternsDetected,
+        breakouts_found: state.breakoutsFound
+      },
+      stats,
+      trades: state.trades,
+      equityCurve: state.equityCurve
+    };
+  }
+
+  /**
+   * Detect support/resistance levels from the visible window only (no look-ahead)
+   */
+  detectLevels(window) {
+    return this.levelDetector.detectLevels(window);
+  }
+
+  detectPatterns(state, window, symbol, timeframe) {
+    const flagPattern = this.flagDetector.detectFlag(window, state.levels);
+    if (!flagPattern) return;
+
+    const patternData = convertFlagToPatternState(flagPattern, symbol, timeframe, window);
+
+    // Keep the first sighting of a flag that is re-detected on consecutive bars
+    if (isDuplicatePattern(patternData, state.activePatterns)) return;
+
+    patternData.pattern_id = `${symbol}_${timeframe}_bt_${state.patternsDetected + 1}`;
+    state.activePatterns.push(patternData);
+    state.patternsDetected++;
+  }
+
+  expirePatterns(state, currentBar) {
+    const now = new Date(currentBar.timestamp);
+    state.activePatterns = state.activePatterns.filter(pattern => new Date(pattern.expires_at) > now);
+  }
+
+  async processBreakouts(state, currentBar) {
+    const remainingPatterns = [];
+
+    for (const pattern of state.activePatterns) {
+      const breakout = this.patternManager.checkBreakout(
+        pattern,
+        currentBar.close,
+        currentBar.volume,
+        currentBar
+      );
+
+      if (!(breakout.breakout && breakout.volumeConfirmed && breakout.barConfirmed)) {
+        remainingPatterns.push(pattern);
+        continue;
+      }
+
+      // Pattern is consumed by the breakout whether or not it passes the trade filters
+      state.breakoutsFound++;
+      await this.openPosition(state, pattern, breakout, currentBar);
+    }
+
+    state.activePatterns = remainingPatterns;
+  }
+
+  async openPosition(state, pattern, breakout, currentBar) {
+    if (pattern.quality_score < this.minQualityScore || pattern.confluence_count < this.minConfluence) {
+      return null;
+    }
+
+    const account = this.buildAccount(state, currentBar.close);
+    const riskCheck = await this.riskManager.checkPreTradeRisk({
+      account,
+      positions: state.openPositions,
+      executionState: null
+    });
+
+    if (!riskCheck.canTrade) {
+      return null;
+    }
+
+    const positionSize = this.riskManager.calculatePositionSize({
+      account,
+      pattern,
+      riskPerTrade: this.riskPerTrade
+    });
+
+    if (!positionSize.quantity || positionSize.quantity <= 0) {
+      return null;
+    }
+
+    const side = breakout.direction === 'up' ? 'long' : 'short';
+    const entryPrice = this.applySlippage(currentBar.close, side, 'entry');
+
+    const position = {
+      pattern_id: pattern.pattern_id,
+      pattern_type: pattern.pattern_type,
+      side,
+      quantity: positionSize.quantity,
+      entry_time: currentBar.timestamp,
+      entry_price: entryPrice,
+      stop_loss: calculateStopLoss(pattern, breakout),
+      take_profit: calculateTakeProfit(pattern, breakout),
+      risk_amount: positionSize.riskAmount,
+      quality_score: pattern.quality_score,
+      confluence_count: pattern.confluence_count
+    };
+
+    state.openPositions.push(position);
+    return position;
+  }
+
+  /**
+   * Check stop/target against the bar range; stop wins when both are touched in one bar
+   */
+  processExits(state, currentBar) {
+    for (const position of [...state.openPositions]) {
+      const isLong = position.side === 'long';
+      const { open, high, low } = currentBar;
+
+      const stopGapped = isLong ? open <= position.stop_loss : open >= position.stop_loss;
+      const stopHit = isLong ? low <= position.stop_loss : high >= position.stop_loss;
+      const targetGapped = isLong ? open >= position.take_profit : open <= position.take_profit;
+      const targetHit = isLong ? high >= position.take_profit : low <= position.take_profit;
+
+      if (stopGapped) {
+        this.closePosition(state, position, open, currentBar.timestamp, 'stop_loss');
+      } else if (stopHit) {
+        this.closePosition(state, position, position.stop_loss, currentBar.timestamp, 'stop_loss');
+      } else if (targetGapped) {
+        this.closePosition(state, position, open, currentBar.timestamp, 'take_profit');
+      } else if (targetHit) {
+        this.closePosition(state, position, position.take_profit, currentBar.timestamp, 'take_profit');
+      }
+    }
+  }
+
+  closePosition(state, position, price, timestamp, reason) {
+    const exitPrice = this.applySlippage(price, position.side, 'exit');
+    const direction = position.side === 'long' ? 1 : -1;
+    const pnl = (exitPrice - position.entry_price) * position.quantity * direction - this.commissionPerTrade * 2;
+    const riskPerShare = Math.abs(position.entry_price - position.stop_loss);
+
+    state.realizedPnL += pnl;
+    state.openPositions = state.openPositions.filter(p => p !== position);
+    state.trades.push({
+      ...position,
+      entry_price: round(position.entry_price),
+      stop_loss: round(position.stop_loss),
+      take_profit: round(position.take_profit),
+      exit_time: timestamp,
+      exit_price: round(exitPrice),
+      exit_reason: reason,
+      pnl: round(pnl),
+      r_multiple: riskPerShare > 0 ? round((exitPrice - position.entry_price) * direction / riskPerShare) : null
+    });
+  }
+
+  applySlippage(price, side, leg) {
+    const adverse = (side === 'long') === (leg === 'entry') ? 1 : -1;
+    return price * (1 + adverse * this.slippagePct);
+  }
+
+  getEquity(state, markPrice) {
+    const unrealized = state.openPositions.reduce((sum, position) => {
+      const direction = position.side === 'long' ? 1 : -1;
+      return sum + (markPrice - position.entry_price) * position.quantity * direction;
+    }, 0);
+    return this.initialEquity + state.realizedPnL + unrealized;
+  }
+
+  /**
+   * Alpaca-shaped account snapshot so RiskManager runs unchanged
+   */
+  buildAccount(state, markPrice) {
+    const equity = this.getEquity(state, markPrice);
+    const committed = state.openPositions.reduce((sum, p) => sum + p.entry_price * p.quantity, 0);
+
+    return {
+      equity: String(equity),
+      last_equity: String(state.dayStartEquity),
+      buying_power: String(Math.max(0, equity - committed)),
+      account_blocked: false,
+      trade_suspended_by_user: false
+    };
+  }
+
+  rollTradingDay(state, currentBar) {
+    const day = toEasternDate(currentBar.timestamp);
+    if (day !== state.currentDay) {
+      state.currentDay = day;
+      state.dayStartEquity = this.getEquity(state, currentBar.open);
+    }
+  }
+
+  /**
+   * Summary statistics used to compare runs
+   */
+  calculateStats(trades, equityCurve) {
+    const wins = trades.filter(t => t.pnl > 0);
+    const losses = trades.filter(t => t.pnl <= 0);
+    const grossProfit = wins.reduce((sum, t) => sum + t.pnl, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.pnl, 0));
+    const netPnL = grossProfit - grossLoss;
+    const rMultiples = trades.map(t => t.r_multiple).filter(r => r !== null);
+
+    const drawdown = this.calculateMaxDrawdown(equityCurve);
+    const endingEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].equity : this.initialEquity;
+
+    return {
+      totalTrades: trades.length,
+      winningTrades: wins.length,
+      losingTrades: losses.length,
+      winRate: trades.length > 0 ? round((wins.length / trades.length) * 100) : 0,
+      netPnL: round(netPnL),
+      grossProfit: round(grossProfit),
+      grossLoss: round(grossLoss),
+      profitFactor: grossLoss > 0 ? round(grossProfit / grossLoss) : null,
+      avgWin: wins.length > 0 ? round(grossProfit / wins.length) : 0,
+      avgLoss: losses.length > 0 ? round(grossLoss / losses.length) : 0,
+      expectancy: trades.length > 0 ? round(netPnL / trades.length) : 0,
+      expectancyR: rMultiples.length > 0 ? round(rMultiples.reduce((a, b) => a + b, 0) / rMultiples.length) : null,
+      maxDrawdown: round(drawdown.amount),
+      maxDrawdownPct: round(drawdown.percent * 100),
+      sharpeRatio: this.calculateSharpeRatio(equityCurve),
+      startingEquity: this.initialEquity,
+      endingEquity: round(endingEquity),
+      totalReturnPct: round(((endingEquity - this.initialEquity) / this.initialEquity) * 100)
+    };
+  }
+
+  calculateMaxDrawdown(equityCurve) {
+    let peak = this.initialEquity;
+    let maxAmount = 0;
+    let maxPercent = 0;
+
+    for (const point of equityCurve) {
+      peak = Math.max(peak, point.equity);
+      const amount = peak - point.equity;
+      if (amount > maxAmount) {
+        maxAmount = amount;
+        maxPercent = amount / peak;
+      }
+    }
+
+    return { amount: maxAmount, percent: maxPercent };
+  }
+
+  /**
+   * Annualized Sharpe ratio from daily (Eastern date) equity returns, zero risk-free rate
+   */
+  calculateSharpeRatio(equityCurve) {
+    const dailyCloses = new Map();
+    equityCurve.forEach(point => dailyCloses.set(toEasternDate(point.timestamp), point.equity));
+
+    const closes = [this.initialEquity, ...dailyCloses.values()];
+    const returns = [];
+    for (let i = 1; i < closes.length; i++) {
+      returns.push((closes[i] - closes[i - 1]) / closes[i - 1]);
+    }
+
+    if (returns.length < 2) return null;
+
+    const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length - 1);
+    const stdDev = Math.sqrt(variance);
+
+    return stdDev > 0 ? round((mean / stdDev) * Math.sqrt(252)) : null;
+  }
+
+  getConfig() {
+    return {
+      initialEquity: this.initialEquity,
+      lookbackBars: this.lookbackBars,
+      warmupBars: this.warmupBars,
+      levelRefreshBars: this.levelRefreshBars,
+      minQualityScore: this.minQualityScore,
+      minConfluence: this.minConfluence,
+      riskPerTrade: this.riskPerTrade,
+      slippagePct: this.slippagePct,
+      commissionPerTrade: this.commissionPerTrade,
+      maxOpenPositions: this.riskManager.maxOpenPositions,
+      maxDailyLoss: this.riskManager.maxDailyLoss,
+      maxPositionSize: this.riskManager.maxPositionSize
+    };
+  }
+}
+
+function toEasternDate(timestamp) {
+  return new Date(timestamp).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+function round(value, decimals = 2) {
+  return parseFloat(value.toFixed(decimals));
+}
@@ -1,44 +1,45 @@
-import { createClient } from '@supabase/supabase-js';
+import { resolveRepository } from './repository.js';
+import { bucketStart, easternDate, easternTimeToUtc, nextDate } from './market-time.js';
+import { getSessionSchedule } from './session-schedule.js';
+import { buildVolumeProfile, toVolumeProfileRecord } from './volume-profile.js';
 
 export class BarAggregator {
-  constructor() {
-    // Use service role key for bypassing RLS when available, fallback to anon key
-    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
-    if (!supabaseKey) {
-      throw new Error('Missing Supabase keys: SUPABASE_SERVICE_ROLE_KEY or SUPABASE_ANON_KEY required');
-    }
+  /**
+   * @param {Object} [store] - Repository or raw Supabase client; defaults to the configured repository
+   * @param {SessionSchedule} [schedule] - Windows each timeframe aggregates; defaults to the shared schedule
+   */
+  constructor(store = null, schedule = null) {
+    this.store = resolveRepository(store);
+    this.schedule = schedule || getSessionSchedule();
+  }
 
-    this.supabase = createClient(
-      process.env.SUPABASE_URL,
-      supabaseKey,
-      {
-        auth: {
-          autoRefreshToken: false,
-          persistSession: false
-        }
-      }
-    );
-    console.log(`BarAggregator initialized with ${process.env.SUPABASE_SERVICE_ROLE_KEY ? 'service role' : 'anon'} key`);
+  /**
+   * Rebuild the timeframe's buckets over the last lookbackMinutes (defaults to the schedule's lookback)
+   */
+  async aggregateToTimeframe(symbol, timeframe, lookbackMinutes = null) {
+    lookbackMinutes = lookbackMinutes ?? this.schedule.sessionForTimeframe(timeframe, symbol)?.lookback ?? 60;
+    const endTime = new Date();
+    const startTime = new Date(endTime - lookbackMinutes * 60 * 1000);
+
+    return this.aggregateRange(symbol, timeframe, {
+      start: startTime.toISOString(),
+      end: endTime.toISOString()
+    });
   }
 
-  async aggregateToTimeframe(symbol, timeframe, lookbackMinutes = 60) {
+  /**
+   * Rebuild and store the timeframe's buckets from the minute bars in [start, end]
+   */
+  async aggregateRange(symbol, timeframe, { start, end }) {
     try {
       console.log(`Aggregating ${symbol} to ${timeframe} timeframe`);
 
       const timeframeMinutes = this.parseTimeframe(timeframe);
-      const endTime = new Date();
-      const startTime = new Date(endTime - lookbackMinutes * 60 * 1000);
 
-      console.log(`Looking for bars between ${startTime.toISOString()} and ${endTime.toISOString()}`);
+      console.log(`Looking for bars between ${start} and ${end}`);
 
       // Get minute bars from database
-      const { data: minuteBars, error } = await this.supabase
-        .from('minute_bars')
-        .select('*')
-        .eq('symbol', symbol)
-        .gte('timestamp', startTime.toISOString())
-        .lte('timestamp', endTime.toISOString())
-        .order('timestamp', { ascending: true });
+      const { data: minuteBars, error } = await this.store.getMinuteBars(symbol, { start, end });
 
       if (error) {
         console.error('Database error fetching minute bars:', error);
@@ -65,63 +66,376 @@ export class BarAggregator {
 
       console.log(`Generated ${aggregatedBars.length} aggregated bars`);
 
-      // Store aggregated bars
-      for (const bar of aggregatedBars) {
-        await this.storeAggregatedBar(symbol, bar);
-      }
+      // Store aggregated bars in one upsert
+      await this.storeAggregatedBars(aggregatedBars.map(bar => toAggregatedRecord(symbol, bar)));
 
       return aggregatedBars;
     } catch (error) {
-      console.error('Error in aggregateToTimeframe:', error);
+      console.error('Error in aggregateRange:', error);
       throw error;
     }
   }
 
-  filterBarsForMarketSession(bars, timeframe) {
-    // For market hours-specific aggregation, filter bars based on Eastern Time
-    const now = new Date();
-    const todayET = new Date().toLocaleString("en-US", {timeZone: "America/New_York"});
-    const todayETDate = new Date(todayET).toISOString().split('T')[0];
-
-    return bars.filter(bar => {
-      const barTime = new Date(bar.timestamp);
-      const barET = barTime.toLocaleString("en-US", {timeZone: "America/New_York"});
-      const barETTime = new Date(barET);
-
-      const hour = barETTime.getHours();
-      const minute = barETTime.getMinutes();
-      const timeInMinutes = hour * 60 + minute;
-
-      // Market is open from 9:30 AM to 4:00 PM ET (but we extend strategy to 4:30)
-      const marketOpen = 9 * 60 + 30; // 9:30 AM
-      const marketClose = 16 * 60; // 4:00 PM
-
-      // Check if it's a weekday
-      const dayOfWeek = barETTime.getDay();
-      const isWeekday = dayOfWeek >= 1 && dayOfWeek <= 5;
-
-      // Check if during market hours
-      const isDuringMarketHours = timeInMinutes >= marketOpen && timeInMinutes <= marketClose;
-
-      // For specific timeframes, we might want to be more selective
-      if (timeframe === '2m') {
-        // 2min bars should focus on opening session (9:30-10:00 AM)
-        const openingEnd = 10 * 60; // 10:00 AM
-        return isWeekday && timeInMinutes >= marketOpen && timeInMinutes < openingEnd;
-      } else if (timeframe === '5m') {
-        // 5min bars should focus on morning session (10:00-11:00 AM)
-        const morningStart = 10 * 60; // 10:00 AM
-        const morningEnd = 11 * 60; // 11:00 AM
-        return isWeekday && timeInMinutes >= morningStart && timeInMinutes < morningEnd;
-      } else if (timeframe === '10m') {
-        // 10min bars for regular session (11:00 AM-4:30 PM)
-        const regularStart = 11 * 60; // 11:00 AM
-        return isWeekday && timeInMinutes >= regularStart && timeInMinutes <= marketClose;
+  /**
+   * Fold new minute bars into their open buckets and write every touched bucket in one upsert.
+   * Each bucket row keeps `last_minute`, so re-sent minutes are ignored; a minute older than the
+   * last folded one (gap repair, late correction) rebuilds that bucket from minute_bars instead.
+   * @param {Array<Object>} minuteBars - minute_bars rows ({ symbol, timestamp, open, ... })
+   * @param {Object<string, Array<string>>} timeframesBySymbol - e.g. { QQQ: ['2m', '5m', '10m'] }
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @param {boolean} [options.corrected=false] - Minutes already folded in were revised; rebuild their buckets
+   * @returns {Promise<Array<Object>>} The aggregated rows written
+   */
+  async applyMinuteBars(minuteBars, timeframesBySymbol, { now = new Date(), corrected = false } = {}) {
+    const buckets = new Map();
+    const ordered = [...minuteBars].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    for (const bar of ordered) {
+      for (const timeframe of timeframesBySymbol[bar.symbol] || []) {
+        if (this.filterBarsForMarketSession([bar], timeframe).length === 0) continue;
+
+        const timeframeMinutes = this.parseTimeframe(timeframe);
+        const start = this.getBucketStart(new Date(bar.timestamp), timeframeMinutes);
+        const timestamp = start.toISOString();
+        const key = bucketKey(bar.symbol, timeframe, timestamp);
+
+        if (!buckets.has(key)) {
+          buckets.set(key, {
+            symbol: bar.symbol,
+            timeframe,
+            timestamp,
+            firstMinute: start,
+            timeframeMinutes,
+            bars: []
+          });
+        }
+        buckets.get(key).bars.push(bar);
       }
+    }
+
+    if (buckets.size === 0) {
+      return [];
+    }
 
-      // Default: return all market hours bars
-      return isWeekday && isDuringMarketHours;
+    // One read for the current state of every touched bucket
+    const touched = [...buckets.values()];
+    const { data: existing, error } = await this.store.findAggregatedBars({
+      symbols: [...new Set(touched.map(bucket => bucket.symbol))],
+      timeframes: [...new Set(touched.map(bucket => bucket.timeframe))],
+      timestamps: [...new Set(touched.map(bucket => bucket.timestamp))]
     });
+
+    if (error) {
+      console.error('Database error fetching open buckets:', error);
+      throw error;
+    }
+
+    const existingByKey = new Map((existing || []).map(row => [
+      bucketKey(row.symbol, row.timeframe, new Date(row.timestamp).toISOString()),
+      row
+    ]));
+
+    const records = [];
+    const rebuild = [];
+
+    for (const bucket of touched) {
+      const row = existingByKey.get(bucketKey(bucket.symbol, bucket.timeframe, bucket.timestamp));
+      const lastMinute = row?.last_minute ? new Date(row.last_minute).getTime() : null;
+
+      const folded = bar => corrected ? new Date(bar.timestamp).getTime() <= lastMinute : new Date(bar.timestamp).getTime() < lastMinute;
+      if (row && (lastMinute === null || bucket.bars.some(folded))) {
+        rebuild.push(bucket);
+        continue;
+      }
+
+      const fresh = bucket.bars.filter(bar => lastMinute === null || new Date(bar.timestamp).getTime() > lastMinute);
+      if (fresh.length > 0) {
+        records.push(this.foldMinutes(row, bucket, fresh, now));
+      }
+    }
+
+    records.push(...await this.rebuildBuckets(rebuild, now));
+
+    await this.storeAggregatedBars(records);
+    console.log(`Folded ${minuteBars.length} minute bars into ${records.length} buckets (${rebuild.length} rebuilt)`);
+
+    return records;
+  }
+
+  /**
+   * Mark ended buckets complete when the stream has moved past them with minutes still missing. The IEX feed sends
+   * no bar for a minute without trades, so such a bucket would otherwise stay partial and never reach the strategy.
+   * @param {Array<Object>} buckets - { symbol, timeframe, timestamp } of the bucket starts
+   * @returns {Promise<Array<Object>>} The rows marked complete
+   */
+  async closeBuckets(buckets, now = new Date()) {
+    if (buckets.length === 0) return [];
+
+    const keys = new Set(buckets.map(bucket => bucketKey(bucket.symbol, bucket.timeframe, new Date(bucket.timestamp).toISOString())));
+    const { data, error } = await this.store.findAggregatedBars({
+      symbols: [...new Set(buckets.map(bucket => bucket.symbol))],
+      timeframes: [...new Set(buckets.map(bucket => bucket.timeframe))],
+      timestamps: [...new Set(buckets.map(bucket => new Date(bucket.timestamp).toISOString()))]
+    });
+
+    if (error) {
+      console.error('Database error fetching buckets to close:', error);
+      throw error;
+    }
+
+    const records = (data || [])
+      .filter(row => keys.has(bucketKey(row.symbol, row.timeframe, new Date(row.timestamp).toISOString())))
+      .filter(row => !row.is_complete)
+      .filter(row => new Date(row.timestamp).getTime() + this.parseTimeframe(row.timeframe) * 60 * 1000 <= now.getTime())
+      .map(({ id, created_at: createdAt, ...row }) => ({ ...row, is_complete: true }));
+
+    return this.storeAggregatedBars(records);
+  }
+
+  /**
+   * Extend a stored bucket row (or start one) with minutes newer than its last_minute
+   */
+  foldMinutes(row, bucket, minutes, now = new Date()) {
+    const volume = minutes.reduce((sum, b) => sum + parseInt(b.volume), parseInt(row?.volume || 0));
+    const notional = minutes.reduce(
+      (sum, b) => sum + parseFloat(b.vwap) * parseInt(b.volume),
+      row ? parseFloat(row.vwap) * parseInt(row.volume) : 0
+    );
+    const barCount = (row?.bar_count || 0) + minutes.length;
+    const expectedBarCount = this.expectedBarCount(bucket, bucket.timeframe) ?? barCount;
+    const bucketEnd = bucket.firstMinute.getTime() + bucket.timeframeMinutes * 60 * 1000;
+    const last = minutes[minutes.length - 1];
+
+    return {
+      symbol: bucket.symbol,
+      timeframe: bucket.timeframe,
+      timestamp: bucket.timestamp,
+      open: row ? parseFloat(row.open) : parseFloat(minutes[0].open),
+      high: Math.max(...minutes.map(b => parseFloat(b.high)), row ? parseFloat(row.high) : -Infinity),
+      low: Math.min(...minutes.map(b => parseFloat(b.low)), row ? parseFloat(row.low) : Infinity),
+      close: parseFloat(last.close),
+      volume,
+      trade_count: minutes.reduce((sum, b) => sum + parseInt(b.trade_count), parseInt(row?.trade_count || 0)),
+      vwap: volume > 0 ? parseFloat((notional / volume).toFixed(6)) : 0,
+      bar_count: barCount,
+      expected_bar_count: expectedBarCount,
+      is_complete: barCount >= expectedBarCount && bucketEnd <= now.getTime(),
+      last_minute: new Date(last.timestamp).toISOString()
+    };
+  }
+
+  /**
+   * Recompute buckets from minute_bars, one read per symbol
+   */
+  async rebuildBuckets(buckets, now = new Date()) {
+    const records = [];
+    const bySymbol = new Map();
+    for (const bucket of buckets) {
+      if (!bySymbol.has(bucket.symbol)) bySymbol.set(bucket.symbol, []);
+      bySymbol.get(bucket.symbol).push(bucket);
+    }
+
+    for (const [symbol, symbolBuckets] of bySymbol) {
+      const bucketEnd = bucket => bucket.firstMinute.getTime() + bucket.timeframeMinutes * 60 * 1000;
+      const { data: minuteBars, error } = await this.store.getMinuteBars(symbol, {
+        start: new Date(Math.min(...symbolBuckets.map(bucket => bucket.firstMinute.getTime()))).toISOString(),
+        end: new Date(Math.max(...symbolBuckets.map(bucketEnd)) - 1).toISOString()
+      });
+
+      if (error) {
+        console.error('Database error fetching minute bars:', error);
+        throw error;
+      }
+
+      for (const bucket of symbolBuckets) {
+        const bars = this.filterBarsForMarketSession(
+          (minuteBars || []).filter(bar => {
+            const time = new Date(bar.timestamp).getTime();
+            return time >= bucket.firstMinute.getTime() && time < bucketEnd(bucket);
+          }),
+          bucket.timeframe
+        );
+
+        const aggregated = this.createAggregatedBar({ ...bucket, timestamp: new Date(bucket.timestamp), bars }, bucket.timeframe, now);
+        if (aggregated) {
+          records.push(toAggregatedRecord(symbol, aggregated));
+        }
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Daily and weekly bars for the `days` trading days before an ET date. Days without a stored daily bar
+   * are aggregated from minute_bars first (live ingestion or backfilled history).
+   * @returns {Promise<Object>} { daily, weekly } aggregated_bars rows, oldest first
+   */
+  async loadSessionBars(symbol, { before, days = 60, calendar = this.schedule.calendar }) {
+    const tradingDays = tradingDaysBefore(calendar, before, days);
+
+    const range = {
+      start: easternTimeToUtc(weekStart(tradingDays[0]), 0).toISOString(),
+      end: new Date(easternTimeToUtc(before, 0).getTime() - 1).toISOString()
+    };
+
+    const stored = await this.getSessionBars(symbol, '1d', range);
+    const storedDays = new Set(stored.map(bar => easternDate(new Date(bar.timestamp))));
+    const missing = tradingDays.filter(day => !storedDays.has(day));
+
+    if (missing.length > 0) {
+      await this.aggregateSessions(symbol, missing, { calendar });
+    }
+
+    return {
+      daily: missing.length > 0 ? await this.getSessionBars(symbol, '1d', range) : stored,
+      weekly: await this.getSessionBars(symbol, '1w', range)
+    };
+  }
+
+  /**
+   * Stored volume profiles for the `days` trading days before an ET date, oldest first.
+   * Days without one are built from minute_bars first, along with their daily bars.
+   */
+  async loadVolumeProfiles(symbol, { before, days = 5, calendar = this.schedule.calendar }) {
+    const tradingDays = tradingDaysBefore(calendar, before, days);
+    const range = { start: tradingDays[0], end: tradingDays[tradingDays.length - 1] };
+
+    const stored = await this.getVolumeProfiles(symbol, range);
+    const storedDays = new Set(stored.map(profile => profile.trading_date));
+    const missing = tradingDays.filter(day => !storedDays.has(day));
+
+    if (missing.length === 0) {
+      return stored;
+    }
+
+    await this.aggregateSessions(symbol, missing, { calendar });
+    return this.getVolumeProfiles(symbol, range);
+  }
+
+  async getVolumeProfiles(symbol, range) {
+    const { data, error } = await this.store.getVolumeProfiles(symbol, range);
+
+    if (error) {
+      console.error('Database error fetching volume profiles:', error);
+      throw error;
+    }
+
+    return data || [];
+  }
+
+  /**
+   * Build regular-session daily bars ('1d', stamped at the open) and volume profiles for the ET dates, then
+   * rebuild the weekly bars ('1w', stamped at the week's first open) that contain them from the stored daily bars
+   * @param {string} symbol
+   * @param {Array<string>} days - ET dates (YYYY-MM-DD); non-trading days are skipped
+   * @param {Object} [options]
+   * @param {MarketCalendar} [options.calendar]
+   * @param {Date} [options.now]
+   * @returns {Promise<Object>} { daily, weekly, profiles } rows written
+   */
+  async aggregateSessions(symbol, days, { calendar = this.schedule.calendar, now = new Date() } = {}) {
+    const daily = [];
+    const profiles = [];
+
+    for (const day of days) {
+      const session = calendar.getSession(day);
+      if (!session.isTradingDay) continue;
+
+      const open = easternTimeToUtc(day, session.openMinute);
+      const close = easternTimeToUtc(day, session.closeMinute);
+      const { data: minuteBars, error } = await this.store.getMinuteBars(symbol, {
+        start: open.toISOString(),
+        end: new Date(close.getTime() - 1).toISOString()
+      });
+
+      if (error) {
+        console.error('Database error fetching minute bars:', error);
+        throw error;
+      }
+      if (!minuteBars || minuteBars.length === 0) continue;
+
+      const expectedBarCount = session.closeMinute - session.openMinute;
+      daily.push({
+        ...this.createAggregatedBar({ timestamp: open, bars: minuteBars }, '1d', now),
+        expected_bar_count: expectedBarCount,
+        is_complete: minuteBars.length >= expectedBarCount && close <= now
+      });
+
+      const profile = buildVolumeProfile(minuteBars);
+      if (profile) profiles.push(toVolumeProfileRecord(symbol, day, profile));
+    }
+
+    await this.storeAggregatedBars(daily.map(bar => toAggregatedRecord(symbol, bar)));
+    await this.storeVolumeProfiles(profiles);
+
+    const weekly = [];
+    const weeks = [...new Set(daily.map(bar => weekStart(easternDate(new Date(bar.timestamp)))))];
+
+    for (const week of weeks) {
+      const weekDays = [week];
+      while (weekDays.length < 5) weekDays.push(nextDate(weekDays[weekDays.length - 1]));
+
+      const dailyBars = await this.getSessionBars(symbol, '1d', {
+        start: easternTimeToUtc(week, 0).toISOString(),
+        end: new Date(easternTimeToUtc(nextDate(weekDays[4]), 0).getTime() - 1).toISOString()
+      });
+      if (dailyBars.length === 0) continue;
+
+      const expectedBarCount = weekDays.filter(day => calendar.getSession(day).isTradingDay).length;
+      weekly.push({
+        ...this.createAggregatedBar({ timestamp: new Date(dailyBars[0].timestamp), bars: dailyBars }, '1w', now),
+        expected_bar_count: expectedBarCount,
+        is_complete: dailyBars.length >= expectedBarCount && dailyBars.every(bar => bar.is_complete),
+        last_minute: dailyBars[dailyBars.length - 1].last_minute
+      });
+    }
+
+    await this.storeAggregatedBars(weekly.map(bar => toAggregatedRecord(symbol, bar)));
+
+    return { daily, weekly, profiles };
+  }
+
+  async storeVolumeProfiles(records) {
+    if (records.length === 0) {
+      return records;
+    }
+
+    const { error } = await this.store.upsertVolumeProfiles(records);
+
+    if (error) {
+      console.error('Error storing volume profiles:', error);
+      throw error;
+    }
+
+    console.log(`Stored ${records.length} volume profiles`);
+    return records;
+  }
+
+  async getSessionBars(symbol, timeframe, range) {
+    const { data, error } = await this.store.getAggregatedBars(symbol, timeframe, range);
+
+    if (error) {
+      console.error(`Database error fetching ${timeframe} bars:`, error);
+      throw error;
+    }
+
+    return (data || []).map(bar => ({
+      ...bar,
+      open: parseFloat(bar.open),
+      high: parseFloat(bar.high),
+      low: parseFloat(bar.low),
+      close: parseFloat(bar.close)
+    }));
+  }
+
+  /**
+   * Minutes inside the timeframe's session-schedule windows (holidays and early closes applied).
+   * The symbol defaults to each bar's own, so per-symbol schedules apply.
+   */
+  filterBarsForMarketSession(bars, timeframe, symbol = null) {
+    return bars.filter(bar => this.schedule.includesMinute(bar.timestamp, timeframe, symbol || bar.symbol || null));
   }
 
   parseTimeframe(timeframe) {
@@ -138,7 +452,7 @@ export class BarAggregator {
       const bucketKey = bucketStart.toISOString();
 
       if (!buckets.has(bucketKey)) {
-        buckets.set(bucketKey, { timestamp: bucketStart, bars: [] });
+        buckets.set(bucketKey, { timestamp: bucketStart, firstMinute: bucketStart, timeframeMinutes, bars: [] });
       }
 
       buckets.get(bucketKey).bars.push(bar);
@@ -147,28 +461,26 @@ export class BarAggregator {
     return Array.from(buckets.values());
   }
 
+  /**
+   * UTC start of the bucket holding the timestamp, aligned to the 9:30 ET open
+   */
   getBucketStart(timestamp, timeframeMinutes) {
-    // Convert to Eastern Time for proper market session alignment
-    const easternTime = new Date(timestamp.toLocaleString("en-US", {timeZone: "America/New_York"}));
-
-    const minutes = easternTime.getMinutes();
-    const bucketMinute = Math.floor(minutes / timeframeMinutes) * timeframeMinutes;
-
-    const bucketStart = new Date(
-      easternTime.getFullYear(), 
-      easternTime.getMonth(), 
-      easternTime.getDate(), 
-      easternTime.getHours(), 
-      bucketMinute, 
-      0, 
-      0
-    );
+    return bucketStart(timestamp, timeframeMinutes);
+  }
+
+  expectedBarCount(bucket, timeframe) {
+    const { firstMinute, timeframeMinutes } = bucket;
+    if (!firstMinute) return null;
 
-    // Convert back to UTC for storage
-    return new Date(bucketStart.toLocaleString("en-US", {timeZone: "UTC"}));
+    const minutes = Array.from({ length: timeframeMinutes }, (_, i) => ({
+      timestamp: new Date(firstMinute.getTime() + i * 60 * 1000).toISOString()
+    }));
+
+    const symbol = bucket.symbol || bucket.bars?.[0]?.symbol || null;
+    return this.filterBarsForMarketSession(minutes, timeframe, symbol).length;
   }
 
-  createAggregatedBar(bucket, timeframe) {
+  createAggregatedBar(bucket, timeframe, now = new Date()) {
     const { bars, timestamp } = bucket;
 
     if (!bars || bars.length === 0) return null;
@@ -176,6 +488,12 @@ export class BarAggregator {
     // Sort by timestamp to ensure correct order
     bars.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
 
+    const expectedBarCount = this.expectedBarCount(bucket, timeframe) ?? bars.length;
+    const bucketEnd = bucket.firstMinute
+      ? bucket.firstMinute.getTime() + bucket.timeframeMinutes * 60 * 1000
+      : 0;
+    const isComplete = bars.length >= expectedBarCount && bucketEnd <= now.getTime();
+
     const totalVolume = bars.reduce((sum, b) => sum + parseInt(b.volume), 0);
     const vwap = totalVolume > 0 
       ? bars.reduce((sum, b) => sum + (parseFloat(b.vwap) * parseInt(b.volume)), 0) / totalVolume
@@ -191,117 +509,55 @@ export class BarAggregator {
       volume: totalVolume,
       trade_count: bars.reduce((sum, b) => sum + parseInt(b.trade_count), 0),
       vwap: parseFloat(vwap.toFixed(6)),
-      bar_count: bars.length
+      bar_count: bars.length,
+      expected_bar_count: expectedBarCount,
+      is_complete: isComplete,
+      last_minute: new Date(bars[bars.length - 1].timestamp).toISOString()
     };
   }
 
   async storeAggregatedBar(symbol, barData) {
     try {
-      const aggregatedRecord = {
-        symbol,
-        timeframe: barData.timeframe,
-        timestamp: barData.timestamp,
-        open: barData.open,
-        high: barData.high,
-        low: barData.low,
-        close: barData.close,
-        volume: barData.volume,
-        trade_count: barData.trade_count,
-        vwap: barData.vwap,
-        bar_count: barData.bar_count
-      };
-
-      // Try upsert first if we have service role key
-      if (process.env.SUPABASE_SERVICE_ROLE_KEY) {
-        try {
-          const { data, error } = await this.supabase
-            .from('aggregated_bars')
-            .upsert(aggregatedRecord, { 
-              onConflict: 'symbol,timeframe,timestamp',
-              ignoreDuplicates: false 
-            })
-            .select();
-
-          if (error) {
-            console.error('Upsert error, falling back to insert/update:', error);
-            // Fall back to check-then-insert-or-update logic
-            return await this.insertOrUpdateAggregatedBar(aggregatedRecord);
-          }
-
-          console.log(`Successfully upserted ${barData.timeframe} bar for ${symbol} at ${barData.timestamp}`);
-          return aggregatedRecord;
-        } catch (upsertError) {
-          console.error('Upsert failed, falling back to insert/update:', upsertError);
-          return await this.insertOrUpdateAggregatedBar(aggregatedRecord);
-        }
-      } else {
-        // Use insert/update logic for anon key
-        return await this.insertOrUpdateAggregatedBar(aggregatedRecord);
+      const aggregatedRecord = toAggregatedRecord(symbol, barData);
+
+      const { error } = await this.store.upsertAggregatedBars([aggregatedRecord]);
+
+      if (error) {
+        console.error('Error storing aggregated bar:', error);
+        throw error;
       }
 
+      console.log(`Stored ${barData.timeframe} bar for ${symbol} at ${barData.timestamp}`);
+      return aggregatedRecord;
     } catch (error) {
       console.error('Error in storeAggregatedBar:', error);
       throw error;
     }
   }
 
-  async insertOrUpdateAggregatedBar(aggregatedRecord) {
-    try {
-      // Check if record already exists
-      const { data: existingRecord, error: selectError } = await this.supabase
-        .from('aggregated_bars')
-        .select('id')
-        .eq('symbol', aggregatedRecord.symbol)
-        .eq('timeframe', aggregatedRecord.timeframe)
-        .eq('timestamp', aggregatedRecord.timestamp)
-        .maybeSingle(); // Use maybeSingle to avoid error when no record found
-
-      if (selectError) {
-        console.error('Error checking existing aggregated record:', selectError);
-        throw selectError;
-      }
+  /**
+   * Write finished rows in a single upsert on (symbol, timeframe, timestamp)
+   */
+  async storeAggregatedBars(records) {
+    if (records.length === 0) {
+      return records;
+    }
 
-      let result;
-      if (existingRecord) {
-        // Update existing record
-        console.log(`Updating existing ${aggregatedRecord.timeframe} bar for ${aggregatedRecord.symbol} at ${aggregatedRecord.timestamp}`);
-        const { data, error } = await this.supabase
-          .from('aggregated_bars')
-          .update(aggregatedRecord)
-          .eq('symbol', aggregatedRecord.symbol)
-          .eq('timeframe', aggregatedRecord.timeframe)
-          .eq('timestamp', aggregatedRecord.timestamp)
-          .select();
-
-        if (error) throw error;
-        result = data;
-      } else {
-        // Insert new record
-        console.log(`Inserting new ${aggregatedRecord.timeframe} bar for ${aggregatedRecord.symbol} at ${aggregatedRecord.timestamp}`);
-        const { data, error } = await this.supabase
-          .from('aggregated_bars')
-          .insert(aggregatedRecord)
-          .select();
-
-        if (error) throw error;
-        result = data;
-      }
+    const { error } = await this.store.upsertAggregatedBars(records);
 
-      console.log(`Stored ${aggregatedRecord.timeframe} bar for ${aggregatedRecord.symbol} at ${aggregatedRecord.timestamp}`);
-      return result;
-    } catch (error) {
-      console.error('Error in insertOrUpdateAggregatedBar:', error);
+    if (error) {
+      console.error('Error storing aggregated bars:', error);
       throw error;
     }
+
+    console.log(`Stored ${records.length} aggregated bars`);
+    return records;
   }
 
   // Method to test database connectivity and permissions
   async testConnection() {
     try {
-      const { data, error } = await this.supabase
-        .from('aggregated_bars')
-        .select('count')
-        .limit(1);
+      const { error } = await this.store.ping('aggregated_bars');
 
       if (error) {
         console.error('Database connection test failed:', error);
@@ -315,4 +571,47 @@ export class BarAggregator {
       return { success: false, error: error.message };
     }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * The `days` trading days before an ET date, oldest first
+ */
+function tradingDaysBefore(calendar, before, days) {
+  const tradingDays = [];
+  for (let day = calendar.previousTradingDay(before); tradingDays.length < days; day = calendar.previousTradingDay(day)) {
+    tradingDays.unshift(day);
+  }
+  return tradingDays;
+}
+
+/**
+ * ET date of the Monday starting the week that holds the date
+ */
+function weekStart(day) {
+  const date = new Date(`${day}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  return date.toISOString().slice(0, 10);
+}
+
+function bucketKey(symbol, timeframe, timestamp) {
+  return `${symbol}|${timeframe}|${timestamp}`;
+}
+
+function toAggregatedRecord(symbol, barData) {
+  return {
+    symbol,
+    timeframe: barData.timeframe,
+    timestamp: barData.timestamp,
+    open: barData.open,
+    high: barData.high,
+    low: barData.low,
+    close: barData.close,
+    volume: barData.volume,
+    trade_count: barData.trade_count,
+    vwap: barData.vwap,
+    bar_count: barData.bar_count,
+    expected_bar_count: barData.expected_bar_count,
+    is_complete: barData.is_complete,
+    last_minute: barData.last_minute
+  };
+}
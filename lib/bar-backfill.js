@@ -0,0 +1,219 @@
+// lib/bar-backfill.js
+// Backfills historical 1-minute bars from Alpaca, reports missing regular-session minutes
+// and re-aggregates the days that received bars, including their daily and weekly bars
+// and volume profiles.
+
+import { AlpacaClient } from './alpaca-client.js';
+import { BarAggregator } from './bar-aggregator.js';
+import { toMinuteBarRecord } from './data-fetcher.js';
+import { BarValidator } from './bar-validator.js';
+import { resolveRepository } from './repository.js';
+import { easternDate, easternTimeToUtc, nextDate } from './market-time.js';
+import { ensureMarketCalendar, getMarketCalendar } from './market-calendar.js';
+import { getSessionSchedule } from './session-schedule.js';
+
+const UPSERT_BATCH_SIZE = 1000;
+const MS_PER_MINUTE = 60 * 1000;
+
+export class BarBackfill {
+  /**
+   * @param {Object} [deps]
+   * @param {Object} [deps.store] - Repository or raw Supabase client; defaults to the configured repository
+   * @param {AlpacaClient} [deps.alpaca]
+   * @param {BarAggregator} [deps.aggregator]
+   * @param {MarketCalendar} [deps.marketCalendar] - Holidays and early closes; defaults to the shared calendar
+   */
+  constructor({ store, alpaca, aggregator, marketCalendar } = {}) {
+    this.store = resolveRepository(store);
+    this.alpaca = alpaca || new AlpacaClient(this.store);
+    this.marketCalendar = marketCalendar || null;
+    this.aggregator = aggregator || new BarAggregator(this.store);
+    this.validator = new BarValidator({ store: this.store });
+  }
+
+  /**
+   * Backfill every symbol over [start, end]
+   * @param {Object} params
+   * @param {Array<string>} params.symbols
+   * @param {string} params.start - ISO date or timestamp
+   * @param {string} [params.end] - ISO date or timestamp; defaults to now
+   * @param {Array<string>} [params.timeframes] - Timeframes to re-aggregate; defaults to each symbol's session schedule
+   * @param {boolean} [params.aggregate=true]
+   */
+  async backfill({ symbols, start, end, timeframes = null, aggregate = true }) {
+    const startTime = Date.now();
+    const range = resolveRange(start, end);
+    this.marketCalendar = this.marketCalendar || await ensureMarketCalendar({ alpaca: this.alpaca });
+    console.log(`[BACKFILL] Backfilling ${symbols.join(', ')} from ${range.start} to ${range.end}`);
+
+    const results = {};
+    for (const symbol of symbols) {
+      try {
+        results[symbol] = await this.backfillSymbol(symbol, range, { timeframes, aggregate });
+      } catch (error) {
+        console.error(`[BACKFILL] ${symbol} failed:`, error);
+        results[symbol] = { success: false, error: error.message };
+      }
+    }
+
+    return {
+      success: Object.values(results).every(result => result.success),
+      start: range.start,
+      end: range.end,
+      results,
+      execution_time_ms: Date.now() - startTime
+    };
+  }
+
+  async backfillSymbol(symbol, range, { timeframes, aggregate }) {
+    const bars = await this.alpaca.getAllBars({ symbol, timeframe: '1Min', start: range.start, end: range.end });
+    console.log(`[BACKFILL] ${symbol}: fetched ${bars.length} minute bars`);
+
+    // Historical bars skip the ordering and quote checks; bad prints and spikes are still quarantined
+    const { accepted: records, quarantined } = await this.validator.validate(
+      bars.map(bar => toMinuteBarRecord(symbol, bar)),
+      { source: 'backfill', checkOrder: false }
+    );
+    for (let i = 0; i < records.length; i += UPSERT_BATCH_SIZE) {
+      const { error } = await this.store.upsertMinuteBars(records.slice(i, i + UPSERT_BATCH_SIZE));
+      if (error) {
+        throw new Error(`Failed to store minute bars: ${error.message}`);
+      }
+    }
+
+    const gapReport = await this.findGaps(symbol, range);
+
+    const aggregated = {};
+    if (aggregate && records.length > 0) {
+      const days = [...new Set(records.map(record => easternDate(new Date(record.timestamp))))];
+
+      for (const timeframe of timeframes || getSessionSchedule().timeframes(symbol)) {
+        aggregated[timeframe] = 0;
+        for (const day of days) {
+          const bucketBars = await this.aggregator.aggregateRange(symbol, timeframe, easternDayRange(day));
+          aggregated[timeframe] += bucketBars.length;
+        }
+      }
+
+      // Daily and weekly bars behind the higher-timeframe levels
+      const sessions = await this.aggregator.aggregateSessions(symbol, days, { calendar: this.marketCalendar });
+      aggregated['1d'] = sessions.daily.length;
+      aggregated['1w'] = sessions.weekly.length;
+      aggregated.volume_profiles = sessions.profiles.length;
+    }
+
+    console.log(`[BACKFILL] ${symbol}: stored ${records.length} bars, ${gapReport.missing_minutes} missing session minutes`);
+
+    return {
+      success: true,
+      fetched: bars.length,
+      stored: records.length,
+      quarantined: quarantined.length,
+      ...gapReport,
+      aggregated
+    };
+  }
+
+  /**
+   * Regular-session minutes in [start, end] with no stored minute bar.
+   * Holidays are skipped, early closes end at the real close, and trading days with no bars at all are listed separately.
+   */
+  async findGaps(symbol, { start, end }) {
+    const calendar = this.marketCalendar || getMarketCalendar();
+    const gaps = [];
+    const emptySessions = [];
+    let missingMinutes = 0;
+
+    for (const day of weekdaysBetween(start, end)) {
+      const session = calendar.getSession(day);
+      if (!session.isTradingDay) continue;
+
+      const sessionOpen = easternTimeToUtc(day, session.openMinute);
+      const sessionClose = easternTimeToUtc(day, session.closeMinute);
+      const from = Math.max(sessionOpen.getTime(), new Date(start).getTime());
+      const to = Math.min(sessionClose.getTime(), new Date(end).getTime());
+
+      if (from >= to) continue;
+
+      const { data, error } = await this.store.getMinuteBars(symbol, {
+        start: new Date(from).toISOString(),
+        end: new Date(to - MS_PER_MINUTE).toISOString()
+      });
+
+      if (error) {
+        throw new Error(`Failed to load minute bars: ${error.message}`);
+      }
+
+      if (!data || data.length === 0) {
+        emptySessions.push(day);
+        continue;
+      }
+
+      const present = new Set(data.map(bar => new Date(bar.timestamp).getTime()));
+      let gap = null;
+
+      for (let t = from; t < to; t += MS_PER_MINUTE) {
+        if (present.has(t)) {
+          gap = null;
+          continue;
+        }
+
+        missingMinutes++;
+        if (gap) {
+          gap.end = new Date(t).toISOString();
+          gap.minutes++;
+        } else {
+          gap = { date: day, start: new Date(t).toISOString(), end: new Date(t).toISOString(), minutes: 1 };
+          gaps.push(gap);
+        }
+      }
+    }
+
+    return { gaps, missing_minutes: missingMinutes, empty_sessions: emptySessions };
+  }
+}
+
+/**
+ * Trading days a backfill over [start, end] would cover; throws on an invalid range like backfill() does
+ */
+export function countTradingDays(start, end, calendar = getMarketCalendar()) {
+  const range = resolveRange(start, end);
+  return weekdaysBetween(range.start, range.end).filter(day => calendar.getSession(day).isTradingDay).length;
+}
+
+/**
+ * Dates become whole ET days: start at 00:00 ET, end at 24:00 ET
+ */
+function resolveRange(start, end) {
+  const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+  const from = isDate(start) ? easternTimeToUtc(start, 0) : new Date(start);
+  const to = !end
+    ? new Date()
+    : isDate(end) ? easternTimeToUtc(nextDate(end), 0) : new Date(end);
+
+  if (isNaN(from) || isNaN(to) || from >= to) {
+    throw new Error(`Invalid backfill range: ${start} - ${end || 'now'}`);
+  }
+
+  return { start: from.toISOString(), end: new Date(Math.min(to.getTime(), Date.now())).toISOString() };
+}
+
+function weekdaysBetween(start, end) {
+  const days = [];
+  const last = easternDate(new Date(end));
+
+  for (let day = easternDate(new Date(start)); day <= last; day = nextDate(day)) {
+    const weekday = new Date(`${day}T12:00:00Z`).getUTCDay();
+    if (weekday >= 1 && weekday <= 5) days.push(day);
+  }
+
+  return days;
+}
+
+function easternDayRange(day) {
+  return {
+    start: easternTimeToUtc(day, 0).toISOString(),
+    end: new Date(easternTimeToUtc(nextDate(day), 0).getTime() - 1).toISOString()
+  };
+}
@@ -0,0 +1,157 @@
+// lib/bar-source.js
+// Loads historical bars for offline replay from the bar tables or local CSV/JSON files
+
+import { readFile } from 'fs/promises';
+import { BarAggregator } from './bar-aggregator.js';
+import { resolveRepository } from './repository.js';
+import { normalizeTimeframe } from './strategy-helpers.js';
+
+const PAGE_SIZE = 1000; // Supabase caps a single select at 1000 rows
+
+/**
+ * Load bars in chronological order from the requested source
+ * @param {Object} params
+ * @param {string} params.source - 'file', 'aggregated_bars' or 'minute_bars'
+ * @param {string} params.symbol - Symbol to load (e.g. 'QQQ')
+ * @param {string} params.timeframe - Bar timeframe (e.g. '5m'); minute bars are aggregated to it
+ * @param {string} [params.start] - Inclusive ISO start date/time
+ * @param {string} [params.end] - Inclusive ISO end date/time
+ * @param {string} [params.file] - Path to a .csv or .json file when source is 'file'
+ * @param {Object} [params.store] - Repository (or raw Supabase client) for table sources; defaults to the configured repository
+ * @returns {Promise<Array>} Bars with numeric OHLCV fields
+ */
+export async function loadBars({ source = 'file', symbol, timeframe = '5m', start, end, file, store }) {
+  const normalizedTimeframe = normalizeTimeframe(timeframe);
+
+  switch (source) {
+    case 'file':
+      if (!file) {
+        throw new Error('A file path is required when source is "file"');
+      }
+      return filterByRange(await loadBarsFromFile(file, symbol), start, end);
+
+    case 'aggregated_bars':
+      return loadBarsFromTable(resolveRepository(store), 'aggregated_bars', symbol, normalizedTimeframe, start, end);
+
+    case 'minute_bars': {
+      const repository = resolveRepository(store);
+      const minuteBars = await loadBarsFromTable(repository, 'minute_bars', symbol, null, start, end);
+      if (normalizedTimeframe === '1m') {
+        return minuteBars;
+      }
+      return aggregateMinuteBars(minuteBars, normalizedTimeframe, repository);
+    }
+
+    default:
+      throw new Error(`Unknown bar source: ${source}`);
+  }
+}
+
+/**
+ * Read bars from a local CSV or JSON file
+ */
+export async function loadBarsFromFile(file, symbol = null) {
+  const content = await readFile(file, 'utf8');
+  const rows = file.toLowerCase().endsWith('.csv') ? parseCsv(content) : parseJson(content);
+
+  return rows
+    .filter(row => !symbol || !row.symbol || row.symbol === symbol)
+    .map(normalizeBar)
+    .filter(bar => bar !== null)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+/**
+ * Page through a bar table in chronological order
+ */
+async function loadBarsFromTable(store, tableName, symbol, timeframe, start, end) {
+  const bars = [];
+  let offset = 0;
+
+  while (true) {
+    const options = { start, end, limit: PAGE_SIZE, offset, ascending: true };
+    const { data, error } = tableName === 'minute_bars'
+      ? await store.getMinuteBars(symbol, options)
+      : await store.getAggregatedBars(symbol, timeframe, options);
+
+    if (error) {
+      throw new Error(`Failed to load ${tableName}: ${error.message}`);
+    }
+
+    bars.push(...data.map(normalizeBar).filter(bar => bar !== null));
+
+    if (data.length < PAGE_SIZE) break;
+    offset += PAGE_SIZE;
+  }
+
+  console.log(`[BAR_SOURCE] Loaded ${bars.length} rows from ${tableName} for ${symbol}`);
+  return bars;
+}
+
+/**
+ * Aggregate minute bars into the requested timeframe using BarAggregator bucketing
+ */
+function aggregateMinuteBars(minuteBars, timeframe, store) {
+  const aggregator = new BarAggregator(store);
+  const buckets = aggregator.groupIntoBuckets(minuteBars, aggregator.parseTimeframe(timeframe));
+
+  return buckets
+    .map(bucket => aggregator.createAggregatedBar(bucket, timeframe))
+    .filter(bar => bar !== null)
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+function filterByRange(bars, start, end) {
+  const startTime = start ? new Date(start).getTime() : -Infinity;
+  const endTime = end ? new Date(end).getTime() : Infinity;
+
+  return bars.filter(bar => {
+    const time = new Date(bar.timestamp).getTime();
+    return time >= startTime && time <= endTime;
+  });
+}
+
+/**
+ * Accepts both database rows and Alpaca's short keys (t, o, h, l, c, v, n, vw)
+ */
+export function normalizeBar(row) {
+  const timestamp = row.timestamp ?? row.t ?? row.time ?? row.date;
+  const close = parseFloat(row.close ?? row.c);
+
+  if (!timestamp || isNaN(close)) {
+    return null;
+  }
+
+  return {
+    timestamp: new Date(timestamp).toISOString(),
+    open: parseFloat(row.open ?? row.o),
+    high: parseFloat(row.high ?? row.h),
+    low: parseFloat(row.low ?? row.l),
+    close,
+    volume: parseInt(row.volume ?? row.v ?? 0),
+    trade_count: parseInt(row.trade_count ?? row.n ?? 0),
+    vwap: parseFloat(row.vwap ?? row.vw ?? close)
+  };
+}
+
+function parseJson(content) {
+  const parsed = JSON.parse(content);
+  if (Array.isArray(parsed)) return parsed;
+  if (Array.isArray(parsed.bars)) return parsed.bars;
+  throw new Error('JSON bar file must be an array or an object with a "bars" array');
+}
+
+function parseCsv(content) {
+  const lines = content.split(/\r?\n/).filter(line => line.trim().length > 0);
+  if (lines.length === 0) return [];
+
+  const headers = lines[0].split(',').map(header => header.trim().toLowerCase());
+
+  return lines.slice(1).map(line => {
+    const values = line.split(',');
+    return headers.reduce((row, header, index) => {
+      row[header] = values[index]?.trim();
+      return row;
+    }, {});
+  });
+}
@@ -0,0 +1,326 @@
+// lib/bar-validator.js
+// Data-quality gate for incoming minute bars: OHLC consistency, zero volume, spikes beyond N ATRs from the
+// neighbouring bars, duplicate/out-of-order timestamps and a check against the latest quote.
+// Rejected bars are written to quarantined_bars and each one is logged as a BAR_QUARANTINED system event.
+// A spike stays as a provisional neighbour: when the next bar agrees with it, the move was a real gap or level
+// shift, so both bars are accepted (the spike is logged as BAR_RELEASED) instead of quarantining every bar after it.
+
+import { IndicatorCalculator } from './indicators.js';
+import { resolveRepository } from './repository.js';
+
+const MS_PER_MINUTE = 60 * 1000;
+const SPIKE_MAX_GAP_MINUTES = 15;   // A neighbour older than this (overnight, halt) doesn't bound the next bar
+const QUOTE_MAX_AGE_MINUTES = 5;    // Only bars this recent are compared with the current quote
+
+export class BarValidator {
+  /**
+   * @param {Object} [deps]
+   * @param {Object} [deps.store] - Repository or raw Supabase client; defaults to the configured repository
+   * @param {AlpacaClient} [deps.alpaca] - Source of latest quotes; without it the quote check is skipped
+   */
+  constructor({ store, alpaca = null } = {}) {
+    this.store = resolveRepository(store);
+    this.alpaca = alpaca;
+    this.indicators = new IndicatorCalculator();
+
+    this.atrPeriod = 14;
+    this.spikeAtrMultiplier = parseFloat(process.env.BAR_SPIKE_ATR_MULTIPLIER || '6');
+    this.quoteTolerance = parseFloat(process.env.BAR_QUOTE_TOLERANCE || '0.005');  // 0 disables the quote check
+  }
+
+  /**
+   * Split minute_bars records into accepted and quarantined bars. Quarantined bars are stored and logged here.
+   * @param {Array<Object>} records - minute_bars rows (toMinuteBarRecord)
+   * @param {Object} [options]
+   * @param {string} [options.source] - 'latest', 'repair', 'stream', 'correction' or 'backfill', kept with quarantined bars
+   * @param {boolean} [options.checkOrder=true] - Reject bars older than the newest stored one (off for backfills and corrections)
+   * @param {boolean} [options.compareQuotes=false] - Compare recent closes with the latest quote midpoint
+   * @param {Date} [options.now]
+   * @returns {Promise<Object>} { accepted, quarantined: [{ record, reasons, details }], duplicates, released }
+   *   (`released`: earlier spikes confirmed by a later bar, also included in `accepted`)
+   */
+  async validate(records, { source = 'unknown', checkOrder = true, compareQuotes = false, now = new Date() } = {}) {
+    const accepted = [];
+    const quarantined = [];
+    const duplicates = [];
+    const released = [];
+
+    const bySymbol = groupBySymbol(records);
+    const quotes = compareQuotes ? await this.loadQuotes(Object.keys(bySymbol), records, now) : {};
+
+    for (const [symbol, symbolRecords] of Object.entries(bySymbol)) {
+      const context = await this.loadNeighbours(symbol, symbolRecords[0], checkOrder);
+      const stored = new Map(context.map(bar => [time(bar.timestamp), bar]));
+      const newestStored = checkOrder && context.length > 0 ? time(context[context.length - 1].timestamp) : null;
+      const seen = new Set();
+
+      // Latest spike since the newest accepted bar; a following bar that agrees with it confirms the move
+      let provisional = checkOrder ? await this.loadProvisional(symbol, newestStored) : null;
+
+      for (const record of symbolRecords) {
+        const timestamp = time(record.timestamp);
+
+        // Resent bars (the latest-bar endpoint while closed, stream replays) are dropped without a write
+        if (seen.has(timestamp) || (stored.has(timestamp) && sameBar(stored.get(timestamp), record))) {
+          duplicates.push(record);
+          continue;
+        }
+        seen.add(timestamp);
+
+        const reasons = [];
+        const details = {};
+
+        if (!hasConsistentPrices(record)) reasons.push('ohlc_inconsistent');
+        if (!(record.volume > 0)) reasons.push('zero_volume');
+
+        // Only the newest stored minute may be revised by live ingestion
+        if (newestStored !== null && timestamp < newestStored) {
+          reasons.push('out_of_order');
+          details.newest_stored = new Date(newestStored).toISOString();
+        }
+
+        const before = barsBefore(context, timestamp, this.atrPeriod + 1);
+        let spike = reasons.length === 0 ? this.checkSpike(record, before) : null;
+        let confirmed = null;
+
+        if (spike && provisional && time(provisional.timestamp) < timestamp && !this.checkSpike(record, before, provisional)) {
+          confirmed = provisional;
+          spike = null;
+        }
+
+        if (spike) {
+          reasons.push('spike');
+          details.spike = spike;
+        }
+
+        const quote = quotes[symbol];
+        const mismatch = quote && now.getTime() - timestamp <= QUOTE_MAX_AGE_MINUTES * MS_PER_MINUTE
+          ? this.checkQuote(record, quote)
+          : null;
+        if (mismatch) {
+          reasons.push('quote_mismatch');
+          details.quote = mismatch;
+        }
+
+        if (reasons.length > 0) {
+          quarantined.push({ record, reasons, details });
+          provisional = reasons.length === 1 && spike ? record : provisional;
+          continue;
+        }
+
+        if (confirmed) {
+          const entry = quarantined.find(item => item.record === confirmed);
+          if (entry) quarantined.splice(quarantined.indexOf(entry), 1);
+
+          released.push(confirmed);
+          accepted.push(confirmed);
+          insertByTime(context, confirmed);
+        }
+
+        // Any accepted bar settles the price; an older spike can no longer be confirmed
+        provisional = null;
+        accepted.push(record);
+        insertByTime(context, record);
+      }
+    }
+
+    await this.quarantine(quarantined, source);
+    await this.release(released.filter(record => !records.includes(record)), source);
+    return { accepted, quarantined, duplicates, released };
+  }
+
+  /**
+   * Move from the previous close to the bar's high or low, when it exceeds the ATR multiple
+   * @param {Object} record
+   * @param {Array<Object>} before - Up to atrPeriod + 1 bars preceding the record, oldest first
+   * @param {Object} [previous] - Bar the move is measured from; defaults to the last of `before`
+   */
+  checkSpike(record, before, previous = before[before.length - 1]) {
+    if (before.length < this.atrPeriod + 1) return null;
+
+    if (time(record.timestamp) - time(previous.timestamp) > SPIKE_MAX_GAP_MINUTES * MS_PER_MINUTE) return null;
+
+    const atr = this.indicators.atr(before, this.atrPeriod).pop();
+    if (!atr) return null;
+
+    const move = Math.max(Math.abs(record.high - previous.close), Math.abs(record.low - previous.close));
+    if (move <= atr * this.spikeAtrMultiplier) return null;
+
+    return { move, atr, atr_multiple: move / atr, previous_close: previous.close, previous_timestamp: previous.timestamp };
+  }
+
+  /**
+   * Close too far from the latest quote midpoint
+   */
+  checkQuote(record, quote) {
+    const bid = parseFloat(quote.bp);
+    const ask = parseFloat(quote.ap);
+    if (!(bid > 0) || !(ask > 0)) return null;
+
+    const mid = (bid + ask) / 2;
+    const deviation = Math.abs(record.close - mid) / mid;
+    if (deviation <= this.quoteTolerance) return null;
+
+    return { bid, ask, mid, deviation, quote_time: quote.t };
+  }
+
+  /**
+   * Stored bars the records are checked against: the newest ones for live ingestion, or the ones just before a backfill batch
+   */
+  async loadNeighbours(symbol, first, checkOrder) {
+    const options = checkOrder
+      ? { limit: this.atrPeriod + 1, ascending: false }
+      : { end: new Date(time(first.timestamp) - 1).toISOString(), limit: this.atrPeriod + 1, ascending: false };
+
+    const { data, error } = await this.store.getMinuteBars(symbol, options);
+    if (error) {
+      console.error(`[VALIDATOR] Error loading neighbouring bars for ${symbol}:`, error);
+      return [];
+    }
+
+    return (data || []).reverse();
+  }
+
+  /**
+   * Newest bar quarantined only as a spike after the newest stored bar, as a minute_bars record
+   */
+  async loadProvisional(symbol, newestStored) {
+    if (newestStored === null) return null;
+
+    const { data, error } = await this.store.getQuarantinedBars(symbol, {
+      after: new Date(newestStored).toISOString(),
+      limit: 1,
+      ascending: false
+    });
+
+    if (error) {
+      console.error(`[VALIDATOR] Error loading provisional bars for ${symbol}:`, error);
+      return null;
+    }
+
+    const bar = data?.[0];
+    if (!bar || bar.reasons?.length !== 1 || bar.reasons[0] !== 'spike') return null;
+
+    const { id, reasons, details, source, quarantined_at: quarantinedAt, ...record } = bar;
+    return record;
+  }
+
+  async loadQuotes(symbols, records, now) {
+    const recent = records.some(record => now.getTime() - time(record.timestamp) <= QUOTE_MAX_AGE_MINUTES * MS_PER_MINUTE);
+    if (!this.alpaca || !(this.quoteTolerance > 0) || !recent) return {};
+
+    try {
+      return (await this.alpaca.getQuotes(symbols)) || {};
+    } catch (error) {
+      console.error('[VALIDATOR] Quote check skipped, latest quotes unavailable:', error.message);
+      return {};
+    }
+  }
+
+  /**
+   * Store rejected bars in quarantined_bars and log one BAR_QUARANTINED event per bar
+   */
+  async quarantine(entries, source) {
+    if (entries.length === 0) return;
+
+    const quarantinedAt = new Date().toISOString();
+    const { error } = await this.store.insertQuarantinedBars(entries.map(({ record, reasons, details }) => ({
+      ...record,
+      reasons,
+      details,
+      source,
+      quarantined_at: quarantinedAt
+    })));
+
+    if (error) {
+      console.error('[VALIDATOR] Failed to store quarantined bars:', error);
+    }
+
+    for (const { record, reasons, details } of entries) {
+      console.warn(`[VALIDATOR] Quarantined ${record.symbol} ${record.timestamp} (${source}): ${reasons.join(', ')}`);
+
+      const { error: eventError } = await this.store.insertEvent({
+        event_type: 'BAR_QUARANTINED',
+        symbol: record.symbol,
+        timestamp: quarantinedAt,
+        event_details: {
+          bar_timestamp: record.timestamp,
+          source,
+          reasons,
+          details,
+          bar: { open: record.open, high: record.high, low: record.low, close: record.close, volume: record.volume }
+        }
+      });
+
+      if (eventError) {
+        console.error('[VALIDATOR] Failed to log quarantine event:', eventError);
+      }
+    }
+  }
+
+  /**
+   * Log stored spikes that a later bar confirmed; the caller stores them with the accepted bars
+   */
+  async release(records, source) {
+    for (const record of records) {
+      console.warn(`[VALIDATOR] Released ${record.symbol} ${record.timestamp} (${source}): spike confirmed by the next bar`);
+
+      const { error } = await this.store.insertEvent({
+        event_type: 'BAR_RELEASED',
+        symbol: record.symbol,
+        timestamp: new Date().toISOString(),
+        event_details: { bar_timestamp: record.timestamp, source, reason: 'spike_confirmed' }
+      });
+
+      if (error) {
+        console.error('[VALIDATOR] Failed to log release event:', error);
+      }
+    }
+  }
+}
+
+function groupBySymbol(records) {
+  const groups = {};
+  for (const record of records) {
+    (groups[record.symbol] = groups[record.symbol] || []).push(record);
+  }
+  for (const group of Object.values(groups)) {
+    group.sort((a, b) => time(a.timestamp) - time(b.timestamp));
+  }
+  return groups;
+}
+
+function hasConsistentPrices({ open, high, low, close }) {
+  const prices = [open, high, low, close];
+  if (!prices.every(price => Number.isFinite(price) && price > 0)) return false;
+  return high >= Math.max(open, close, low) && low <= Math.min(open, close);
+}
+
+function sameBar(a, b) {
+  return ['open', 'high', 'low', 'close', 'volume'].every(field => Number(a[field]) === Number(b[field]));
+}
+
+/**
+ * Up to `count` bars of an ascending list that precede the timestamp
+ */
+function barsBefore(bars, timestamp, count) {
+  let end = bars.length;
+  while (end > 0 && time(bars[end - 1].timestamp) >= timestamp) end--;
+  return bars.slice(Math.max(0, end - count), end);
+}
+
+function insertByTime(bars, record) {
+  const timestamp = time(record.timestamp);
+  let index = bars.length;
+  while (index > 0 && time(bars[index - 1].timestamp) >= timestamp) index--;
+
+  if (index < bars.length && time(bars[index].timestamp) === timestamp) {
+    bars[index] = record;
+  } else {
+    bars.splice(index, 0, record);
+  }
+}
+
+function time(value) {
+  return new Date(value).getTime();
+}
@@ -0,0 +1,68 @@
+// lib/broker.js
+// Selects the order-routing backend (Alpaca or the local simulator) from configuration
+//
+// Every broker exposes the same Alpaca-shaped interface:
+//   getAccount(), getPositions(), getOrders(params), getOrder(id), submitOrder(payload),
+//   cancelOrder(id), getQuotes(symbols), getOptionChain(underlying) -> { contracts } | null
+
+import { readFileSync } from 'fs';
+import { AlpacaBroker } from './alpaca-broker.js';
+import { SimulatedBroker } from './simulated-broker.js';
+
+let sharedBroker = null;
+
+/**
+ * Create a broker for the configured backend
+ * @param {Object} [config]
+ * @param {string} [config.type] - 'alpaca' (default) or 'simulated'; falls back to BROKER
+ * @param {number} [config.initialCash] - Simulator starting cash; falls back to SIM_INITIAL_CASH
+ * @param {number} [config.commissionPerOrder] - Simulator commission; falls back to SIM_COMMISSION
+ * @param {Object} [config.marketData] - Simulator quotes/option chains; falls back to the SIM_MARKET_DATA JSON file
+ */
+export function createBroker(config = {}) {
+  const type = (config.type || process.env.BROKER || 'alpaca').toLowerCase();
+
+  switch (type) {
+    case 'alpaca':
+      return new AlpacaBroker();
+
+    case 'simulated':
+      console.log('Using simulated broker - no orders will reach Alpaca');
+      return new SimulatedBroker({
+        initialCash: config.initialCash ?? parseFloat(process.env.SIM_INITIAL_CASH || '100000'),
+        commissionPerOrder: config.commissionPerOrder ?? parseFloat(process.env.SIM_COMMISSION || '0'),
+        marketData: config.marketData || loadMarketDataFile(process.env.SIM_MARKET_DATA)
+      });
+
+    default:
+      throw new Error(`Unknown BROKER: ${type} (expected 'alpaca' or 'simulated')`);
+  }
+}
+
+/**
+ * Process-wide broker so the simulator keeps its cash and positions between calls
+ */
+export function getBroker() {
+  if (!sharedBroker) {
+    sharedBroker = createBroker();
+  }
+  return sharedBroker;
+}
+
+/**
+ * Replace the shared broker (e.g. with a pre-loaded SimulatedBroker)
+ */
+export function setBroker(broker) {
+  sharedBroker = broker;
+}
+
+function loadMarketDataFile(file) {
+  if (!file) return null;
+
+  try {
+    return JSON.parse(readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`Failed to load simulator market data from ${file}:`, error.message);
+    return null;
+  }
+}
@@ -0,0 +1,129 @@
+// lib/data-feed.js
+// Alpaca market-data feed selection (ALPACA_DATA_FEED=iex|sip) and normalization of IEX volume to
+// consolidated (SIP) terms, so absolute and relative volume thresholds mean the same on either feed.
+
+export const DATA_FEEDS = ['iex', 'sip'];
+
+let warnedUncalibrated = false;
+let parsedFactors = null;  // { value, factors } for the IEX_VOLUME_FACTORS value last parsed
+
+/**
+ * Feed used for bars, quotes and the stream in this deployment
+ */
+export function getDataFeed() {
+  const feed = (process.env.ALPACA_DATA_FEED || 'iex').trim().toLowerCase();
+  if (!DATA_FEEDS.includes(feed)) {
+    throw new Error(`Unknown ALPACA_DATA_FEED: ${feed} (expected ${DATA_FEEDS.join(' or ')})`);
+  }
+  return feed;
+}
+
+/**
+ * Multiplier from a feed's volume to consolidated volume. SIP is 1. IEX uses IEX_VOLUME_FACTORS,
+ * either one number or a JSON map such as {"QQQ": 38.2, "*": 40} (from `npm run calibrate-volume`).
+ */
+export function volumeFactor(symbol, feed = getDataFeed()) {
+  if (feed === 'sip') return 1;
+
+  const factors = loadFactors(process.env.IEX_VOLUME_FACTORS);
+  const factor = factors[symbol] ?? factors['*'];
+
+  if (!factor) {
+    if (!warnedUncalibrated) {
+      warnedUncalibrated = true;
+      console.warn(`[FEED] IEX_VOLUME_FACTORS has no factor for ${symbol}, storing raw IEX volume`);
+    }
+    return 1;
+  }
+
+  return factor;
+}
+
+/**
+ * Consolidated-equivalent volume of a bar from the given feed
+ */
+export function normalizeVolume(volume, symbol, feed = getDataFeed()) {
+  return Math.round(volume * volumeFactor(symbol, feed));
+}
+
+/**
+ * IEX -> SIP volume factors from the minutes both feeds reported in [start, end].
+ * SIP history needs a subscription that covers it (older than 15 minutes on the free plan).
+ * @param {Object} params
+ * @param {AlpacaClient} params.alpaca
+ * @param {Array<string>} params.symbols
+ * @param {string} params.start - ISO timestamp
+ * @param {string} params.end - ISO timestamp
+ * @param {MarketCalendar} [params.calendar] - Restricts the sample to regular-session minutes when given
+ * @returns {Promise<Object>} { SYMBOL: { factor, minutes, iex_volume, sip_volume } }
+ */
+export async function calibrateVolumeFactors({ alpaca, symbols, start, end, calendar = null }) {
+  const results = {};
+
+  for (const symbol of symbols) {
+    const [iexBars, sipBars] = await Promise.all([
+      alpaca.getAllBars({ symbol, timeframe: '1Min', start, end, feed: 'iex' }),
+      alpaca.getAllBars({ symbol, timeframe: '1Min', start, end, feed: 'sip' })
+    ]);
+
+    const sipByMinute = new Map(sipBars.map(bar => [new Date(bar.t).getTime(), bar]));
+    let iexVolume = 0;
+    let sipVolume = 0;
+    let minutes = 0;
+
+    for (const bar of iexBars) {
+      const sipBar = sipByMinute.get(new Date(bar.t).getTime());
+      if (!sipBar || (calendar && calendar.barSession(bar.t) !== 'regular')) continue;
+
+      iexVolume += bar.v;
+      sipVolume += sipBar.v;
+      minutes++;
+    }
+
+    results[symbol] = {
+      factor: iexVolume > 0 ? Math.round((sipVolume / iexVolume) * 100) / 100 : null,
+      minutes,
+      iex_volume: iexVolume,
+      sip_volume: sipVolume
+    };
+  }
+
+  return results;
+}
+
+/**
+ * Factors parsed once per value. A malformed value or factor is logged and ignored (factor 1) instead of
+ * throwing on every bar and stopping ingestion.
+ */
+function loadFactors(value) {
+  if (!parsedFactors || parsedFactors.value !== value) {
+    parsedFactors = { value, factors: parseFactors(value) };
+  }
+  return parsedFactors.factors;
+}
+
+function parseFactors(value) {
+  const trimmed = (value || '').trim();
+  if (!trimmed) return {};
+
+  let entries;
+  try {
+    entries = trimmed.startsWith('{')
+      ? Object.entries(JSON.parse(trimmed)).map(([symbol, factor]) => [symbol === '*' ? symbol : symbol.toUpperCase(), factor])
+      : [['*', trimmed]];
+  } catch (error) {
+    console.warn(`[FEED] Ignoring IEX_VOLUME_FACTORS, not valid JSON (${error.message}); using raw IEX volume`);
+    return {};
+  }
+
+  const factors = {};
+  for (const [symbol, factor] of entries) {
+    const number = Number(factor);
+    if (Number.isFinite(number) && number > 0) {
+      factors[symbol] = number;
+    } else {
+      console.warn(`[FEED] Ignoring IEX_VOLUME_FACTORS entry ${symbol}=${JSON.stringify(factor)}, expected a positive number`);
+    }
+  }
+  return factors;
+}
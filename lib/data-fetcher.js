@@ -1,37 +1,30 @@
 import { AlpacaClient } from './alpaca-client.js';
-import { createClient } from '@supabase/supabase-js';
+import { resolveRepository } from './repository.js';
+import { getMarketCalendar } from './market-calendar.js';
+import { BarValidator } from './bar-validator.js';
+import { getDataFeed, normalizeVolume } from './data-feed.js';
 
 export class DataFetcher {
-  constructor() {
-    this.alpaca = new AlpacaClient();
-    
-    // Use service role key for bypassing RLS when available, fallback to anon key
-    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
-    if (!supabaseKey) {
-      throw new Error('Missing Supabase keys: SUPABASE_SERVICE_ROLE_KEY or SUPABASE_ANON_KEY required');
-    }
-    
-    this.supabase = createClient(
-      process.env.SUPABASE_URL,
-      supabaseKey,
-      {
-        auth: {
-          autoRefreshToken: false,
-          persistSession: false
-        }
-      }
-    );
-
-    console.log(`DataFetcher initialized with ${process.env.SUPABASE_SERVICE_ROLE_KEY ? 'service role' : 'anon'} key`);
+  /**
+   * @param {Object} [store] - Repository or raw Supabase client; defaults to the configured repository
+   */
+  constructor(store = null) {
+    this.store = resolveRepository(store);
+    this.alpaca = new AlpacaClient(this.store);
+    this.validator = new BarValidator({ store: this.store, alpaca: this.alpaca });
   }
 
+  /**
+   * Fetch the latest minute bar for every symbol in one Alpaca request and store the ones that pass validation in one upsert
+   * @returns {Promise<Object>} Alpaca's response plus `records` (stored minute_bars rows) and `quarantined`
+   */
   async fetchLatestBars(symbols = ['QQQ']) {
     try {
       console.log(`Fetching latest bars for symbols: ${symbols.join(', ')}`);
       
       const response = await this.alpaca.makeDataRequest('/v2/stocks/bars/latest', {
         symbols: symbols.join(','),
-        feed: 'iex'
+        feed: this.alpaca.dataFeed
       });
 
       console.log('Received response from Alpaca:', response);
@@ -41,112 +34,176 @@ export class DataFetcher {
         return response;
       }
 
-      // Store each bar in the database
-      for (const [symbol, barData] of Object.entries(response.bars)) {
-        console.log(`Storing minute bar for ${symbol}:`, barData);
-        await this.storeMinuteBar(symbol, barData);
+      const missing = symbols.filter(symbol => !response.bars[symbol]);
+      if (missing.length > 0) {
+        console.warn(`No latest bar returned for: ${missing.join(', ')}`);
       }
 
-      return response;
+      const stored = await this.storeMinuteBars(response.bars, { source: 'latest', compareQuotes: true });
+
+      return { ...response, ...stored };
     } catch (error) {
       console.error('Error fetching latest bars:', error);
       throw error;
     }
   }
 
-  async storeMinuteBar(symbol, barData) {
-    try {
-      const barRecord = {
-        symbol,
-        timestamp: barData.t,
-        open: parseFloat(barData.o),
-        high: parseFloat(barData.h),
-        low: parseFloat(barData.l),
-        close: parseFloat(barData.c),
-        volume: parseInt(barData.v),
-        trade_count: parseInt(barData.n),
-        vwap: parseFloat(barData.vw)
-      };
+  /**
+   * Fetch the minutes missed since each symbol's last stored bar in one ranged request.
+   * Symbols with no stored bars are left to the backfill command.
+   * @param {Array<string>} symbols
+   * @param {Object} [options]
+   * @param {Date} [options.now]
+   * @param {number} [options.maxLookbackMinutes=390] - Oldest minute repaired, relative to now
+   * @returns {Promise<Object>} { checked, last_stored, repaired: { SYMBOL: count }, repaired_from, bars }
+   */
+  async repairGaps(symbols = ['QQQ'], { now = new Date(), maxLookbackMinutes = 390 } = {}) {
+    const lastStored = {};
+    for (const symbol of symbols) {
+      const { data, error } = await this.store.getMinuteBars(symbol, { limit: 1, ascending: false });
+      if (error) {
+        throw new Error(`Failed to load last minute bar for ${symbol}: ${error.message}`);
+      }
+      lastStored[symbol] = data?.[0]?.timestamp || null;
+    }
 
-      console.log(`Storing bar record:`, barRecord);
+    // The latest-bar endpoint lags a minute, so only a longer silence is a gap
+    const oldest = now.getTime() - maxLookbackMinutes * 60 * 1000;
+    const behind = symbols.filter(symbol =>
+      lastStored[symbol] && now.getTime() - new Date(lastStored[symbol]).getTime() > 2 * 60 * 1000
+    );
+
+    if (behind.length === 0) {
+      return { checked: symbols, last_stored: lastStored, repaired: {}, repaired_from: null, bars: [] };
+    }
 
-      // Try upsert first if we have service role key
-      if (process.env.SUPABASE_SERVICE_ROLE_KEY) {
-        try {
-          const { data, error } = await this.supabase
-            .from('minute_bars')
-            .upsert(barRecord, { 
-              onConflict: 'symbol,timestamp',
-              ignoreDuplicates: false 
-            })
-            .select();
-
-          if (error) {
-            console.error('Upsert error, falling back to insert/update:', error);
-            // Fall back to check-then-insert-or-update logic
-            return await this.insertOrUpdateBar(barRecord, symbol, barData.t);
-          }
-
-          console.log(`Successfully upserted bar for ${symbol}`);
-          return barRecord;
-        } catch (upsertError) {
-          console.error('Upsert failed, falling back to insert/update:', upsertError);
-          return await this.insertOrUpdateBar(barRecord, symbol, barData.t);
-        }
-      } else {
-        // Use insert/update logic for anon key
-        return await this.insertOrUpdateBar(barRecord, symbol, barData.t);
+    const start = Math.max(
+      oldest,
+      Math.min(...behind.map(symbol => new Date(lastStored[symbol]).getTime() + 60 * 1000))
+    );
+
+    console.log(`Repairing minute bars for ${behind.join(', ')} since ${new Date(start).toISOString()}`);
+
+    const barsBySymbol = {};
+    let pageToken;
+    do {
+      const response = await this.alpaca.makeDataRequest('/v2/stocks/bars', {
+        symbols: behind.join(','),
+        timeframe: '1Min',
+        start: new Date(start).toISOString(),
+        end: now.toISOString(),
+        feed: this.alpaca.dataFeed,
+        limit: 10000,
+        page_token: pageToken
+      });
+
+      for (const [symbol, bars] of Object.entries(response.bars || {})) {
+        barsBySymbol[symbol] = [...(barsBySymbol[symbol] || []), ...bars];
       }
-    } catch (error) {
-      console.error('Error storing minute bar:', error);
-      throw error;
+      pageToken = response.next_page_token || undefined;
+    } while (pageToken);
+
+    const repaired = {};
+    const records = [];
+    for (const symbol of behind) {
+      const after = new Date(lastStored[symbol]).getTime();
+      const missing = (barsBySymbol[symbol] || []).filter(bar => new Date(bar.t).getTime() > after);
+
+      records.push(...missing.map(bar => toMinuteBarRecord(symbol, bar)));
+    }
+
+    const { accepted, quarantined } = await this.validator.validate(records, { source: 'repair', now });
+    for (const symbol of behind) {
+      repaired[symbol] = accepted.filter(record => record.symbol === symbol).length;
     }
+
+    if (accepted.length > 0) {
+      const { error } = await this.store.upsertMinuteBars(accepted);
+      if (error) {
+        console.error('Error storing repaired minute bars:', error);
+        throw error;
+      }
+    }
+
+    console.log(`Repaired ${accepted.length} minute bars:`, repaired);
+    return {
+      checked: symbols,
+      last_stored: lastStored,
+      repaired,
+      repaired_from: accepted.length > 0 ? new Date(start).toISOString() : null,
+      quarantined: quarantined.length,
+      bars: accepted
+    };
+  }
+
+  /**
+   * Validate a { SYMBOL: alpacaBar } map and store the accepted bars in a single upsert
+   * @param {Object} barsBySymbol
+   * @param {Object} [options] - BarValidator.validate options
+   * @returns {Promise<Object>} { records: accepted and resent bars, quarantined }
+   */
+  async storeMinuteBars(barsBySymbol, options = {}) {
+    const records = Object.entries(barsBySymbol).map(([symbol, barData]) => toMinuteBarRecord(symbol, barData));
+
+    if (records.length === 0) {
+      return { records, quarantined: [] };
+    }
+
+    const { accepted, quarantined, duplicates } = await this.validator.validate(records, options);
+
+    if (accepted.length > 0) {
+      const { error } = await this.store.upsertMinuteBars(accepted);
+
+      if (error) {
+        console.error('Error storing minute bars:', error);
+        throw error;
+      }
+    }
+
+    console.log(`Stored ${accepted.length} minute bars (${accepted.map(r => r.symbol).join(', ')}), ${duplicates.length} unchanged, ${quarantined.length} quarantined`);
+    return { records: [...accepted, ...duplicates], quarantined };
   }
 
-  async insertOrUpdateBar(barRecord, symbol, timestamp) {
+  /**
+   * Validate and store one streamed bar
+   * @param {string} symbol
+   * @param {Object} barData - Alpaca bar
+   * @param {Object} [options]
+   * @param {boolean} [options.corrected=false] - A late correction (updatedBars) of an already stored minute
+   * @returns {Promise<Object>} { record: the minute_bars row, or null when the bar was quarantined,
+   *   released: earlier quarantined spikes this bar confirmed, stored with it }
+   */
+  async storeMinuteBar(symbol, barData, { corrected = false } = {}) {
     try {
-      // Check if record already exists
-      const { data: existingRecord, error: selectError } = await this.supabase
-        .from('minute_bars')
-        .select('id')
-        .eq('symbol', symbol)
-        .eq('timestamp', timestamp)
-        .maybeSingle(); // Use maybeSingle to avoid error when no record found
-
-      if (selectError) {
-        console.error('Error checking existing record:', selectError);
-        throw selectError;
+      const barRecord = toMinuteBarRecord(symbol, barData);
+
+      const { accepted, quarantined, released } = await this.validator.validate([barRecord], {
+        source: corrected ? 'correction' : 'stream',
+        checkOrder: !corrected
+      });
+
+      if (quarantined.length > 0) {
+        return { record: null, released: [] };
       }
 
-      let result;
-      if (existingRecord) {
-        // Update existing record
-        console.log(`Updating existing record for ${symbol} at ${timestamp}`);
-        const { data, error } = await this.supabase
-          .from('minute_bars')
-          .update(barRecord)
-          .eq('symbol', symbol)
-          .eq('timestamp', timestamp)
-          .select();
-        
-        if (error) throw error;
-        result = data;
-      } else {
-        // Insert new record
-        console.log(`Inserting new record for ${symbol} at ${timestamp}`);
-        const { data, error } = await this.supabase
-          .from('minute_bars')
-          .insert(barRecord)
-          .select();
-        
-        if (error) throw error;
-        result = data;
+      if (accepted.length === 0) {
+        // Same bar as the stored one
+        return { record: barRecord, released: [] };
+      }
+
+      console.log(`Storing bar record:`, barRecord);
+
+      const { error } = await this.store.upsertMinuteBars(accepted);
+
+      if (error) {
+        console.error('Error storing minute bar:', error);
+        throw error;
       }
 
       console.log(`Successfully stored bar for ${symbol}`);
-      return barRecord;
+      return { record: barRecord, released };
     } catch (error) {
-      console.error('Error in insertOrUpdateBar:', error);
+      console.error('Error storing minute bar:', error);
       throw error;
     }
   }
@@ -154,10 +211,7 @@ export class DataFetcher {
   // Method to test database connectivity and permissions
   async testConnection() {
     try {
-      const { data, error } = await this.supabase
-        .from('minute_bars')
-        .select('count')
-        .limit(1);
+      const { error } = await this.store.ping('minute_bars');
 
       if (error) {
         console.error('Database connection test failed:', error);
@@ -172,3 +226,26 @@ export class DataFetcher {
     }
   }
 }
+
+/**
+ * Alpaca bar (t/o/h/l/c/v/n/vw) to a minute_bars row, tagged with its session (premarket, regular, afterhours, overnight)
+ * and feed. `volume` is consolidated-equivalent (IEX volume times its factor); `raw_volume` is what the feed reported.
+ */
+export function toMinuteBarRecord(symbol, barData, feed = getDataFeed()) {
+  const rawVolume = parseInt(barData.v);
+
+  return {
+    symbol,
+    timestamp: barData.t,
+    open: parseFloat(barData.o),
+    high: parseFloat(barData.h),
+    low: parseFloat(barData.l),
+    close: parseFloat(barData.c),
+    volume: normalizeVolume(rawVolume, symbol, feed),
+    raw_volume: rawVolume,
+    feed,
+    trade_count: parseInt(barData.n),
+    vwap: parseFloat(barData.vw),
+    session: getMarketCalendar().barSession(barData.t)
+  };
+}
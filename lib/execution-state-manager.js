@@ -1,9 +1,14 @@
 // lib/execution-state-manager.js
 // Manages execution state across Vercel Edge Function invocations
 
+import { resolveRepository } from './repository.js';
+
 export class ExecutionStateManager {
-  constructor(supabaseClient) {
-    this.supabase = supabaseClient;
+  /**
+   * @param {Object} [store] - Repository or raw Supabase client; defaults to the configured repository
+   */
+  constructor(store) {
+    this.store = resolveRepository(store);
   }
 
   /**
@@ -11,14 +16,9 @@ export class ExecutionStateManager {
    */
   async getExecutionState(symbol, timeframe) {
     try {
-      let { data, error } = await this.supabase
-        .from('execution_state')
-        .select('*')
-        .eq('symbol', symbol)
-        .eq('timeframe', timeframe)
-        .single();
-
-      if (error && error.code === 'PGRST116') {
+      const { data, error } = await this.store.getExecutionState(symbol, timeframe);
+
+      if (!error && !data) {
         // Record doesn't exist, create it
         const newState = {
           symbol,
@@ -33,11 +33,7 @@ export class ExecutionStateManager {
           last_daily_reset: new Date().toISOString().split('T')[0] // Current date
         };
 
-        const { data: insertedData, error: insertError } = await this.supabase
-          .from('execution_state')
-          .insert(newState)
-          .select()
-          .single();
+        const { data: insertedData, error: insertError } = await this.store.insertExecutionState(newState);
 
         if (insertError) {
           console.error('Error creating execution state:', insertError);
@@ -77,13 +73,7 @@ export class ExecutionStateManager {
         updated_at: new Date().toISOString()
       };
 
-      const { data, error } = await this.supabase
-        .from('execution_state')
-        .update(updateData)
-        .eq('symbol', symbol)
-        .eq('timeframe', timeframe)
-        .select()
-        .single();
+      const { data, error } = await this.store.updateExecutionState(symbol, timeframe, updateData);
 
       if (error) {
         console.error('Error updating execution state:', error);
@@ -177,13 +167,11 @@ export class ExecutionStateManager {
         last_execution_time: new Date().toISOString()
       };
 
-      const { data, error } = await this.supabase
-        .from('execution_state')
-        .update(resetData)
-        .eq('symbol', executionState.symbol)
-        .eq('timeframe', executionState.timeframe)
-        .select()
-        .single();
+      const { data, error } = await this.store.updateExecutionState(
+        executionState.symbol,
+        executionState.timeframe,
+        resetData
+      );
 
       if (error) {
         console.error('Error performing daily reset:', error);
@@ -211,6 +199,9 @@ export class ExecutionStateManager {
       if (cacheTypes.includes('patterns')) {
         updateData.patterns_cache_updated = now;
       }
+      if (cacheTypes.includes('htf_levels')) {
+        updateData.htf_levels_cache_updated = now;
+      }
 
       return await this.updateExecutionState(symbol, timeframe, updateData);
     } catch (err) {
@@ -242,16 +233,7 @@ export class ExecutionStateManager {
    */
   async getExecutionStats(symbol, timeframe = null) {
     try {
-      let query = this.supabase
-        .from('execution_state')
-        .select('*')
-        .eq('symbol', symbol);
-
-      if (timeframe) {
-        query = query.eq('timeframe', timeframe);
-      }
-
-      const { data, error } = await query;
+      const { data, error } = await this.store.listExecutionStates(symbol, timeframe);
 
       if (error) {
         console.error('Error getting execution stats:', error);
@@ -299,6 +281,7 @@ export class ExecutionStateManager {
       trades_executed_today: 0,
       levels_cache_updated: null,
       patterns_cache_updated: null,
+      htf_levels_cache_updated: null,
       last_daily_reset: new Date().toISOString().split('T')[0]
     };
   }
@@ -343,11 +326,7 @@ export class ExecutionStateManager {
     try {
       const resetData = this.getDefaultExecutionState(symbol, timeframe);
       
-      const { data, error } = await this.supabase
-        .from('execution_state')
-        .upsert(resetData)
-        .select()
-        .single();
+      const { data, error } = await this.store.upsertExecutionState(resetData);
 
       if (error) {
         console.error('Error resetting execution state:', error);
@@ -1,3 +1,4 @@
+import { levelWeight } from './level-detector.js';
 
 export class FlagDetector {
   constructor() {
@@ -45,6 +46,7 @@ export class FlagDetector {
       preMoveStrength: moveAnalysis.strength,
       flagBars: flagPattern.bars,
       consolidationRange: flagPattern.range,
+      slope: flagPattern.slope,
       confluence: confluence,
       breakoutLevel: breakoutLevel,
       timeframe: flagPattern.timeframe,
@@ -330,7 +332,9 @@ export class FlagDetector {
     const tolerance = 0.008; // Slightly wider tolerance for confluence
 
     levels.forEach(level => {
-      const levelValue = level.value;
+      // LevelDetector output (value, touches) or stored detected_levels rows (price_level, touch_count)
+      const levelValue = level.value ?? level.price_level;
+      const touches = level.touches ?? level.touch_count;
 
       // Check if level is near flag boundaries or middle
       const nearFlagHigh = Math.abs(levelValue - flagHigh) / flagHigh < tolerance;
@@ -353,10 +357,13 @@ export class FlagDetector {
         }
 
         // Bonus for levels with multiple touches
-        if (level.touches && level.touches > 2) {
-          score *= (1 + (level.touches - 2) * 0.2);
+        if (touches && touches > 2) {
+          score *= (1 + (touches - 2) * 0.2);
         }
 
+        // Daily and weekly levels outweigh intraday ones
+        score *= level.weight ?? levelWeight(level);
+
         confluenceScore += score;
       }
     });
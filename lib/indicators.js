@@ -22,117 +22,6 @@ export class IndicatorCalculator {
         return result;
     }
 
-    detectLevels(bars, indicators) {
-        const levels = [];
-        const { ma200, ma400 } = indicators;
-        
-        // Add MA levels
-        if (ma200 && ma200.length > 0) {
-            levels.push({
-                type: 'ma200',
-                value: ma200[ma200.length - 1],
-                strength: 'high',
-                source: '200MA'
-            });
-        }
-        
-        if (ma400 && ma400.length > 0) {
-            levels.push({
-                type: 'ma400',
-                value: ma400[ma400.length - 1],
-                strength: 'high',
-                source: '400MA'
-            });
-        }
-
-        // Detect swing highs and lows
-        const swingLevels = this.findSwingLevels(bars);
-        levels.push(...swingLevels);
-
-        // Find confluence levels
-        const confluenceLevels = this.findConfluenceLevels(levels);
-        
-        return confluenceLevels;
-    }
-
-    findSwingLevels(bars, lookback = 10) {
-        const levels = [];
-        
-        for (let i = lookback; i < bars.length - lookback; i++) {
-            const current = bars[i];
-            const leftBars = bars.slice(i - lookback, i);
-            const rightBars = bars.slice(i + 1, i + lookback + 1);
-            
-            // Check for swing high
-            const isSwingHigh = leftBars.every(bar => bar.high <= current.high) &&
-                               rightBars.every(bar => bar.high <= current.high);
-            
-            // Check for swing low
-            const isSwingLow = leftBars.every(bar => bar.low >= current.low) &&
-                              rightBars.every(bar => bar.low >= current.low);
-            
-            if (isSwingHigh) {
-                levels.push({
-                    type: 'resistance',
-                    value: current.high,
-                    strength: 'medium',
-                    source: 'swing_high',
-                    timestamp: current.timestamp
-                });
-            }
-            
-            if (isSwingLow) {
-                levels.push({
-                    type: 'support',
-                    value: current.low,
-                    strength: 'medium',
-                    source: 'swing_low',
-                    timestamp: current.timestamp
-                });
-            }
-        }
-        
-        return levels;
-    }
-
-    findConfluenceLevels(levels, tolerance = 0.001) {
-        const confluenceLevels = [];
-        const processedLevels = new Set();
-        
-        levels.forEach((level, index) => {
-            if (processedLevels.has(index)) return;
-            
-            const similarLevels = [level];
-            const similarIndices = [index];
-            
-            levels.forEach((otherLevel, otherIndex) => {
-                if (otherIndex !== index && !processedLevels.has(otherIndex)) {
-                    const priceDiff = Math.abs(level.value - otherLevel.value) / level.value;
-                    if (priceDiff <= tolerance) {
-                        similarLevels.push(otherLevel);
-                        similarIndices.push(otherIndex);
-                    }
-                }
-            });
-            
-            similarIndices.forEach(idx => processedLevels.add(idx));
-            
-            const avgPrice = similarLevels.reduce((sum, l) => sum + l.value, 0) / similarLevels.length;
-            const strength = similarLevels.length >= 3 ? 'very_high' : 
-                           similarLevels.length === 2 ? 'high' : 'medium';
-            
-            confluenceLevels.push({
-                type: level.type,
-                value: avgPrice,
-                strength,
-                confluence: similarLevels.length,
-                sources: similarLevels.map(l => l.source)
-            });
-        });
-        
-        return confluenceLevels.sort((a, b) => b.confluence - a.confluence);
-    }
-
     rsi(data, period = 14) {
         const changes = [];
         for (let i = 1; i < data.length; i++) {
@@ -150,4 +39,49 @@ export class IndicatorCalculator {
             return 100 - (100 / (1 + rs));
         });
     }
+
+    atr(bars, period = 14) {
+        const trueRanges = [];
+        for (let i = 1; i < bars.length; i++) {
+            const prevClose = bars[i - 1].close;
+            trueRanges.push(Math.max(
+                bars[i].high - bars[i].low,
+                Math.abs(bars[i].high - prevClose),
+                Math.abs(bars[i].low - prevClose)
+            ));
+        }
+        
+        return this.sma(trueRanges, period);
+    }
+
+    /**
+     * Volume-weighted average price anchored at the first bar, with the volume-weighted standard
+     * deviation for ±1σ/±2σ bands. Each bar is priced at its own vwap (typical price when missing).
+     * Returns one { vwap, stdev } per bar.
+     */
+    anchoredVwap(bars) {
+        const result = [];
+        let volume = 0;
+        let priceVolume = 0;
+        let squaredPriceVolume = 0;
+
+        for (const bar of bars) {
+            const barVolume = Number(bar.volume) || 0;
+            const price = Number(bar.vwap) > 0 ? Number(bar.vwap) : (bar.high + bar.low + bar.close) / 3;
+
+            volume += barVolume;
+            priceVolume += price * barVolume;
+            squaredPriceVolume += price * price * barVolume;
+
+            if (volume === 0) {
+                result.push({ vwap: price, stdev: 0 });
+                continue;
+            }
+
+            const vwap = priceVolume / volume;
+            result.push({ vwap, stdev: Math.sqrt(Math.max(0, squaredPriceVolume / volume - vwap * vwap)) });
+        }
+
+        return result;
+    }
 }
@@ -0,0 +1,202 @@
+// lib/ingestion-worker.js
+// Long-running ingestion: stores streamed minute bars, folds each into its open session-timeframe buckets
+// and evaluates the strategy for the session's timeframe without waiting for the next cron run.
+// A bucket closes on its last minute, or on the first bar after it when that minute never arrives (no trades).
+
+import { DataFetcher } from './data-fetcher.js';
+import { BarAggregator } from './bar-aggregator.js';
+import { LevelFlagStrategy } from './level-flag-strategy.js';
+import { TradeManager } from './trade-manager.js';
+import { MarketDataStream } from './market-stream.js';
+import { resolveRepository } from './repository.js';
+import { loadWatchlist } from './watchlist.js';
+import { bucketStart, easternDate } from './market-time.js';
+import { ensureMarketCalendar, extendedHoursEnabled } from './market-calendar.js';
+
+const MS_PER_MINUTE = 60 * 1000;
+
+export class IngestionWorker {
+  /**
+   * @param {Object} [deps]
+   * @param {Object} [deps.store] - Repository or raw Supabase client; defaults to the configured repository
+   * @param {Object} [deps.broker] - Broker adapter for the strategy and trade manager
+   * @param {Array<Object>} [deps.watchlist] - Defaults to loadWatchlist()
+   * @param {boolean} [deps.runStrategy=true] - Evaluate the strategy when a bucket closes
+   * @param {boolean} [deps.skipMarketCheck=false] - Skip market-hours/calendar checks (replays)
+   */
+  constructor({ store, broker, watchlist, runStrategy = true, skipMarketCheck = false } = {}) {
+    this.store = resolveRepository(store);
+    this.fetcher = new DataFetcher(this.store);
+    this.aggregator = new BarAggregator(this.store);
+    this.strategy = new LevelFlagStrategy({ store: this.store, broker });
+    this.tradeManager = new TradeManager({ store: this.store, broker });
+
+    this.watchlist = watchlist || null;
+    this.runStrategy = runStrategy;
+    this.skipMarketCheck = skipMarketCheck;
+
+    this.stream = null;
+    this.queue = Promise.resolve();
+    this.openBuckets = new Map();  // 'SYMBOL:timeframe' -> { start, end, closed } of the newest bucket seen
+    this.stats = { bars: 0, buckets: 0, evaluations: 0, quarantined: 0, errors: 0 };
+  }
+
+  /**
+   * Load the watchlist and subscribe to its minute bars
+   * @param {Object} [options]
+   * @param {string} [options.url] - Stream URL (e.g. ws://localhost:8765 for the replay server)
+   * @param {boolean} [options.reconnect=true] - Reconnect when the stream closes
+   */
+  async start({ url, reconnect = true } = {}) {
+    this.watchlist = this.watchlist || await loadWatchlist({ store: this.store });
+    await ensureMarketCalendar();
+    const symbols = this.watchlist.map(entry => entry.symbol);
+
+    this.stream = new MarketDataStream({
+      url,
+      reconnect,
+      symbols,
+      onBar: (symbol, bar) => this.enqueue(() => this.handleBar(symbol, bar)),
+      // Minutes missed while disconnected are fetched once the subscription is back
+      onConnected: () => this.enqueue(() => this.repairGaps(symbols))
+    });
+
+    console.log(`[WORKER] Starting ingestion for ${symbols.join(', ')}`);
+    await this.stream.start();
+  }
+
+  stop() {
+    this.stream?.stop();
+    return this.queue;
+  }
+
+  /**
+   * Run tasks one at a time in arrival order
+   */
+  enqueue(task) {
+    this.queue = this.queue.then(task).catch(error => {
+      this.stats.errors++;
+      console.error('[WORKER] Task failed:', error);
+    });
+    return this.queue;
+  }
+
+  async repairGaps(symbols) {
+    if (this.skipMarketCheck) return null;
+
+    const now = new Date();
+    const extended = extendedHoursEnabled() ? this.strategy.sessionSchedule.calendar.extendedSessionAt(now) : null;
+    const session = extended?.isOpen ? extended : this.strategy.getMarketSession(now);
+    if (!session.isOpen) return null;
+
+    const { bars, ...repair } = await this.fetcher.repairGaps(symbols, { now, maxLookbackMinutes: session.minutesSinceOpen });
+    if (bars.length > 0) {
+      await this.aggregator.applyMinuteBars(bars, this.timeframesBySymbol());
+    }
+    return repair;
+  }
+
+  timeframesBySymbol() {
+    return Object.fromEntries(this.watchlist.map(entry => [entry.symbol, entry.timeframes]));
+  }
+
+  /**
+   * Store one minute bar, fold it into its open buckets and evaluate the session timeframe when one closes
+   */
+  async handleBar(symbol, bar) {
+    const entry = this.watchlist.find(item => item.symbol === symbol);
+    if (!entry) return null;
+
+    // A corrected bar (updatedBars) rebuilds its buckets without re-running the strategy
+    const corrected = bar.T === 'u';
+    const { record, released } = await this.fetcher.storeMinuteBar(symbol, bar, { corrected });
+    this.stats.bars++;
+
+    if (!record) {
+      this.stats.quarantined++;
+      return { symbol, quarantined: true };
+    }
+
+    // A spike confirmed by this bar was quarantined a minute ago and joins its buckets now
+    await this.aggregator.applyMinuteBars([...released, record], { [symbol]: entry.timeframes }, { corrected });
+    if (corrected) {
+      return { symbol, corrected: true };
+    }
+
+    const buckets = this.closedBuckets(symbol, entry.timeframes, new Date(bar.t).getTime());
+    const closed = buckets.map(bucket => bucket.timeframe);
+    this.stats.buckets += buckets.length;
+
+    // Minutes still missing from a closed bucket had no trades; the strategy only reads complete buckets
+    await this.aggregator.closeBuckets(buckets.map(bucket => ({ symbol, timeframe: bucket.timeframe, timestamp: bucket.start })));
+
+    if (!this.runStrategy || buckets.length === 0) {
+      return { symbol, closed };
+    }
+
+    // Same timeframe the webhook would run for this symbol in the bucket's last minute
+    const bucket = buckets.find(item => this.strategy.getMarketSession(new Date(item.end - 1), symbol).timeframe === item.timeframe);
+    if (!bucket) {
+      return { symbol, closed };
+    }
+
+    const evaluation = await this.evaluate(symbol, bucket.timeframe, entry);
+    return { symbol, closed, evaluation };
+  }
+
+  /**
+   * Buckets a bar closes: its own when it is the bucket's last minute, and the symbol's previous bucket of the
+   * same ET day when that one ended without its last minute
+   * @returns {Array<Object>} { timeframe, start, end, late }
+   */
+  closedBuckets(symbol, timeframes, barTime) {
+    const closed = [];
+
+    for (const timeframe of timeframes) {
+      const minutes = timeframeMinutes(timeframe);
+      const start = bucketStart(barTime, minutes).getTime();
+      const end = start + minutes * MS_PER_MINUTE;
+      const key = `${symbol}:${timeframe}`;
+      const previous = this.openBuckets.get(key);
+
+      if (previous && previous.start > start) continue;
+
+      if (previous && previous.start < start && !previous.closed && easternDate(previous.start) === easternDate(barTime)) {
+        closed.push({ timeframe, start: previous.start, end: previous.end, late: true });
+      }
+
+      const alreadyClosed = previous?.start === start && previous.closed;
+      const last = barTime + MS_PER_MINUTE === end;
+      if (last && !alreadyClosed) {
+        closed.push({ timeframe, start, end, late: false });
+      }
+
+      this.openBuckets.set(key, { start, end, closed: last || alreadyClosed });
+    }
+
+    return closed;
+  }
+
+  async evaluate(symbol, timeframe, config) {
+    this.stats.evaluations++;
+    console.log(`[WORKER] ${symbol} ${timeframe} bucket closed, evaluating strategy`);
+
+    // Keeps a worker running for days on a fresh calendar (no-op unless MARKET_CALENDAR_SOURCE=alpaca)
+    await ensureMarketCalendar();
+
+    const tradeManagement = await this.tradeManager.manageOpenTrades();
+    const result = await this.strategy.execute({
+      symbol,
+      timeframe,
+      skipMarketCheck: this.skipMarketCheck,
+      config
+    });
+
+    return { ...result, trade_management: tradeManagement };
+  }
+}
+
+function timeframeMinutes(timeframe) {
+  const match = timeframe.match(/(\d+)m/);
+  return match ? parseInt(match[1]) : 1;
+}
@@ -1,11 +1,99 @@
 
+import { IndicatorCalculator } from './indicators.js';
+import { easternDate, easternTimeToUtc } from './market-time.js';
+import { getMarketCalendar } from './market-calendar.js';
+import { buildVolumeProfile, volumeAt } from './volume-profile.js';
+
+// Session levels derived from minute bars, and the side each one acts on
+export const SESSION_LEVEL_TYPES = {
+  premarket_high: 'resistance',
+  premarket_low: 'support',
+  prior_day_high: 'resistance',
+  prior_day_low: 'support',
+  prior_day_close: null,
+  overnight_high: 'resistance',
+  overnight_low: 'support'
+};
+
+// Levels detected on daily/weekly bars and projected onto the intraday timeframes
+export const HIGHER_TIMEFRAME_LEVEL_TYPES = {
+  daily_swing_high: 'resistance',
+  daily_swing_low: 'support',
+  weekly_swing_high: 'resistance',
+  weekly_swing_low: 'support',
+  daily_gap: null,
+  weekly_gap: null,
+  round_number: null
+};
+
+// Point of control and value-area edges of the prior day's and the composite (multi-day) volume profile
+export const VOLUME_PROFILE_LEVEL_TYPES = {
+  prior_day_poc: null,
+  prior_day_vah: 'resistance',
+  prior_day_val: 'support',
+  composite_poc: null,
+  composite_vah: 'resistance',
+  composite_val: 'support'
+};
+
+// VWAP anchors and bands, tracked as dynamic levels whose price follows the VWAP each run
+export const VWAP_ANCHORS = ['session', 'prior_close', 'gap_open', 'pole_start'];
+const VWAP_BANDS = { '': null, upper_1: 'resistance', lower_1: 'support', upper_2: 'resistance', lower_2: 'support' };
+
+export const VWAP_LEVEL_TYPES = Object.fromEntries(VWAP_ANCHORS.flatMap(anchor =>
+  Object.entries(VWAP_BANDS).map(([band, side]) => [band ? `vwap_${anchor}_${band}` : `vwap_${anchor}`, side])
+));
+
+// Confluence weight by the timeframe a level was detected on (source_timeframe); intraday levels weigh 1
+export const LEVEL_TIMEFRAME_WEIGHTS = {
+  '1d': 2,
+  '1w': 3
+};
+
+/**
+ * 'resistance', 'support' or null (MAs, prior close and other two-sided levels) for a level_type
+ */
+export function levelSide(levelType) {
+  if (levelType in SESSION_LEVEL_TYPES) return SESSION_LEVEL_TYPES[levelType];
+  if (levelType in HIGHER_TIMEFRAME_LEVEL_TYPES) return HIGHER_TIMEFRAME_LEVEL_TYPES[levelType];
+  if (levelType in VWAP_LEVEL_TYPES) return VWAP_LEVEL_TYPES[levelType];
+  if (levelType in VOLUME_PROFILE_LEVEL_TYPES) return VOLUME_PROFILE_LEVEL_TYPES[levelType];
+  if (levelType.includes('resistance')) return 'resistance';
+  if (levelType.includes('support')) return 'support';
+  return null;
+}
+
+/**
+ * Side a stored level currently plays: its `role` once the lifecycle has flipped it, otherwise its level_type's side
+ */
+export function levelRole(level) {
+  return level.role ?? levelSide(level.level_type);
+}
+
+/**
+ * Weight of a stored level (source_timeframe) or detected level (sourceTimeframe)
+ */
+export function levelWeight(level) {
+  return LEVEL_TIMEFRAME_WEIGHTS[level.source_timeframe ?? level.sourceTimeframe] ?? 1;
+}
+
 export class LevelDetector {
   constructor() {
     this.tolerance = 0.002; // 0.2% tolerance for level matching
     this.minTouchCount = 2; // Minimum touches to consider a level valid
+    this.indicators = new IndicatorCalculator();
+
+    this.swingWindow = 2; // Daily/weekly bars on each side of a swing high/low
+    this.higherTimeframeRange = 0.05; // Higher-timeframe levels kept within 5% of the current price
+    this.vwapGapThreshold = 0.003; // Open this far from the prior close anchors a gap VWAP
   }
 
-  detectLevels(bars, indicators) {
+  /**
+   * MAs, pivots, volume profile, regression lines and multi-touch zones, merged into confluence zones
+   * @param {Array<Object>} bars - { timestamp, open, high, low, close, volume }, oldest first
+   * @param {Object} [indicators] - Precomputed { ma200, ma400, polygonSMA200, polygonSMA400 }; MAs default to the bars' closes
+   */
+  detectLevels(bars, indicators = this.movingAverages(bars)) {
     const levels = [];
     const { ma200, ma400, polygonSMA200, polygonSMA400 } = indicators;
 
@@ -72,6 +160,373 @@ export class LevelDetector {
     return confluenceZones;
   }
 
+  /**
+   * 200- and 400-period SMAs of the closes
+   */
+  movingAverages(bars) {
+    const closes = bars.map(bar => bar.close);
+    return {
+      ma200: this.indicators.sma(closes, 200),
+      ma400: this.indicators.sma(closes, 400)
+    };
+  }
+
+  /**
+   * Map detected levels to detected_levels rows, the shape LevelManager.upsertLevel stores
+   * @param {Array<Object>} levels - Output of detectLevels or detectSessionLevels
+   * @param {Object} context
+   * @param {string} context.symbol
+   * @param {string} context.timeframe - Normalized timeframe ('5m')
+   * @param {Object} [context.metadata] - Merged into each row's metadata
+   */
+  toLevelRecords(levels, { symbol, timeframe, metadata = {} }) {
+    const now = new Date().toISOString();
+
+    return levels.map(level => {
+      const range = level.range || level.priceRange || null;
+      const volume = level.totalVolume ?? level.volume
+        ?? level.components?.reduce((sum, component) => sum + (component.totalVolume ?? component.volume ?? 0), 0);
+
+      return {
+        symbol,
+        timeframe,
+        level_type: level.type,
+        price_level: level.value,
+        price_range_min: range?.min ?? null,
+        price_range_max: range?.max ?? null,
+        confidence: level.confidence ?? 0.5,
+        strength: level.strength || 'medium',
+        touch_count: level.touches ?? level.confluence ?? 1,
+        sources: [...new Set(level.sources || [level.source])],
+        avg_volume_at_level: level.avgVolume ?? null,
+        total_volume_at_level: volume ?? 0,
+        first_detected: now,
+        last_confirmed: now,
+        is_active: true,
+        source_timeframe: level.sourceTimeframe || timeframe,
+        metadata: {
+          detector: 'level_detector',
+          ...(level.confluence ? { confluence: level.confluence } : {}),
+          ...(level.period ? { period: level.period, slope: level.slope, r_squared: level.rSquared } : {}),
+          ...(level.session_date ? { session_date: level.session_date, bar_count: level.bars } : {}),
+          ...(level.sourceTimeframe ? { bar_timestamp: level.timestamp } : {}),
+          ...(level.anchor ? { anchor: level.anchor, anchor_time: level.anchorTime, vwap: level.vwap, stdev: level.stdev } : {}),
+          ...metadata
+        }
+      };
+    });
+  }
+
+  /**
+   * Prior-day high/low/close, pre-market high/low and the overnight range (prior close to today's open)
+   * for the ET date of `now`, from session-tagged minute bars
+   * @param {Array<Object>} minuteBars - minute_bars rows; untagged rows are tagged from the calendar
+   * @param {Object} [options]
+   * @param {Date|string} [options.now]
+   * @param {MarketCalendar} [options.calendar]
+   */
+  detectSessionLevels(minuteBars, { now = new Date(), calendar = getMarketCalendar() } = {}) {
+    const today = easternDate(now);
+    const priorDay = calendar.previousTradingDay(today);
+    const priorSession = calendar.getSession(priorDay);
+    const todaySession = calendar.getSession(today);
+
+    const priorClose = easternTimeToUtc(priorDay, priorSession.closeMinute).getTime();
+    const todayOpen = todaySession.isTradingDay
+      ? easternTimeToUtc(today, todaySession.openMinute).getTime()
+      : new Date(now).getTime();
+
+    const tagged = minuteBars.map(bar => ({
+      ...bar,
+      date: easternDate(bar.timestamp),
+      time: new Date(bar.timestamp).getTime(),
+      session: bar.session || calendar.barSession(bar.timestamp)
+    }));
+
+    const priorRegular = tagged.filter(bar => bar.date === priorDay && bar.session === 'regular');
+    const premarket = tagged.filter(bar => bar.date === today && bar.session === 'premarket');
+    const overnight = tagged.filter(bar => bar.time >= priorClose && bar.time < todayOpen);
+
+    const levels = [];
+    const level = (type, value, bars, confidence, source) => ({
+      type,
+      value,
+      strength: 'high',
+      source,
+      session_date: source === 'prior_day' ? priorDay : today,
+      timestamp: bars[bars.length - 1].timestamp,
+      bars: bars.length,
+      volume: bars.reduce((sum, bar) => sum + (bar.volume || 0), 0),
+      confidence
+    });
+
+    if (priorRegular.length > 0) {
+      levels.push(
+        level('prior_day_high', Math.max(...priorRegular.map(bar => bar.high)), priorRegular, 0.9, 'prior_day'),
+        level('prior_day_low', Math.min(...priorRegular.map(bar => bar.low)), priorRegular, 0.9, 'prior_day'),
+        level('prior_day_close', priorRegular[priorRegular.length - 1].close, priorRegular, 0.85, 'prior_day')
+      );
+    }
+
+    if (premarket.length > 0) {
+      levels.push(
+        level('premarket_high', Math.max(...premarket.map(bar => bar.high)), premarket, 0.85, 'premarket'),
+        level('premarket_low', Math.min(...premarket.map(bar => bar.low)), premarket, 0.85, 'premarket')
+      );
+    }
+
+    if (overnight.length > 0) {
+      levels.push(
+        level('overnight_high', Math.max(...overnight.map(bar => bar.high)), overnight, 0.8, 'overnight'),
+        level('overnight_low', Math.min(...overnight.map(bar => bar.low)), overnight, 0.8, 'overnight')
+      );
+    }
+
+    return levels;
+  }
+
+  /**
+   * Swing highs/lows and unfilled gaps of daily and weekly bars, and round numbers, near the current price
+   * @param {Array<Object>} dailyBars - Regular-session daily bars, oldest first
+   * @param {Array<Object>} weeklyBars - Weekly bars, oldest first
+   * @param {Object} [options]
+   * @param {number} [options.currentPrice] - Defaults to the last daily close
+   */
+  detectHigherTimeframeLevels(dailyBars, weeklyBars, { currentPrice } = {}) {
+    const price = currentPrice ?? dailyBars[dailyBars.length - 1]?.close;
+    if (!price) return [];
+
+    const levels = [
+      ...this.findSwingLevels(dailyBars, 'daily', '1d', 0.8),
+      ...this.findSwingLevels(weeklyBars, 'weekly', '1w', 0.9),
+      ...this.findGapLevels(dailyBars, 'daily', '1d', 0.75),
+      ...this.findGapLevels(weeklyBars, 'weekly', '1w', 0.85),
+      ...this.findRoundNumbers(price)
+    ];
+
+    return levels.filter(level => Math.abs(level.value - price) / price <= this.higherTimeframeRange);
+  }
+
+  /**
+   * Highs/lows not exceeded by the swingWindow bars on either side, merged when they repeat
+   */
+  findSwingLevels(bars, prefix, sourceTimeframe, confidence) {
+    const swings = [];
+    const window = this.swingWindow;
+
+    for (let i = window; i < bars.length - window; i++) {
+      const current = bars[i];
+      const neighbours = [...bars.slice(i - window, i), ...bars.slice(i + 1, i + window + 1)];
+      const swing = (kind, value) => ({
+        type: `${prefix}_swing_${kind}`,
+        value,
+        strength: 'high',
+        source: `${prefix}_swing_${kind}`,
+        sourceTimeframe,
+        timestamp: current.timestamp,
+        touches: 1,
+        confidence
+      });
+
+      if (neighbours.every(bar => bar.high < current.high)) swings.push(swing('high', current.high));
+      if (neighbours.every(bar => bar.low > current.low)) swings.push(swing('low', current.low));
+    }
+
+    // A repeated swing keeps its higher-timeframe strength
+    return this.consolidateLevels(swings).map(level => ({
+      ...level,
+      strength: level.touches >= 3 ? 'very_high' : 'high'
+    }));
+  }
+
+  /**
+   * Gaps between one bar's range and the next that later bars have not traded back through.
+   * The stored range is the part still unfilled.
+   */
+  findGapLevels(bars, prefix, sourceTimeframe, confidence) {
+    const gaps = [];
+
+    for (let i = 1; i < bars.length; i++) {
+      const previous = bars[i - 1];
+      const current = bars[i];
+      const up = current.low > previous.high;
+      if (!up && current.high >= previous.low) continue;
+
+      let min = up ? previous.high : current.high;
+      let max = up ? current.low : previous.low;
+
+      for (const later of bars.slice(i + 1)) {
+        if (up) max = Math.min(max, later.low);
+        else min = Math.max(min, later.high);
+        if (max <= min) break;
+      }
+      if (max <= min) continue;
+
+      gaps.push({
+        type: `${prefix}_gap`,
+        value: (min + max) / 2,
+        strength: 'high',
+        source: `${prefix}_gap_${up ? 'up' : 'down'}`,
+        sourceTimeframe,
+        timestamp: current.timestamp,
+        range: { min, max },
+        confidence
+      });
+    }
+
+    return gaps;
+  }
+
+  /**
+   * Whole-number levels around the price, spaced by its magnitude (e.g. every $10 for a $500 stock)
+   */
+  findRoundNumbers(price) {
+    const step = price >= 1000 ? 50 : price >= 200 ? 10 : price >= 50 ? 5 : price >= 10 ? 1 : 0.5;
+    const span = price * this.higherTimeframeRange;
+    const levels = [];
+
+    for (let value = Math.ceil((price - span) / step) * step; value <= price + span; value += step) {
+      levels.push({
+        type: 'round_number',
+        value,
+        strength: value % (step * 5) === 0 ? 'high' : 'medium',
+        source: `round_${step}`,
+        sourceTimeframe: '1d',
+        confidence: 0.7
+      });
+    }
+
+    return levels;
+  }
+
+  /**
+   * POC, VAH and VAL of the prior day's volume profile and of the composite profile as levels
+   * @param {Object} priorDay - volume_profiles row of the previous trading day
+   * @param {Object} [composite] - compositeProfile over the last few days
+   */
+  detectVolumeProfileLevels(priorDay, composite = null) {
+    const levels = [];
+    const add = (prefix, profile, confidence, sessionDate) => {
+      const level = (name, value, strength, levelConfidence) => ({
+        type: `${prefix}_${name}`,
+        value: Number(value),
+        strength,
+        source: `${prefix}_volume_profile`,
+        sourceTimeframe: '1d',
+        timestamp: sessionDate,
+        session_date: sessionDate,
+        bars: profile.bar_count,
+        volume: volumeAt(profile, value),
+        confidence: levelConfidence
+      });
+
+      levels.push(
+        level('poc', profile.poc, 'very_high', confidence),
+        level('vah', profile.vah, 'high', confidence - 0.05),
+        level('val', profile.val, 'high', confidence - 0.05)
+      );
+    };
+
+    if (priorDay) add('prior_day', priorDay, 0.85, priorDay.trading_date);
+    if (composite) add('composite', composite, 0.8, composite.days?.[composite.days.length - 1]);
+
+    return levels;
+  }
+
+  /**
+   * Session VWAP and VWAPs anchored at the prior-day close, the latest gap open and the latest active
+   * pattern's pole start, each with ±1σ/±2σ bands, as of the last bar
+   * @param {Array<Object>} bars - Regular-session bars of one timeframe, oldest first
+   * @param {Object} [options]
+   * @param {Array<Object>} [options.patterns] - Active pattern_states rows (pole_start_time)
+   */
+  detectVwapLevels(bars, { patterns = [] } = {}) {
+    const levels = [];
+
+    for (const { anchor, index } of this.findVwapAnchors(bars, patterns)) {
+      const { vwap, stdev } = this.indicators.anchoredVwap(bars.slice(index)).pop();
+      const level = (band, value, strength, confidence) => ({
+        type: band ? `vwap_${anchor}_${band}` : `vwap_${anchor}`,
+        value,
+        strength,
+        source: `vwap_${anchor}`,
+        anchor,
+        anchorTime: bars[index].timestamp,
+        vwap,
+        stdev,
+        confidence
+      });
+
+      levels.push(level('', vwap, 'high', 0.8));
+      if (stdev > 0) {
+        levels.push(
+          level('upper_1', vwap + stdev, 'medium', 0.65),
+          level('lower_1', vwap - stdev, 'medium', 0.65),
+          level('upper_2', vwap + 2 * stdev, 'medium', 0.65),
+          level('lower_2', vwap - 2 * stdev, 'medium', 0.65)
+        );
+      }
+    }
+
+    return levels;
+  }
+
+  /**
+   * Bar index each VWAP anchor starts from. A gap VWAP is only anchored on an earlier session,
+   * since today's gap VWAP is the session VWAP.
+   */
+  findVwapAnchors(bars, patterns = []) {
+    if (bars.length === 0) return [];
+
+    const dates = bars.map(bar => easternDate(bar.timestamp));
+    const today = dates[dates.length - 1];
+    const sessionStart = dates.indexOf(today);
+    const anchors = [{ anchor: 'session', index: sessionStart }];
+
+    if (sessionStart > 0) {
+      anchors.push({ anchor: 'prior_close', index: sessionStart - 1 });
+    }
+
+    for (let i = sessionStart - 1; i > 0; i--) {
+      if (dates[i] === dates[i - 1]) continue;
+
+      const gap = Math.abs(bars[i].open - bars[i - 1].close) / bars[i - 1].close;
+      if (gap >= this.vwapGapThreshold) {
+        anchors.push({ anchor: 'gap_open', index: i });
+        break;
+      }
+    }
+
+    const poleStarts = patterns
+      .map(pattern => new Date(pattern.pole_start_time).getTime())
+      .filter(time => time >= new Date(bars[0].timestamp).getTime());
+    if (poleStarts.length > 0) {
+      const poleStart = Math.max(...poleStarts);
+      anchors.push({ anchor: 'pole_start', index: bars.findIndex(bar => new Date(bar.timestamp).getTime() >= poleStart) });
+    }
+
+    return anchors.filter(({ index }) => index >= 0);
+  }
+
+  /**
+   * Last close crossing of the VWAP anchored at anchorIndex, at or after fromIndex: 'reclaim' (closed back
+   * above and held since) or 'loss' (closed below and stayed there); null when price stayed on one side
+   */
+  vwapCross(bars, anchorIndex = 0, fromIndex = anchorIndex) {
+    const series = this.indicators.anchoredVwap(bars.slice(anchorIndex));
+    const above = (i) => bars[i].close > series[i - anchorIndex].vwap;
+    const last = bars.length - 1;
+    const current = { vwap: series[series.length - 1]?.vwap ?? null, above: last >= anchorIndex && above(last) };
+
+    for (let i = last; i >= Math.max(fromIndex, anchorIndex + 1); i--) {
+      if (above(i) !== above(i - 1)) {
+        return { state: above(i) ? 'reclaim' : 'loss', at: bars[i].timestamp, vwap: current.vwap, above: current.above };
+      }
+    }
+
+    return { state: null, at: null, vwap: current.vwap, above: current.above };
+  }
+
   findPivotPoints(bars, window = 10) {
     const pivots = [];
 
@@ -117,28 +572,25 @@ export class LevelDetector {
   }
 
   findVolumeLevels(bars) {
-    // Group bars by price levels and find high volume areas
-    const priceVolumeMap = new Map();
+    // Volume spread across each bar's high-low range: point of control, value-area edges and high-volume nodes
+    const profile = buildVolumeProfile(bars);
+    if (!profile) return [];
 
-    bars.forEach(bar => {
-      const priceLevel = Math.round(bar.close * 100) / 100; // Round to nearest cent
-      const currentVolume = priceVolumeMap.get(priceLevel) || 0;
-      priceVolumeMap.set(priceLevel, currentVolume + bar.volume);
+    const level = (value, strength, source, confidence) => ({
+      type: 'volume_level',
+      value,
+      strength,
+      source,
+      volume: volumeAt(profile, value),
+      confidence
     });
 
-    // Sort by volume and take top levels
-    const sortedLevels = Array.from(priceVolumeMap.entries())
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 10); // Top 10 volume levels
-
-    return sortedLevels.map(([price, volume]) => ({
-      type: 'volume_level',
-      value: price,
-      strength: 'medium',
-      source: 'volume_profile',
-      volume: volume,
-      confidence: 0.6
-    }));
+    return [
+      level(profile.poc, 'high', 'volume_poc', 0.7),
+      level(profile.vah, 'medium', 'volume_vah', 0.6),
+      level(profile.val, 'medium', 'volume_val', 0.6),
+      ...profile.high_volume_nodes.map(price => level(price, 'medium', 'volume_hvn', 0.6))
+    ];
   }
 
   /**
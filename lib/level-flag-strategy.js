@@ -1,567 +1,1124 @@
-// lib/enhanced-level-flag-strategy.js
-// Enhanced strategy with state persistence across Vercel Edge Function invocations
+// lib/level-flag-strategy.js
+// Level + flag breakout strategy shared by the webhook and execute-strategy endpoints.
+// Each stage is a separate method returning a plain result object, and execute() runs them in order.
 
 import { PatternManager } from './pattern-manager.js';
 import { LevelManager } from './level-manager.js';
+import {
+  LevelDetector,
+  SESSION_LEVEL_TYPES,
+  HIGHER_TIMEFRAME_LEVEL_TYPES,
+  VOLUME_PROFILE_LEVEL_TYPES,
+  VWAP_LEVEL_TYPES,
+  levelRole
+} from './level-detector.js';
+import { BarAggregator } from './bar-aggregator.js';
+import { compositeProfile } from './volume-profile.js';
 import { ExecutionStateManager } from './execution-state-manager.js';
+import { FlagDetector } from './flag-detector.js';
+import { OptionSelector } from './option-selector.js';
+import { RiskManager } from './risk-manager.js';
+import { EconomicCalendar } from './economic-calendar.js';
+import { resolveRepository } from './repository.js';
+import { getBroker } from './broker.js';
+import { loadWatchlist, symbolsForTimeframe, getUnderlyingSymbol } from './watchlist.js';
+import { createManagementState } from './trade-manager.js';
+import { mapExitLevels, roundToTick } from './option-exit-mapper.js';
+import { getSessionSchedule } from './session-schedule.js';
+import { easternDate, easternTimeToUtc } from './market-time.js';
+import {
+  normalizeTimeframe,
+  convertFlagToPatternData,
+  isDuplicatePattern,
+  calculateStopLoss,
+  calculateTakeProfit
+} from './strategy-helpers.js';
 
-export async function executeEnhancedStrategy(symbol, timeframe, supabase, options = {}) {
-  const startTime = Date.now();
-  console.log(`[ENHANCED] Starting enhanced strategy execution: ${symbol} ${timeframe}`);
-  
-  try {
-    // Initialize managers
-    const patternMgr = new PatternManager(supabase);
-    const levelMgr = new LevelManager(supabase);
-    const stateMgr = new ExecutionStateManager(supabase);
-    
-    // STEP 1: Load execution state and determine what needs processing
-    console.log('[ENHANCED] Step 1: Loading execution state...');
-    const execState = await stateMgr.getExecutionState(symbol, timeframe);
-    
-    // STEP 2: Load active context from database
-    console.log('[ENHANCED] Step 2: Loading active patterns and levels...');
-    const [activePatterns, activeLevels] = await Promise.all([
-      patternMgr.getActivePatterns(symbol, timeframe),
-      levelMgr.getActiveLevels(symbol, timeframe, 0.6) // Lower threshold for monitoring
-    ]);
-    
-    console.log(`[ENHANCED] Active context loaded: ${activePatterns.length} patterns, ${activeLevels.length} levels`);
-    
-    // STEP 3: Fetch new market data
-    console.log('[ENHANCED] Step 3: Fetching market data...');
-    const bars = await fetchRecentBars(supabase, symbol, timeframe, execState, options.limit);
-    
-    if (!bars || bars.length === 0) {
-      console.log('[ENHANCED] No new bars to process');
-      return {
-        success: true,
-        message: 'No new data to process',
-        execution_time_ms: Date.now() - startTime
-      };
-    }
-    
-    const currentBar = bars[bars.length - 1];
-    console.log(`[ENHANCED] Processing ${bars.length} bars, current price: ${currentBar.close}`);
-    
-    // STEP 4: Check existing patterns for breakouts
-    console.log('[ENHANCED] Step 4: Checking active patterns for breakouts...');
-    const signals = [];
-    
-    for (const pattern of activePatterns) {
-      const breakout = patternMgr.checkBreakout(
-        pattern,
-        currentBar.close,
-        currentBar.volume,
-        currentBar
-      );
-      
-      if (breakout.breakout) {
-        console.log(`[ENHANCED] 🚀 BREAKOUT detected for pattern ${pattern.pattern_id}!`);
-        console.log(`[ENHANCED] Breakout details:`, breakout);
-        
-        if (breakout.volumeConfirmed && breakout.barConfirmed) {
-          // Mark pattern as broken out
-          const markResult = await patternMgr.markBreakout(pattern.pattern_id, breakout, currentBar);
-          
-          if (markResult.success) {
-            signals.push({
-              type: 'PATTERN_BREAKOUT',
-              pattern,
-              breakout,
-              timestamp: currentBar.timestamp,
-              confidence: pattern.confidence,
-              quality_score: pattern.quality_score
-            });
-            
-            console.log(`[ENHANCED] ✅ Pattern breakout signal generated`);
-          }
-        } else {
-          console.log(`[ENHANCED] ⚠️ Breakout needs confirmation (volume: ${breakout.volumeConfirmed}, bar: ${breakout.barConfirmed})`);
+export class LevelFlagStrategy {
+  /**
+   * @param {Object} [deps]
+   * @param {Object} [deps.store] - Repository or raw Supabase client; defaults to the configured repository
+   * @param {Object} [deps.broker] - Broker adapter; defaults to the configured broker
+   * @param {EconomicCalendar} [deps.economicCalendar]
+   * @param {SessionSchedule} [deps.sessionSchedule] - Session windows and timeframes; defaults to the shared schedule
+   * @param {RiskManager} [deps.riskManager]
+   * @param {OptionSelector} [deps.optionSelector]
+   */
+  constructor({ store, broker, economicCalendar, sessionSchedule, riskManager, optionSelector } = {}) {
+    this.store = resolveRepository(store);
+    this.broker = broker || getBroker();
+
+    this.flagDetector = new FlagDetector();
+    this.levelManager = new LevelManager(this.store);
+    this.levelDetector = new LevelDetector();
+    this.patternManager = new PatternManager(this.store);
+    this.stateManager = new ExecutionStateManager(this.store);
+    this.optionSelector = optionSelector || new OptionSelector();
+    this.riskManager = riskManager || new RiskManager();
+    this.economicCalendar = economicCalendar || new EconomicCalendar();
+    this.sessionSchedule = sessionSchedule || getSessionSchedule();
+    this.aggregator = new BarAggregator(this.store, this.sessionSchedule);
+
+    // Signal filters
+    this.minQualityScore = 0.7;       // Breakouts below this are not traded
+    this.minConfluence = 1;           // Levels required near the breakout
+    this.minPatternQuality = 0.6;     // New patterns below this are not stored
+    this.monitorLevelConfidence = 0.6;
+
+    this.contextBars = 200;           // Bars loaded for detection
+    this.levelRefreshHours = 4;
+    this.higherTimeframeDays = parseInt(process.env.HTF_LOOKBACK_DAYS || '60'); // Daily bars behind daily/weekly levels
+    this.volumeProfileDays = parseInt(process.env.VOLUME_PROFILE_DAYS || '5'); // Days merged into the composite profile
+
+    // 'bracket': premium stop/target legs mapped from the underlying levels at the broker
+    // 'underlying': plain entry, exits left to the TradeManager watching the underlying
+    this.exitMode = (process.env.EXIT_MODE || 'bracket').toLowerCase();
+  }
+
+  /**
+   * Run every stage for one symbol/timeframe
+   * @param {Object} params
+   * @param {string} [params.symbol='QQQ']
+   * @param {string} [params.timeframe] - Defaults to the current session's timeframe
+   * @param {boolean} [params.force=false] - Skip the market-hours check and reprocess the whole context window
+   * @param {boolean} [params.skipMarketCheck=false] - Caller already checked market hours and the economic calendar
+   * @param {number} [params.maxPositions] - Cap on open positions including this run's entries
+   * @param {Object} [params.config] - Watchlist entry with per-symbol thresholds and maxPositions
+   * @param {Object} [params.budget] - Risk budget shared with other symbols (see RiskManager.createRiskBudget)
+   */
+  async execute(params = {}) {
+    const startTime = Date.now();
+    const symbol = params.symbol || 'QQQ';
+    const force = params.force || false;
+    const timeframe = normalizeTimeframe(params.timeframe || this.sessionTimeframe(symbol));
+    const thresholds = this.getThresholds(params.config);
+
+    console.log(`[STRATEGY] Starting strategy execution: ${symbol} ${timeframe}`);
+
+    const finish = (result) => ({
+      symbol,
+      timeframe,
+      ...result,
+      execution_time_ms: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    });
+
+    try {
+      // STEP 1: Market hours and economic calendar
+      if (!force && !params.skipMarketCheck) {
+        const market = await this.checkMarketConditions(symbol);
+        if (!market.canTrade) {
+          console.log(`[STRATEGY] Trading halted: ${market.reason}`);
+          return finish({ success: true, can_trade: false, reason: market.reason });
         }
       }
-    }
-    
-    // STEP 5: Check level touches
-    console.log('[ENHANCED] Step 5: Checking level touches...');
-    const levelTouches = [];
-    
-    for (const level of activeLevels) {
-      const touch = levelMgr.checkLevelTouch(level, currentBar);
-      
-      if (touch && touch.touched) {
-        console.log(`[ENHANCED] 📍 Level touch: ${touch.levelType} at ${touch.priceLevel} (${touch.touchType})`);
-        
-        const touchResult = await levelMgr.recordTouch({
-          ...touch,
-          symbol,
-          timeframe,
-          timestamp: currentBar.timestamp
-        }, currentBar);
-        
-        if (touchResult.success) {
-          levelTouches.push(touch);
-        }
+
+      // STEP 2: Execution state
+      const stateResult = await this.loadState(symbol, timeframe);
+      const executionState = stateResult.state;
+
+      // STEP 3: Pre-trade risk
+      const risk = await this.checkRisk(executionState);
+      if (!risk.canTrade) {
+        console.log(`[STRATEGY] Risk check failed: ${risk.reason}`);
+        return finish({ success: true, can_trade: false, reason: risk.reason, risk_details: risk.details });
+      }
+
+      const budget = params.budget || this.riskManager.createRiskBudget({
+        account: risk.account,
+        positions: risk.positions,
+        maxPositions: params.maxPositions
+      });
+
+      // STEP 4: Bars
+      const marketData = await this.loadMarketData(symbol, timeframe, executionState, { force });
+      if (!marketData.success) {
+        throw new Error(marketData.error);
+      }
+
+      if (marketData.newBars.length === 0) {
+        console.log('[STRATEGY] No new bars to process');
+        return finish({ success: true, message: 'No new data to process', bars_processed: 0 });
       }
+
+      console.log(`[STRATEGY] Processing ${marketData.newBars.length} new bars, current price: ${marketData.currentPrice}`);
+
+      // STEP 5: Active patterns
+      const activePatterns = await this.patternManager.getActivePatterns(symbol, timeframe);
+
+      // STEP 6: Levels (pole-start VWAPs follow the active patterns)
+      const levelResult = await this.updateLevels(symbol, timeframe, marketData.bars, executionState, activePatterns);
+
+      // STEP 7: New flag patterns
+      const detection = await this.detectPatterns(symbol, timeframe, marketData.bars, levelResult.levels, activePatterns, thresholds);
+      const patterns = [...activePatterns, ...detection.created];
+
+      // STEP 8: Breakouts
+      const breakoutResult = await this.checkBreakouts(patterns, marketData.currentBar);
+
+      // STEP 9: Level touches
+      const touchResult = await this.checkLevelTouches(symbol, timeframe, levelResult.levels, marketData.currentBar);
+
+      // STEP 10: Signals and trades
+      const signalResult = await this.processSignals(symbol, breakoutResult.breakouts, {
+        account: risk.account,
+        positions: risk.positions,
+        budget,
+        symbolMaxPositions: params.config?.maxPositions ?? null,
+        thresholds
+      });
+
+      // STEP 11: Execution state
+      await this.updateState(symbol, timeframe, {
+        currentBar: marketData.currentBar,
+        barsProcessed: marketData.newBars.length,
+        activePatterns: patterns.length,
+        activeLevels: levelResult.levels.length,
+        patternsDetected: detection.created.length,
+        signalsGenerated: signalResult.signals.length,
+        tradesExecuted: signalResult.trades.length
+      });
+
+      // STEP 12: Cleanup
+      const cleanupResult = await this.cleanup(symbol, timeframe);
+
+      const result = finish({
+        success: true,
+        can_trade: true,
+        bars_processed: marketData.newBars.length,
+        current_price: marketData.currentPrice,
+        current_volume: marketData.currentVolume,
+        levels_active: levelResult.levels.length,
+        levels_refreshed: levelResult.refreshed,
+        patterns_active: patterns.length,
+        patterns_detected: detection.created.length,
+        breakouts_found: breakoutResult.breakouts.length,
+        level_touches: touchResult.touches.length,
+        signals_generated: signalResult.signals.length,
+        trades_executed: signalResult.trades.length,
+        patterns_expired: cleanupResult.patternsExpired,
+        levels_decayed: cleanupResult.levelsDecayed,
+        levels_retired: cleanupResult.levelsRetired,
+        signals: signalResult.signals,
+        trades: signalResult.trades,
+        skipped_signals: signalResult.skipped
+      });
+
+      console.log(`[STRATEGY] ✅ Strategy execution completed in ${result.execution_time_ms}ms`);
+      await this.logExecutionSummary(result);
+
+      return result;
+
+    } catch (error) {
+      console.error('[STRATEGY] Strategy execution failed:', error);
+
+      const errorResult = finish({ success: false, error: error.message });
+      await this.logExecutionError(errorResult);
+
+      return errorResult;
     }
-    
-    // STEP 6: Detect new patterns (if not forcing existing pattern processing only)
-    console.log('[ENHANCED] Step 6: Detecting new patterns...');
-    const newPatterns = [];
-    
-    if (!options.skipNewPatternDetection) {
-      // Use existing flag detection logic but store results in database
-      const detectedPatterns = await detectNewFlagPatterns(bars, symbol, timeframe);
-      
-      for (const patternData of detectedPatterns) {
-        // Check confluence with existing levels
-        const confluence = await checkPatternConfluence(patternData, activeLevels);
-        patternData.confluence_count = confluence.count;
-        patternData.near_resistance = confluence.nearResistance;
-        patternData.near_support = confluence.nearSupport;
-        
-        // Only create high-quality patterns with good confluence
-        if (patternData.quality_score > 0.6 && confluence.count >= 1) {
-          console.log(`[ENHANCED] 🎯 High-quality pattern detected with confluence: ${patternData.pattern_type}`);
-          
-          const createResult = await patternMgr.createPattern(patternData);
-          if (createResult.success) {
-            newPatterns.push(createResult.data);
-            console.log(`[ENHANCED] ✅ New pattern stored: ${createResult.data.pattern_id}`);
-          }
-        } else {
-          console.log(`[ENHANCED] ⚠️ Pattern filtered out (quality: ${patternData.quality_score}, confluence: ${confluence.count})`);
-        }
+  }
+
+  /**
+   * Run execute() for every watchlist symbol that trades the timeframe, sharing one risk budget.
+   * Execution state stays per symbol/timeframe, so one symbol's progress never affects another's.
+   * @param {Object} params
+   * @param {Array} [params.watchlist] - Symbol configs; defaults to loadWatchlist()
+   * @param {string} [params.timeframe] - Defaults to each symbol's current session timeframe
+   * @param {number} [params.maxPositions] - Cap on open positions across all symbols
+   */
+  async executeWatchlist(params = {}) {
+    const startTime = Date.now();
+    const timeframe = params.timeframe ? normalizeTimeframe(params.timeframe) : null;
+    const watchlist = params.watchlist || await loadWatchlist({ store: this.store });
+
+    // A fixed timeframe runs the symbols that trade it; otherwise each symbol runs its own session's timeframe
+    const entries = timeframe
+      ? symbolsForTimeframe(watchlist, timeframe).map(config => ({ config, timeframe }))
+      : watchlist
+        .map(config => ({ config, timeframe: this.sessionTimeframe(config.symbol) }))
+        .filter(entry => entry.config.timeframes.includes(entry.timeframe));
+
+    const finish = (result) => ({
+      timeframe,
+      symbols: entries.map(entry => entry.config.symbol),
+      timeframes: Object.fromEntries(entries.map(entry => [entry.config.symbol, entry.timeframe])),
+      ...result,
+      execution_time_ms: Date.now() - startTime,
+      timestamp: new Date().toISOString()
+    });
+
+    console.log(`[STRATEGY] Running ${timeframe || 'session'} watchlist: ${entries.map(entry => `${entry.config.symbol} ${entry.timeframe}`).join(', ') || 'none'}`);
+
+    if (!params.force && !params.skipMarketCheck) {
+      const market = await this.checkMarketConditions();
+      if (!market.canTrade) {
+        return finish({ success: true, can_trade: false, reason: market.reason, results: {} });
       }
     }
-    
-    // STEP 7: Detect/Update levels
-    console.log('[ENHANCED] Step 7: Updating levels...');
-    const levelUpdates = [];
-    
-    // Convert any levels from legacy system_events format and upsert them
-    if (options.legacyLevels && Array.isArray(options.legacyLevels)) {
-      const convertedLevels = levelMgr.convertSystemEventsLevels(options.legacyLevels, symbol, timeframe);
-      
-      for (const levelData of convertedLevels) {
-        const upsertResult = await levelMgr.upsertLevel(levelData);
-        if (upsertResult.success) {
-          levelUpdates.push(upsertResult.data);
-          console.log(`[ENHANCED] 📊 Level ${upsertResult.created ? 'created' : 'updated'}: ${levelData.level_type} at ${levelData.price_level}`);
-        }
+
+    const risk = await this.checkRisk();
+    if (!risk.canTrade) {
+      return finish({ success: true, can_trade: false, reason: risk.reason, risk_details: risk.details, results: {} });
+    }
+
+    const budget = this.riskManager.createRiskBudget({
+      account: risk.account,
+      positions: risk.positions,
+      maxPositions: params.maxPositions
+    });
+
+    const results = {};
+    for (const { config, timeframe: symbolTimeframe } of entries) {
+      results[config.symbol] = await this.execute({
+        symbol: config.symbol,
+        timeframe: symbolTimeframe,
+        force: params.force,
+        skipMarketCheck: true,
+        config,
+        budget
+      });
+    }
+
+    const outcomes = Object.values(results);
+
+    return finish({
+      success: outcomes.every(result => result.success),
+      can_trade: true,
+      signals_generated: outcomes.reduce((sum, result) => sum + (result.signals_generated || 0), 0),
+      trades_executed: outcomes.reduce((sum, result) => sum + (result.trades_executed || 0), 0),
+      risk_budget: budget,
+      results
+    });
+  }
+
+  /**
+   * Session in force (ET) from the session schedule: holidays are closed, early closes end the last window
+   * @param {Date} [now]
+   * @param {string} [symbol] - Uses the symbol's schedule override when it has one
+   */
+  getMarketSession(now = new Date(), symbol = null) {
+    return this.sessionSchedule.sessionAt(now, symbol);
+  }
+
+  /**
+   * Timeframe the symbol trades right now, or its last window's timeframe outside the session
+   */
+  sessionTimeframe(symbol = null, now = new Date()) {
+    return this.getMarketSession(now, symbol).timeframe || this.sessionSchedule.defaultTimeframe(symbol);
+  }
+
+  /**
+   * High-impact economic releases close enough to pause trading
+   */
+  async checkEconomicEvents(hours = 2) {
+    if (!this.economicCalendar.apiKey) {
+      return { hasHighImpactEvents: false, events: [], reason: 'FINNHUB_API_KEY not configured' };
+    }
+
+    try {
+      const events = await this.economicCalendar.getUpcomingEvents(hours);
+      const hasHighImpactEvents = this.economicCalendar.shouldPauseTrading(events);
+
+      if (hasHighImpactEvents) {
+        console.warn('[STRATEGY] High impact economic event detected:', events.map(e => e.Event));
       }
+
+      return { hasHighImpactEvents, events };
+    } catch (error) {
+      console.error('[STRATEGY] Error checking economic calendar:', error);
+      return { hasHighImpactEvents: false, events: [], error: error.message };
+    }
+  }
+
+  /**
+   * Market must be open and clear of high-impact events
+   */
+  async checkMarketConditions(symbol = null) {
+    const session = this.getMarketSession(new Date(), symbol);
+    if (!session.isOpen) {
+      return { canTrade: false, reason: session.holiday ? `Market closed (${session.holiday})` : 'Market closed', session };
+    }
+
+    const economic = await this.checkEconomicEvents();
+    if (economic.hasHighImpactEvents) {
+      return { canTrade: false, reason: 'High impact economic event', session, events: economic.events };
+    }
+
+    return { canTrade: true, reason: 'Market open and conditions favorable', session };
+  }
+
+  async loadState(symbol, timeframe) {
+    const state = await this.stateManager.getExecutionState(symbol, normalizeTimeframe(timeframe));
+    return { success: true, state };
+  }
+
+  /**
+   * Account and position checks from RiskManager
+   */
+  async checkRisk(executionState) {
+    try {
+      const [account, positions] = await Promise.all([
+        this.broker.getAccount(),
+        this.broker.getPositions()
+      ]);
+
+      const details = await this.riskManager.checkPreTradeRisk({ account, positions, executionState });
+
+      return { canTrade: details.canTrade, reason: details.reason, details, account, positions };
+    } catch (error) {
+      console.error('[STRATEGY] Error loading account for risk check:', error);
+      return { canTrade: false, reason: `Broker error: ${error.message}`, account: null, positions: [] };
     }
-    
-    // STEP 8: Generate trade signals from breakouts
-    console.log('[ENHANCED] Step 8: Processing trade signals...');
-    const tradeSignals = [];
-    
-    for (const signal of signals) {
-      // Additional validation before generating trade signal
-      const signalValidation = await validateTradeSignal(signal, activeLevels, options);
-      
-      if (signalValidation.valid) {
-        const tradeSignal = await generateEnhancedTradeSignal(supabase, signal, signalValidation);
-        if (tradeSignal.success) {
-          tradeSignals.push(tradeSignal.data);
-          console.log(`[ENHANCED] 💰 Trade signal generated: ${tradeSignal.data.signal_id}`);
+  }
+
+  /**
+   * Context window for detection plus the bars not processed by a previous run
+   */
+  async loadMarketData(symbol, timeframe, executionState, { force = false } = {}) {
+    const { data, error } = await this.store.getAggregatedBars(symbol, normalizeTimeframe(timeframe), {
+      limit: this.contextBars,
+      ascending: false
+    });
+
+    if (error) {
+      console.error('[STRATEGY] Error fetching bars:', error);
+      return { success: false, error: `Bar query error: ${error.message}`, bars: [], newBars: [] };
+    }
+
+    // Partial buckets (missing minutes or still forming) are picked up once they complete
+    const bars = (data || []).reverse().filter(bar => bar.is_complete !== false);
+    const lastProcessed = executionState?.last_bar_processed && !force
+      ? new Date(executionState.last_bar_processed).getTime()
+      : null;
+    const newBars = lastProcessed
+      ? bars.filter(bar => new Date(bar.timestamp).getTime() > lastProcessed)
+      : bars;
+
+    const currentBar = bars[bars.length - 1] || null;
+
+    return {
+      success: true,
+      bars,
+      newBars,
+      currentBar,
+      currentPrice: currentBar?.close ?? null,
+      currentVolume: currentBar?.volume ?? null
+    };
+  }
+
+  /**
+   * Load active levels and re-detect them when none exist or the cache is stale
+   */
+  async updateLevels(symbol, timeframe, bars, executionState, activePatterns = []) {
+    const activeLevels = await this.levelManager.getActiveLevels(symbol, timeframe, this.monitorLevelConfidence);
+    const currentBar = bars[bars.length - 1];
+    const sessionLevels = await this.updateSessionLevels(symbol, timeframe, activeLevels, currentBar?.timestamp);
+    const higherLevels = await this.updateHigherTimeframeLevels(symbol, timeframe, sessionLevels.levels, executionState, currentBar);
+    const vwapLevels = await this.updateVwapLevels(symbol, timeframe, higherLevels.levels, bars, activePatterns);
+    const levels = vwapLevels.levels;
+    const detail = {
+      session_levels: sessionLevels.stored,
+      higher_timeframe_levels: higherLevels.stored,
+      vwap_levels: vwapLevels.updated
+    };
+
+    if (levels.length > 0 && !this.shouldRefreshLevels(executionState)) {
+      return { success: true, levels, refreshed: false, stored: [], ...detail };
+    }
+
+    console.log('[STRATEGY] Detecting support/resistance levels...');
+    const stored = [];
+
+    for (const levelData of this.detectLevels(bars, symbol, timeframe)) {
+      const upsertResult = await this.levelManager.upsertLevel(levelData);
+      if (upsertResult.success) {
+        stored.push(upsertResult.data);
+        if (upsertResult.created) {
+          levels.push(upsertResult.data);
         }
-      } else {
-        console.log(`[ENHANCED] ⚠️ Trade signal filtered: ${signalValidation.reason}`);
       }
     }
-    
-    // STEP 9: Update execution state
-    console.log('[ENHANCED] Step 9: Updating execution state...');
-    const stateUpdates = {
-      last_bar_processed: currentBar.timestamp,
-      active_patterns_count: activePatterns.length + newPatterns.length,
-      active_levels_count: activeLevels.length + levelUpdates.length,
-      bars_analyzed: bars.length
-    };
-    
-    // Increment daily counters
-    await stateMgr.incrementCounters(symbol, timeframe, {
-      patterns_detected: newPatterns.length,
-      signals_generated: tradeSignals.length,
-      bars_analyzed: bars.length
+
+    await this.stateManager.updateCacheTimestamps(symbol, normalizeTimeframe(timeframe), ['levels']);
+
+    return { success: true, levels, refreshed: true, stored, ...detail };
+  }
+
+  /**
+   * Prior-day, pre-market and overnight levels from minute bars, stored once per ET date after the open.
+   * The previous date's session levels are retired rather than merged, since they describe a different day.
+   */
+  async updateSessionLevels(symbol, timeframe, levels, asOf = new Date()) {
+    const calendar = this.sessionSchedule.calendar;
+    const today = easternDate(asOf);
+    const todaySession = calendar.getSession(today);
+    const unchanged = { success: true, levels, stored: [] };
+
+    if (levels.some(level => level.level_type in SESSION_LEVEL_TYPES && level.metadata?.trading_date === today)) {
+      return unchanged;
+    }
+
+    // Pre-market and overnight ranges are final once the regular session opens
+    if (!todaySession.isTradingDay) return unchanged;
+    const todayOpen = easternTimeToUtc(today, todaySession.openMinute);
+    if (new Date(asOf) < todayOpen) return unchanged;
+
+    const priorDay = calendar.previousTradingDay(today);
+    const { data: minuteBars, error } = await this.store.getMinuteBars(symbol, {
+      start: easternTimeToUtc(priorDay, calendar.getSession(priorDay).openMinute).toISOString(),
+      end: new Date(todayOpen.getTime() - 1).toISOString()
     });
-    
-    await stateMgr.updateExecutionState(symbol, timeframe, stateUpdates);
-    
-    // STEP 10: Cleanup expired patterns and broken levels
-    console.log('[ENHANCED] Step 10: Cleanup...');
-    const [expiredResult, invalidatedResult] = await Promise.all([
-      patternMgr.expireOldPatterns(),
-      levelMgr.invalidateBrokenLevels(symbol, timeframe)
-    ]);
-    
-    const executionTime = Date.now() - startTime;
-    console.log(`[ENHANCED] ✅ Enhanced strategy execution completed in ${executionTime}ms`);
-    
-    // STEP 11: Prepare comprehensive result
-    const result = {
+
+    if (error) {
+      console.error('[STRATEGY] Error loading minute bars for session levels:', error);
+      return { ...unchanged, success: false, error: error.message };
+    }
+
+    const detected = this.levelDetector.detectSessionLevels(minuteBars || [], { now: asOf, calendar });
+    if (detected.length === 0) return unchanged;
+
+    const tf = normalizeTimeframe(timeframe);
+    const result = await this.replaceLevels(symbol, tf, levels, detected, SESSION_LEVEL_TYPES, today);
+
+    console.log(`[STRATEGY] Stored ${result.stored.length} session levels for ${symbol} ${tf} (${today})`);
+    return result;
+  }
+
+  /**
+   * Daily/weekly swing highs and lows, unfilled gaps and round numbers, from daily and weekly bars built out of
+   * minute_bars, and the prior-day and composite volume-profile POC/VAH/VAL. Stored once per ET date on this
+   * timeframe with their source_timeframe ('1d' or '1w').
+   */
+  async updateHigherTimeframeLevels(symbol, timeframe, levels, executionState, currentBar) {
+    const unchanged = { success: true, levels, stored: [] };
+    if (!currentBar || !(this.higherTimeframeDays > 0 || this.volumeProfileDays > 0)) return unchanged;
+
+    const today = easternDate(currentBar.timestamp);
+    const cachedAt = executionState?.htf_levels_cache_updated;
+    if (cachedAt && easternDate(cachedAt) === today) return unchanged;
+
+    const tf = normalizeTimeframe(timeframe);
+
+    try {
+      const { daily, weekly } = this.higherTimeframeDays > 0
+        ? await this.aggregator.loadSessionBars(symbol, {
+          before: today,
+          days: this.higherTimeframeDays,
+          calendar: this.sessionSchedule.calendar
+        })
+        : { daily: [], weekly: [] };
+
+      const profiles = this.volumeProfileDays > 0
+        ? await this.aggregator.loadVolumeProfiles(symbol, {
+          before: today,
+          days: this.volumeProfileDays,
+          calendar: this.sessionSchedule.calendar
+        })
+        : [];
+      const priorProfile = profiles.find(profile => profile.trading_date === this.sessionSchedule.calendar.previousTradingDay(today));
+
+      const detected = [
+        ...this.levelDetector.detectHigherTimeframeLevels(daily, weekly, { currentPrice: currentBar.close }),
+        ...this.levelDetector.detectVolumeProfileLevels(priorProfile, profiles.length > 1 ? compositeProfile(profiles) : null)
+      ];
+      const levelTypes = { ...HIGHER_TIMEFRAME_LEVEL_TYPES, ...VOLUME_PROFILE_LEVEL_TYPES };
+      const result = detected.length > 0
+        ? await this.replaceLevels(symbol, tf, levels, detected, levelTypes, today)
+        : unchanged;
+
+      await this.stateManager.updateCacheTimestamps(symbol, tf, ['htf_levels']);
+      console.log(`[STRATEGY] Stored ${result.stored.length} higher-timeframe levels for ${symbol} ${tf} from ${daily.length} daily bars and ${profiles.length} volume profiles`);
+      return result;
+    } catch (error) {
+      console.error('[STRATEGY] Error updating higher-timeframe levels:', error);
+      return { ...unchanged, success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Session VWAP and VWAPs anchored at the prior-day close, the latest gap open and the latest active pattern's
+   * pole start, with ±1σ/±2σ bands. They move with every bar, so their rows are updated in place on each run.
+   */
+  async updateVwapLevels(symbol, timeframe, levels, bars, activePatterns = []) {
+    const tf = normalizeTimeframe(timeframe);
+    const detected = this.levelDetector.detectVwapLevels(bars, { patterns: activePatterns });
+    const records = this.levelDetector.toLevelRecords(detected, { symbol, timeframe: tf });
+    const result = await this.levelManager.updateDynamicLevels(symbol, tf, records, VWAP_LEVEL_TYPES);
+
+    if (!result.success) {
+      return { success: false, levels, updated: [], error: result.error };
+    }
+
+    return {
       success: true,
-      execution_time_ms: executionTime,
-      timestamp: new Date().toISOString(),
-      
-      // Input data
-      bars_processed: bars.length,
-      current_price: currentBar.close,
-      current_volume: currentBar.volume,
-      
-      // Active context
-      active_patterns_checked: activePatterns.length,
-      active_levels_checked: activeLevels.length,
-      
-      // Pattern activity
-      patterns_broken_out: signals.length,
-      new_patterns_detected: newPatterns.length,
-      
-      // Level activity
-      level_touches: levelTouches.length,
-      levels_updated: levelUpdates.length,
-      
-      // Trade activity
-      trade_signals_generated: tradeSignals.length,
-      
-      // Cleanup
-      patterns_expired: expiredResult.success ? expiredResult.expiredCount : 0,
-      levels_invalidated: invalidatedResult.success ? invalidatedResult.invalidatedCount : 0,
-      
-      // Detailed results
-      breakout_signals: signals.map(s => ({
-        pattern_id: s.pattern.pattern_id,
-        pattern_type: s.pattern.pattern_type,
-        breakout_direction: s.breakout.direction,
-        breakout_strength: s.breakout.breakoutStrength,
-        volume_confirmed: s.breakout.volumeConfirmed
-      })),
-      
-      level_touches_detail: levelTouches.map(t => ({
-        level_type: t.levelType,
-        price_level: t.priceLevel,
-        touch_type: t.touchType,
-        held: t.held
-      })),
-      
-      new_patterns_detail: newPatterns.map(p => ({
-        pattern_id: p.pattern_id,
-        pattern_type: p.pattern_type,
-        quality_score: p.quality_score,
-        confluence_count: p.confluence_count
-      }))
+      levels: [...levels.filter(level => !(level.level_type in VWAP_LEVEL_TYPES)), ...result.levels],
+      updated: result.levels
     };
-    
-    // Log summary to system_events
-    await logEnhancedExecutionSummary(supabase, symbol, timeframe, result);
-    
-    return result;
-    
-  } catch (error) {
-    console.error('[ENHANCED] Strategy execution failed:', error);
-    
-    const errorResult = {
-      success: false,
-      error: error.message,
-      execution_time_ms: Date.now() - startTime,
-      timestamp: new Date().toISOString()
+  }
+
+  /**
+   * Retire the active levels of the given types and store the detected ones in their place
+   * @param {Object} levelTypes - e.g. SESSION_LEVEL_TYPES, or the higher-timeframe and volume-profile types
+   */
+  async replaceLevels(symbol, tf, levels, detected, levelTypes, tradingDate) {
+    const { data: previous } = await this.store.findLevels({ symbol, timeframe: tf, isActive: true });
+    const retired = (previous || []).filter(level => level.level_type in levelTypes).map(level => level.id);
+    if (retired.length > 0) {
+      await this.store.updateLevels(retired, { is_active: false, state: 'retired', invalidated_at: new Date().toISOString() });
+    }
+
+    const stored = [];
+    const records = this.levelDetector.toLevelRecords(detected, { symbol, timeframe: tf, metadata: { trading_date: tradingDate } });
+    for (const levelData of records) {
+      const result = await this.levelManager.createNewLevel(levelData);
+      if (result.success) stored.push(result.data);
+    }
+
+    return {
+      success: true,
+      levels: [...levels.filter(level => !retired.includes(level.id)), ...stored],
+      stored
     };
-    
-    // Log error
-    await logEnhancedExecutionError(supabase, symbol, timeframe, errorResult);
-    
-    return errorResult;
   }
-}
 
-/**
- * Fetch recent bars with smart filtering based on execution state
- */
-async function fetchRecentBars(supabase, symbol, timeframe, execState, limit = 100) {
-  try {
-    let query = supabase
-      .from('aggregated_bars')
-      .select('*')
-      .eq('symbol', symbol)
-      .eq('timeframe', normalizeTimeframe(timeframe))
-      .order('timestamp', { ascending: false })
-      .limit(limit);
-    
-    // If we have processed bars before, only get newer ones
-    const timestampFilter = execState.last_bar_processed;
-    if (timestampFilter) {
-      query = query.gt('timestamp', timestampFilter);
-    }
-    
-    const { data, error } = await query;
-    
-    if (error) {
-      console.error('Error fetching bars:', error);
+  shouldRefreshLevels(executionState) {
+    if (!executionState?.levels_cache_updated) {
+      return true;
+    }
+
+    const hoursSinceUpdate = (Date.now() - new Date(executionState.levels_cache_updated).getTime()) / (1000 * 60 * 60);
+    return hoursSinceUpdate >= this.levelRefreshHours;
+  }
+
+  /**
+   * LevelDetector levels (MAs, pivots, volume profile, trend lines, zones, confluence) as detected_levels rows
+   */
+  detectLevels(bars, symbol, timeframe) {
+    if (bars.length < 50) {
+      console.warn('[STRATEGY] Insufficient data for level detection');
       return [];
     }
-    
-    // Sort chronologically (oldest first)
-    return (data || []).reverse();
-  } catch (err) {
-    console.error('Exception in fetchRecentBars:', err);
-    return [];
+
+    const levels = this.levelDetector.toLevelRecords(this.levelDetector.detectLevels(bars), {
+      symbol,
+      timeframe: normalizeTimeframe(timeframe)
+    });
+
+    console.log(`[STRATEGY] Detected ${levels.length} levels`);
+    return levels;
   }
-}
 
-/**
- * Normalize timeframe format (10Min -> 10m)
- */
-function normalizeTimeframe(timeframe) {
-  return timeframe.toLowerCase().replace('min', 'm');
-}
+  /**
+   * Detect a flag in the context window and store it when it has quality and level confluence
+   */
+  async detectPatterns(symbol, timeframe, bars, levels, activePatterns = [], thresholds = this) {
+    const flagPattern = this.flagDetector.detectFlag(bars, levels);
 
-/**
- * Detect new flag patterns using existing logic
- */
-async function detectNewFlagPatterns(bars, symbol, timeframe) {
-  // This would integrate with existing flag detection logic
-  // For now, return empty array as placeholder
-  // TODO: Integrate with existing flag-detector.js logic
-  
-  console.log(`[ENHANCED] Flag pattern detection not yet integrated - placeholder`);
-  return [];
-}
+    if (!flagPattern) {
+      return { success: true, detected: null, created: [], reason: 'No flag pattern' };
+    }
 
-/**
- * Check pattern confluence with existing levels
- */
-async function checkPatternConfluence(patternData, activeLevels) {
-  const confluence = {
-    count: 0,
-    nearResistance: null,
-    nearSupport: null,
-    levels: []
-  };
-  
-  if (!patternData.breakout_level) {
-    return confluence;
+    console.log(`[STRATEGY] Flag detected: ${flagPattern.direction} (${flagPattern.validity.rating}), breakout at ${flagPattern.breakoutLevel}`);
+    const patternData = convertFlagToPatternData(flagPattern, symbol, timeframe, bars);
+
+    if (isDuplicatePattern(patternData, activePatterns)) {
+      return { success: true, detected: patternData, created: [], reason: 'Pattern already tracked' };
+    }
+
+    const confluence = this.checkPatternConfluence(patternData, levels, bars);
+    patternData.confluence_count = confluence.count;
+    patternData.near_resistance = confluence.nearResistance;
+    patternData.near_support = confluence.nearSupport;
+
+    if (patternData.quality_score <= thresholds.minPatternQuality || confluence.count < thresholds.minConfluence) {
+      const reason = `Pattern filtered out (quality: ${patternData.quality_score}, confluence: ${confluence.count})`;
+      console.log(`[STRATEGY] ⚠️ ${reason}`);
+      return { success: true, detected: patternData, created: [], confluence, reason };
+    }
+
+    const createResult = await this.patternManager.createPattern(patternData);
+    if (!createResult.success) {
+      return { success: false, detected: patternData, created: [], confluence, error: createResult.error };
+    }
+
+    console.log(`[STRATEGY] ✅ New pattern stored: ${createResult.data.pattern_id}`);
+    return { success: true, detected: patternData, created: [createResult.data], confluence };
   }
-  
-  const breakoutLevel = patternData.breakout_level;
-  const confluenceThreshold = breakoutLevel * 0.01; // 1% range
-  
-  for (const level of activeLevels) {
-    const distance = Math.abs(level.price_level - breakoutLevel);
-    const distancePct = distance / breakoutLevel;
-    
-    if (distance <= confluenceThreshold) {
+
+  /**
+   * Levels within 1% of the pattern's breakout level, plus a session VWAP reclaim (bullish) or loss (bearish)
+   * since the pole started
+   */
+  checkPatternConfluence(patternData, levels, bars = []) {
+    const confluence = { count: 0, nearResistance: null, nearSupport: null, levels: [], vwap: null };
+    const breakoutLevel = patternData.breakout_level;
+
+    if (!breakoutLevel) {
+      return confluence;
+    }
+
+    const session = this.levelDetector.findVwapAnchors(bars).find(anchor => anchor.anchor === 'session');
+    if (session) {
+      const poleStart = bars.findIndex(bar => new Date(bar.timestamp) >= new Date(patternData.pole?.start));
+      const cross = this.levelDetector.vwapCross(bars, session.index, Math.max(poleStart, session.index));
+      const expected = patternData.pattern_type === 'bearish_flag' ? 'loss' : 'reclaim';
+
+      confluence.vwap = { anchor: 'session', ...cross };
+      if (cross.state === expected) {
+        confluence.count++;
+      }
+    }
+
+    for (const level of levels) {
+      const distance = Math.abs(level.price_level - breakoutLevel);
+      if (distance > breakoutLevel * 0.01) continue;
+
       confluence.count++;
       confluence.levels.push({
         level_id: level.level_id,
         level_type: level.level_type,
         price_level: level.price_level,
         confidence: level.confidence,
-        distance_pct: distancePct
+        source_timeframe: level.source_timeframe,
+        distance_pct: distance / breakoutLevel
       });
-      
-      if (level.level_type.includes('resistance') && breakoutLevel < level.price_level) {
+
+      const side = levelRole(level);
+      if (side === 'resistance' && breakoutLevel < level.price_level) {
         confluence.nearResistance = level.price_level;
-      } else if (level.level_type.includes('support') && breakoutLevel > level.price_level) {
+      } else if (side === 'support' && breakoutLevel > level.price_level) {
         confluence.nearSupport = level.price_level;
       }
     }
+
+    return confluence;
   }
-  
-  return confluence;
-}
 
-/**
- * Validate trade signal before execution
- */
-async function validateTradeSignal(signal, activeLevels, options = {}) {
-  const validation = {
-    valid: true,
-    reason: null,
-    risk_score: 0
-  };
-  
-  // Basic validations
-  if (signal.pattern.quality_score < 0.7) {
-    validation.valid = false;
-    validation.reason = `Low pattern quality: ${signal.pattern.quality_score}`;
-    return validation;
-  }
-  
-  if (signal.pattern.confluence_count < 1) {
-    validation.valid = false;
-    validation.reason = `Insufficient confluence: ${signal.pattern.confluence_count}`;
-    return validation;
-  }
-  
-  if (!signal.breakout.volumeConfirmed) {
-    validation.valid = false;
-    validation.reason = 'Volume not confirmed';
-    return validation;
-  }
-  
-  // Additional validations can be added here
-  // - Time of day restrictions
-  // - Economic calendar events
-  // - Risk management checks
-  
-  return validation;
-}
+  /**
+   * Confirmed breakouts (volume and bar close) among the given patterns, marked as BROKEN_OUT
+   */
+  async checkBreakouts(patterns, currentBar) {
+    const breakouts = [];
+    const unconfirmed = [];
+
+    for (const pattern of patterns) {
+      const breakout = this.patternManager.checkBreakout(pattern, currentBar.close, currentBar.volume, currentBar);
+
+      if (!breakout.breakout) continue;
 
-/**
- * Generate enhanced trade signal with full context
- */
-async function generateEnhancedTradeSignal(supabase, signal, validation) {
-  try {
-    const tradeSignal = {
-      signal_id: `${signal.pattern.pattern_id}_${Date.now()}`,
-      pattern_id: signal.pattern.pattern_id,
-      symbol: signal.pattern.symbol,
-      timeframe: signal.pattern.timeframe,
+      if (!breakout.volumeConfirmed || !breakout.barConfirmed) {
+        console.log(`[STRATEGY] ⚠️ Breakout needs confirmation (volume: ${breakout.volumeConfirmed}, bar: ${breakout.barConfirmed})`);
+        unconfirmed.push({ pattern, breakout });
+        continue;
+      }
+
+      console.log(`[STRATEGY] 🚀 BREAKOUT detected for pattern ${pattern.pattern_id}!`);
+      const markResult = await this.patternManager.markBreakout(pattern.pattern_id, breakout, currentBar);
+
+      if (markResult.success) {
+        breakouts.push({ pattern, breakout, timestamp: currentBar.timestamp });
+      }
+    }
+
+    return { success: true, breakouts, unconfirmed };
+  }
+
+  /**
+   * Record touches of the current bar against active levels
+   */
+  async checkLevelTouches(symbol, timeframe, levels, currentBar) {
+    const touches = [];
+
+    for (const level of levels) {
+      const touch = this.levelManager.checkLevelTouch(level, currentBar);
+      if (!touch?.touched) continue;
+
+      console.log(`[STRATEGY] 📍 Level touch: ${touch.levelType} at ${touch.priceLevel} (${touch.touchType})`);
+
+      const touchResult = await this.levelManager.recordTouch(
+        { ...touch, symbol, timeframe, timestamp: currentBar.timestamp },
+        currentBar
+      );
+
+      if (touchResult.success) {
+        touches.push(touch);
+      }
+    }
+
+    return { success: true, touches };
+  }
+
+  /**
+   * Signal filters with a watchlist entry's overrides applied
+   */
+  getThresholds(config = null) {
+    return {
+      minQualityScore: config?.minQualityScore ?? this.minQualityScore,
+      minConfluence: config?.minConfluence ?? this.minConfluence,
+      minPatternQuality: config?.minPatternQuality ?? this.minPatternQuality
+    };
+  }
+
+  /**
+   * Quality, confluence and volume gates for a confirmed breakout
+   */
+  validateSignal({ pattern, breakout }, thresholds = this) {
+    if (pattern.quality_score < thresholds.minQualityScore) {
+      return { valid: false, reason: `Low pattern quality: ${pattern.quality_score}` };
+    }
+
+    if ((pattern.confluence_count || 0) < thresholds.minConfluence) {
+      return { valid: false, reason: `Insufficient confluence: ${pattern.confluence_count}` };
+    }
+
+    if (!breakout.volumeConfirmed) {
+      return { valid: false, reason: 'Volume not confirmed' };
+    }
+
+    return { valid: true, reason: null };
+  }
+
+  /**
+   * Risk budget for a pattern, sized off its stop distance
+   */
+  sizePosition(account, pattern) {
+    const positionSize = this.riskManager.calculatePositionSize({ account, pattern });
+
+    if (!positionSize.quantity) {
+      return { success: false, reason: positionSize.error || 'Position size calculated as 0', positionSize };
+    }
+
+    return { success: true, riskAmount: positionSize.riskAmount, positionSize };
+  }
+
+  /**
+   * Pick a contract from the broker's chain for the breakout direction
+   */
+  async selectOption(symbol, direction, riskAmount, { underlyingPrice, asOf } = {}) {
+    let optionChain;
+    try {
+      optionChain = await this.broker.getOptionChain(symbol);
+    } catch (error) {
+      console.error('[STRATEGY] Error fetching option chain:', error);
+      return { success: false, reason: `Option chain error: ${error.message}` };
+    }
+
+    if (!optionChain) {
+      return { success: false, reason: 'No option chain available' };
+    }
+
+    const option = this.optionSelector.selectOption(optionChain, direction, riskAmount, {
+      underlyingPrice,
+      now: asOf ? new Date(asOf) : new Date()
+    });
+    if (!option) {
+      return { success: false, reason: 'No suitable option found' };
+    }
+
+    console.log('[STRATEGY] 💎 Selected option:', option);
+    return { success: true, option };
+  }
+
+  /**
+   * Submit the entry order and record the trade against its pattern.
+   * Stop and target are underlying levels; bracket legs get their premium equivalents.
+   */
+  async executeTrade(symbol, { pattern, breakout, timestamp }, option) {
+    const stopLoss = calculateStopLoss(pattern, breakout);
+    const takeProfit = calculateTakeProfit(pattern, breakout);
+
+    const orderPayload = {
+      symbol: option.symbol,
+      qty: option.quantity,
+      side: 'buy',
+      type: 'limit',
+      limit_price: roundToTick(option.price * 1.01, 'up'),
+      time_in_force: 'day'
+    };
+
+    let premiumExits = null;
+    if (this.exitMode === 'bracket') {
+      const exits = mapExitLevels(option, { underlyingPrice: breakout.currentPrice, stopLoss, takeProfit });
+
+      if (exits.success) {
+        premiumExits = exits;
+        orderPayload.order_class = 'bracket';
+        orderPayload.take_profit = {
+          limit_price: exits.takeProfitPrice
+        };
+        orderPayload.stop_loss = {
+          stop_price: exits.stopPrice,
+          limit_price: exits.stopLimitPrice
+        };
+      } else {
+        console.warn(`[STRATEGY] ⚠️ ${exits.reason}; exits will be managed on the underlying`);
+      }
+    }
+
+    let order;
+    try {
+      console.log(`[STRATEGY] 🎯 Submitting ${orderPayload.order_class || 'limit'} order via ${this.broker.name}:`, orderPayload);
+      order = await this.broker.submitOrder(orderPayload);
+    } catch (error) {
+      console.error('[STRATEGY] ❌ Order submission failed:', error);
+      await this.logError(error, 'executeTrade');
+      return { success: false, error: error.message };
+    }
+
+    console.log('[STRATEGY] ✅ Order submitted:', order.id);
+
+    const { error: tradeError } = await this.store.insertTrade({
+      timestamp: new Date().toISOString(),
+      symbol,
+      side: 'buy',
+      quantity: option.quantity,
+      price: option.price,
+      option_contract: option.symbol,
+      strategy: 'level_flag_breakout',
+      entry_reason: `${pattern.pattern_type} breakout`,
+      stop_loss: stopLoss,
+      take_profit: takeProfit,
+      order_id: order.id,
+      pattern_id: pattern.pattern_id,
+      timeframe: pattern.timeframe,
+      management: createManagementState(pattern, breakout, { stopLoss, takeProfit, entryTime: timestamp, premiumExits }),
+      status: 'open'
+    });
+
+    if (tradeError) {
+      console.error('[STRATEGY] Error logging trade:', tradeError);
+    }
+
+    await this.patternManager.markTraded(pattern.pattern_id, order.id);
+
+    return {
+      success: true,
+      trade: {
+        pattern_id: pattern.pattern_id,
+        option,
+        order,
+        stop_loss: stopLoss,
+        take_profit: takeProfit,
+        exit_mode: premiumExits ? 'bracket' : 'underlying',
+        premium_stop: premiumExits?.stopPrice ?? null,
+        premium_target: premiumExits?.takeProfitPrice ?? null
+      }
+    };
+  }
+
+  /**
+   * Validate, record and trade each breakout until the position caps or the risk budget are reached
+   * @param {Object} [options.budget] - Shared risk budget; a fresh one is created from the account when omitted
+   * @param {number} [options.symbolMaxPositions] - Cap on open positions in this underlying
+   */
+  async processSignals(symbol, breakouts, { account, positions = [], budget, symbolMaxPositions = null, thresholds = this } = {}) {
+    const signals = [];
+    const trades = [];
+    const skipped = [];
+    const riskBudget = budget || this.riskManager.createRiskBudget({ account, positions });
+    const symbolPositions = positions.filter(position => getUnderlyingSymbol(position.symbol) === symbol).length;
+
+    for (const signal of breakouts) {
+      const patternId = signal.pattern.pattern_id;
+      const skip = (reason) => {
+        console.log(`[STRATEGY] ⚠️ Skipping ${patternId}: ${reason}`);
+        skipped.push({ pattern_id: patternId, reason });
+      };
+
+      const validation = this.validateSignal(signal, thresholds);
+      if (!validation.valid) {
+        skip(validation.reason);
+        continue;
+      }
+
+      const recorded = await this.recordSignal(signal);
+      if (recorded.success) {
+        signals.push(recorded.data);
+      }
+
+      if (riskBudget.openPositions >= riskBudget.maxPositions) {
+        skip(`Position limit reached: ${riskBudget.maxPositions}`);
+        continue;
+      }
+
+      if (symbolMaxPositions !== null && symbolPositions + trades.length >= symbolMaxPositions) {
+        skip(`${symbol} position limit reached: ${symbolMaxPositions}`);
+        continue;
+      }
+
+      const sizing = this.sizePosition(account, signal.pattern);
+      if (!sizing.success) {
+        skip(sizing.reason);
+        continue;
+      }
+
+      const riskAmount = this.riskManager.getAvailableRisk(riskBudget, sizing.riskAmount);
+      if (riskAmount <= 0) {
+        skip('Portfolio risk budget exhausted');
+        continue;
+      }
+
+      const direction = signal.breakout.direction === 'up' ? 'bullish' : 'bearish';
+      const selection = await this.selectOption(symbol, direction, riskAmount, {
+        underlyingPrice: signal.breakout.currentPrice,
+        asOf: signal.timestamp
+      });
+      if (!selection.success) {
+        skip(selection.reason);
+        continue;
+      }
+
+      const execution = await this.executeTrade(symbol, signal, selection.option);
+      if (!execution.success) {
+        skip(`Order failed: ${execution.error}`);
+        continue;
+      }
+
+      // Premium paid is the most an option entry can lose
+      this.riskManager.allocateRisk(riskBudget, selection.option.price * selection.option.quantity * 100);
+      trades.push(execution.trade);
+    }
+
+    return { success: true, signals, trades, skipped };
+  }
+
+  /**
+   * Store a validated breakout in strategy_executions
+   */
+  async recordSignal({ pattern, breakout, timestamp }) {
+    const signal = {
+      signal_id: `${pattern.pattern_id}_${Date.now()}`,
+      pattern_id: pattern.pattern_id,
+      symbol: pattern.symbol,
+      timeframe: pattern.timeframe,
       signal_type: 'PATTERN_BREAKOUT',
-      direction: signal.breakout.direction,
-      
-      entry_price: signal.breakout.currentPrice,
-      breakout_level: signal.pattern.breakout_level,
-      
-      stop_loss: signal.pattern.pattern_type === 'bullish_flag' ? 
-        signal.pattern.flag_low : signal.pattern.flag_high,
-      
-      take_profit: calculateTakeProfit(signal.pattern, signal.breakout),
-      
-      confidence: signal.pattern.confidence,
-      quality_score: signal.pattern.quality_score,
-      risk_score: validation.risk_score,
-      
-      volume_confirmed: signal.breakout.volumeConfirmed,
-      breakout_strength: signal.breakout.breakoutStrength,
-      
-      generated_at: signal.timestamp,
-      expires_at: calculateSignalExpiration(signal.pattern.timeframe)
+      direction: breakout.direction,
+      entry_price: breakout.currentPrice,
+      breakout_level: pattern.breakout_level,
+      stop_loss: calculateStopLoss(pattern, breakout),
+      take_profit: calculateTakeProfit(pattern, breakout),
+      confidence: pattern.confidence,
+      quality_score: pattern.quality_score,
+      volume_confirmed: breakout.volumeConfirmed,
+      breakout_strength: breakout.breakoutStrength,
+      generated_at: timestamp
     };
-    
-    // Store signal in strategy_executions table
-    const { data, error } = await supabase
-      .from('strategy_executions')
-      .insert({
-        symbol: tradeSignal.symbol,
-        timeframe: tradeSignal.timeframe,
-        strategy: 'enhanced_level_flag',
-        signal_type: tradeSignal.signal_type,
-        direction: tradeSignal.direction,
-        entry_price: tradeSignal.entry_price,
-        stop_loss: tradeSignal.stop_loss,
-        take_profit: tradeSignal.take_profit,
-        confidence: tradeSignal.confidence,
-        metadata: {
-          signal_id: tradeSignal.signal_id,
-          pattern_id: tradeSignal.pattern_id,
-          quality_score: tradeSignal.quality_score,
-          breakout_strength: tradeSignal.breakout_strength,
-          volume_confirmed: tradeSignal.volume_confirmed
-        },
-        executed_at: new Date().toISOString()
-      })
-      .select()
-      .single();
-    
+
+    const { error } = await this.store.insertStrategyExecution({
+      symbol: signal.symbol,
+      timeframe: signal.timeframe,
+      strategy: 'level_flag',
+      signal_type: signal.signal_type,
+      direction: signal.direction,
+      entry_price: signal.entry_price,
+      stop_loss: signal.stop_loss,
+      take_profit: signal.take_profit,
+      confidence: signal.confidence,
+      metadata: {
+        signal_id: signal.signal_id,
+        pattern_id: signal.pattern_id,
+        quality_score: signal.quality_score,
+        breakout_strength: signal.breakout_strength,
+        volume_confirmed: signal.volume_confirmed
+      },
+      executed_at: new Date().toISOString()
+    });
+
     if (error) {
-      console.error('Error storing trade signal:', error);
+      console.error('[STRATEGY] Error storing trade signal:', error);
       return { success: false, error };
     }
-    
-    return { success: true, data: tradeSignal };
-  } catch (err) {
-    console.error('Exception in generateEnhancedTradeSignal:', err);
-    return { success: false, error: err.message };
+
+    return { success: true, data: signal };
   }
-}
 
-/**
- * Calculate take profit level based on pattern geometry
- */
-function calculateTakeProfit(pattern, breakout) {
-  if (!pattern.pole_length_pct) {
-    // Fallback to simple multiple of breakout level
-    return breakout.currentPrice * (breakout.direction === 'up' ? 1.02 : 0.98);
-  }
-  
-  // Project pole length from breakout level
-  const poleLength = Math.abs(pattern.pole_end_price - pattern.pole_start_price);
-  
-  if (breakout.direction === 'up') {
-    return breakout.currentPrice + poleLength;
-  } else {
-    return breakout.currentPrice - poleLength;
+  /**
+   * Advance last_bar_processed and add this run's counts to the daily counters
+   */
+  async updateState(symbol, timeframe, stats) {
+    const tf = normalizeTimeframe(timeframe);
+
+    await this.stateManager.incrementCounters(symbol, tf, {
+      patterns_detected: stats.patternsDetected,
+      signals_generated: stats.signalsGenerated,
+      trades_executed: stats.tradesExecuted,
+      bars_analyzed: stats.barsProcessed
+    });
+
+    return this.stateManager.updateExecutionState(symbol, tf, {
+      last_bar_processed: stats.currentBar.timestamp,
+      active_patterns_count: stats.activePatterns,
+      active_levels_count: stats.activeLevels
+    });
   }
-}
 
-/**
- * Calculate signal expiration time
- */
-function calculateSignalExpiration(timeframe) {
-  const now = new Date();
-  const expirationMinutes = {
-    '2m': 30,
-    '5m': 60,
-    '10m': 120,
-    '2Min': 30,
-    '5Min': 60,
-    '10Min': 120
-  };
-  
-  const minutes = expirationMinutes[timeframe] || 60;
-  now.setMinutes(now.getMinutes() + minutes);
-  return now.toISOString();
-}
+  async cleanup(symbol, timeframe) {
+    const [expiredResult, levelResult] = await Promise.all([
+      this.patternManager.expireOldPatterns(),
+      this.levelManager.retireLevels(symbol, timeframe)
+    ]);
 
-/**
- * Log execution summary to system_events
- */
-async function logEnhancedExecutionSummary(supabase, symbol, timeframe, result) {
-  try {
-    await supabase
-      .from('system_events')
-      .insert({
-        event_type: 'ENHANCED_STRATEGY_EXECUTION',
-        symbol,
-        timeframe,
+    return {
+      success: expiredResult.success && levelResult.success,
+      patternsExpired: expiredResult.success ? expiredResult.expiredCount : 0,
+      levelsDecayed: levelResult.success ? levelResult.decayedCount : 0,
+      levelsRetired: levelResult.success ? levelResult.retiredCount : 0
+    };
+  }
+
+  async logExecutionSummary(result) {
+    try {
+      await this.store.insertEvent({
+        event_type: 'STRATEGY_EXECUTION',
+        symbol: result.symbol,
+        timeframe: result.timeframe,
         timestamp: result.timestamp,
         event_details: {
           execution_time_ms: result.execution_time_ms,
           bars_processed: result.bars_processed,
-          patterns_checked: result.active_patterns_checked,
-          levels_checked: result.active_levels_checked,
-          breakouts: result.patterns_broken_out,
-          new_patterns: result.new_patterns_detected,
+          levels_active: result.levels_active,
+          patterns_active: result.patterns_active,
+          new_patterns: result.patterns_detected,
+          breakouts: result.breakouts_found,
           level_touches: result.level_touches,
-          trade_signals: result.trade_signals_generated,
+          trade_signals: result.signals_generated,
+          trades_executed: result.trades_executed,
           success: result.success
         }
       });
-  } catch (err) {
-    console.error('Error logging execution summary:', err);
+    } catch (err) {
+      console.error('Error logging execution summary:', err);
+    }
   }
-}
 
-/**
- * Log execution error to system_events
- */
-async function logEnhancedExecutionError(supabase, symbol, timeframe, errorResult) {
-  try {
-    await supabase
-      .from('system_events')
-      .insert({
-        event_type: 'ENHANCED_STRATEGY_ERROR',
-        symbol,
-        timeframe,
+  async logExecutionError(errorResult) {
+    try {
+      await this.store.insertEvent({
+        event_type: 'STRATEGY_ERROR',
+        symbol: errorResult.symbol,
+        timeframe: errorResult.timeframe,
         timestamp: errorResult.timestamp,
         event_details: {
           error: errorResult.error,
           execution_time_ms: errorResult.execution_time_ms
         }
       });
-  } catch (err) {
-    console.error('Error logging execution error:', err);
+    } catch (err) {
+      console.error('Error logging execution error:', err);
+    }
   }
-}
\ No newline at end of file
+
+  async logError(error, functionName) {
+    try {
+      await this.store.insertError({
+        timestamp: new Date().toISOString(),
+        message: error.message || String(error),
+        stack: error.stack,
+        function_name: functionName
+      });
+    } catch (err) {
+      console.error('[DB] Failed to log error:', err);
+    }
+  }
+}
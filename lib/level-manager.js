@@ -1,26 +1,43 @@
 // lib/level-manager.js
-// Manages support/resistance level persistence and touch tracking
+// Manages support/resistance level persistence and touch tracking.
+// Each level moves through a lifecycle: fresh -> tested -> broken -> flipped -> retired. A broken level is
+// retested from the other side, and a retest that holds flips its role (broken resistance becomes support).
+
+import { resolveRepository } from './repository.js';
+import { levelRole, levelWeight } from './level-detector.js';
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const OPPOSITE_ROLE = { support: 'resistance', resistance: 'support' };
 
 export class LevelManager {
-  constructor(supabaseClient) {
-    this.supabase = supabaseClient;
+  /**
+   * @param {Object} [store] - Repository or raw Supabase client; defaults to the configured repository
+   */
+  constructor(store) {
+    this.store = resolveRepository(store);
     this.touchThreshold = 0.002; // 0.2% price distance to consider a "touch"
     this.similarLevelThreshold = 0.005; // 0.5% threshold for similar levels
+
+    // Confidence halves after this many hours without a touch or reconfirmation (times the level's timeframe weight)
+    this.halfLifeHours = parseFloat(process.env.LEVEL_HALF_LIFE_HOURS || '24');
+    this.retireConfidence = 0.3;  // Levels that fade below this are retired
+    this.maxBreaks = 3;           // Levels broken this often are retired
   }
 
   /**
-   * Load active levels from database
+   * Load active levels from database, each with its timeframe `weight`.
+   * Daily/weekly levels rank ahead of intraday levels of similar confidence.
    */
   async getActiveLevels(symbol, timeframe, minConfidence = 0.7) {
     try {
-      const { data, error } = await this.supabase
-        .from('detected_levels')
-        .select('*')
-        .eq('symbol', symbol)
-        .eq('timeframe', timeframe)
-        .eq('is_active', true)
-        .gte('confidence', minConfidence)
-        .order('confidence', { ascending: false });
+      const { data, error } = await this.store.findLevels({
+        symbol,
+        timeframe,
+        isActive: true,
+        minConfidence,
+        orderBy: 'confidence',
+        ascending: false
+      });
 
       if (error) {
         console.error('Error loading levels:', error);
@@ -28,7 +45,9 @@ export class LevelManager {
       }
 
       console.log(`Loaded ${data.length} active levels for ${symbol} ${timeframe}`);
-      return data || [];
+      return (data || [])
+        .map(level => ({ ...level, weight: levelWeight(level) }))
+        .sort((a, b) => b.confidence * b.weight - a.confidence * a.weight);
     } catch (err) {
       console.error('Exception in getActiveLevels:', err);
       return [];
@@ -53,9 +72,15 @@ export class LevelManager {
       return null;
     }
 
-    // Determine touch outcome based on level type and close price
-    const touchOutcome = this.determineTouchOutcome(level, currentBar, priceRange);
-    
+    // A broken level is retested from the other side, so it is judged by the opposite role
+    const stateBefore = levelState(level);
+    const role = this.touchSide(level);
+    const side = stateBefore === 'broken' ? OPPOSITE_ROLE[role] ?? role : role;
+
+    // Determine touch outcome based on the level's role and close price
+    const touchOutcome = this.determineTouchOutcome(level, currentBar, priceRange, side);
+    const transition = this.nextState(stateBefore, touchOutcome, role, side);
+
     return {
       touched: true,
       levelId: level.id,
@@ -66,10 +91,38 @@ export class LevelManager {
       held: touchOutcome.held,
       distance: Math.abs(currentBar.close - level.price_level),
       distancePct: Math.abs((currentBar.close - level.price_level) / level.price_level),
-      breakStrength: touchOutcome.breakStrength
+      breakStrength: touchOutcome.breakStrength,
+      stateBefore,
+      state: transition.state,
+      roleBefore: role,
+      role: transition.role
     };
   }
 
+  /**
+   * Side a touch is judged by; confluence zones hold like support
+   */
+  touchSide(level) {
+    return levelRole(level) ?? (level.level_type === 'confluence_zone' ? 'support' : null);
+  }
+
+  /**
+   * Lifecycle state and role after a touch. A held retest of a broken level flips it, a failed one is a false
+   * break that leaves it tested in its old role, and a flipped level that breaks is retired.
+   */
+  nextState(state, touchOutcome, role, side) {
+    if (!role) return { state: 'tested', role };
+
+    switch (state) {
+      case 'broken':
+        return touchOutcome.held ? { state: 'flipped', role: side } : { state: 'tested', role };
+      case 'flipped':
+        return { state: touchOutcome.held ? 'flipped' : 'retired', role };
+      default:
+        return { state: touchOutcome.held ? 'tested' : 'broken', role };
+    }
+  }
+
   /**
    * Get price range for level (handles both zones and point levels)
    */
@@ -92,16 +145,17 @@ export class LevelManager {
 
   /**
    * Determine touch outcome (BOUNCE, BREAK, TEST)
+   * @param {string|null} [side] - Role the level is judged by; defaults to its current role
    */
-  determineTouchOutcome(level, currentBar, priceRange) {
+  determineTouchOutcome(level, currentBar, priceRange, side = this.touchSide(level)) {
     const closeAbove = currentBar.close > priceRange.max;
     const closeBelow = currentBar.close < priceRange.min;
     const closeInside = !closeAbove && !closeBelow;
 
     let touchType, held, touchPrice, breakStrength = 0;
 
-    // Logic based on level type
-    if (level.level_type.includes('support') || level.level_type === 'confluence_zone') {
+    // Logic based on the level's role
+    if (side === 'support') {
       if (closeBelow) {
         touchType = 'BREAK';
         held = false;
@@ -112,7 +166,7 @@ export class LevelManager {
         held = true;
         touchPrice = currentBar.low;
       }
-    } else if (level.level_type.includes('resistance')) {
+    } else if (side === 'resistance') {
       if (closeAbove) {
         touchType = 'BREAK';
         held = false;
@@ -152,12 +206,13 @@ export class LevelManager {
         bar_volume: currentBar.volume,
         bar_high: currentBar.high,
         bar_low: currentBar.low,
-        bar_close: currentBar.close
+        bar_close: currentBar.close,
+        state_before: touchData.stateBefore,
+        state_after: touchData.state,
+        role: touchData.role
       };
 
-      const { error } = await this.supabase
-        .from('level_touches')
-        .insert(touch);
+      const { error } = await this.store.insertLevelTouch(touch);
 
       if (error) {
         console.error('Error recording touch:', error);
@@ -167,21 +222,21 @@ export class LevelManager {
       // Update level statistics using atomic function
       const confidenceChange = touchData.held ? 0.02 : -0.05; // Increase confidence on hold, decrease on break
       
-      const { error: updateError } = await this.supabase
-        .rpc('update_level_stats', {
-          p_level_id: touchData.levelId,
-          p_touch_increment: 1,
-          p_bounce_increment: touchData.held ? 1 : 0,
-          p_break_increment: touchData.held ? 0 : 1,
-          p_confidence_change: confidenceChange,
-          p_last_touch_time: currentBar.timestamp,
-          p_last_touch_price: touchData.touchPrice
-        });
+      const { error: updateError } = await this.store.updateLevelStats(touchData.levelId, {
+        touchIncrement: 1,
+        bounceIncrement: touchData.held ? 1 : 0,
+        breakIncrement: touchData.held ? 0 : 1,
+        confidenceChange,
+        lastTouchTime: currentBar.timestamp,
+        lastTouchPrice: touchData.touchPrice
+      });
 
       if (updateError) {
         console.error('Error updating level stats:', updateError);
       }
 
+      await this.updateLifecycle(touchData, currentBar);
+
       console.log(`Recorded ${touchData.touchType} touch for level ${touchData.levelType} at ${touchData.touchPrice}`);
       return { success: true };
     } catch (err) {
@@ -190,6 +245,33 @@ export class LevelManager {
     }
   }
 
+  /**
+   * Store a touch's lifecycle transition on its level; a retired level is deactivated
+   */
+  async updateLifecycle(touchData, currentBar) {
+    if (touchData.state === touchData.stateBefore && touchData.role === touchData.roleBefore) return;
+
+    const updates = {
+      state: touchData.state,
+      role: touchData.role,
+      state_changed_at: currentBar.timestamp
+    };
+    if (touchData.state === 'broken') updates.broken_at = currentBar.timestamp;
+    if (touchData.state === 'flipped' && touchData.stateBefore === 'broken') updates.flipped_at = currentBar.timestamp;
+    if (touchData.state === 'retired') {
+      updates.is_active = false;
+      updates.invalidated_at = currentBar.timestamp;
+    }
+
+    const { error } = await this.store.updateLevel(touchData.levelId, updates);
+    if (error) {
+      console.error('Error updating level state:', error);
+      return;
+    }
+
+    console.log(`Level ${touchData.levelType} at ${touchData.priceLevel}: ${touchData.stateBefore} -> ${touchData.state}${touchData.role !== touchData.roleBefore ? ` (now ${touchData.role})` : ''}`);
+  }
+
   /**
    * Create or update level (upsert operation)
    */
@@ -216,6 +298,69 @@ export class LevelManager {
     }
   }
 
+  /**
+   * Move dynamic levels (VWAPs and their bands) to their current price. Each level_type keeps one active row,
+   * updated in place so its touch history carries over; active rows of the types missing from `records` are deactivated.
+   * @param {Array<Object>} records - detected_levels rows (LevelDetector.toLevelRecords)
+   * @param {Object} levelTypes - e.g. VWAP_LEVEL_TYPES
+   * @returns {Promise<Object>} { success, levels, retired }
+   */
+  async updateDynamicLevels(symbol, timeframe, records, levelTypes) {
+    try {
+      const { data, error } = await this.store.findLevels({ symbol, timeframe, isActive: true });
+
+      if (error) {
+        console.error('Error loading dynamic levels:', error);
+        return { success: false, levels: [], retired: [], error };
+      }
+
+      const existing = new Map();
+      const retired = [];
+      for (const level of (data || []).filter(level => level.level_type in levelTypes)) {
+        if (existing.has(level.level_type)) retired.push(level.id);
+        else existing.set(level.level_type, level);
+      }
+
+      const now = new Date().toISOString();
+      const levels = [];
+
+      for (const record of records) {
+        const current = existing.get(record.level_type);
+        existing.delete(record.level_type);
+
+        if (!current) {
+          const result = await this.createNewLevel(record);
+          if (result.success) levels.push(result.data);
+          continue;
+        }
+
+        const { data: updated, error: updateError } = await this.store.updateLevel(current.id, {
+          price_level: record.price_level,
+          price_range_min: record.price_range_min,
+          price_range_max: record.price_range_max,
+          last_confirmed: now,
+          metadata: { ...current.metadata, ...record.metadata }
+        });
+
+        if (updateError) {
+          console.error('Error moving dynamic level:', updateError);
+          continue;
+        }
+        levels.push(updated);
+      }
+
+      retired.push(...[...existing.values()].map(level => level.id));
+      if (retired.length > 0) {
+        await this.store.updateLevels(retired, { is_active: false, state: 'retired', invalidated_at: now });
+      }
+
+      return { success: true, levels, retired };
+    } catch (err) {
+      console.error('Exception in updateDynamicLevels:', err);
+      return { success: false, levels: [], retired: [], error: err.message };
+    }
+  }
+
   /**
    * Find similar level within threshold
    */
@@ -223,16 +368,15 @@ export class LevelManager {
     try {
       const threshold = priceLevel * this.similarLevelThreshold;
       
-      const { data, error } = await this.supabase
-        .from('detected_levels')
-        .select('*')
-        .eq('symbol', symbol)
-        .eq('timeframe', timeframe)
-        .eq('level_type', levelType)
-        .eq('is_active', true)
-        .gte('price_level', priceLevel - threshold)
-        .lte('price_level', priceLevel + threshold)
-        .limit(1);
+      const { data, error } = await this.store.findLevels({
+        symbol,
+        timeframe,
+        levelType,
+        isActive: true,
+        priceMin: priceLevel - threshold,
+        priceMax: priceLevel + threshold,
+        limit: 1
+      });
 
       if (error) {
         console.error('Error finding similar level:', error);
@@ -274,12 +418,7 @@ export class LevelManager {
         }
       };
 
-      const { data, error } = await this.supabase
-        .from('detected_levels')
-        .update(updateData)
-        .eq('id', existingLevel.id)
-        .select()
-        .single();
+      const { data, error } = await this.store.updateLevel(existingLevel.id, updateData);
 
       if (error) {
         console.error('Error updating existing level:', error);
@@ -304,6 +443,8 @@ export class LevelManager {
         symbol: levelData.symbol,
         timeframe: levelData.timeframe,
         level_type: levelData.level_type,
+        source_timeframe: levelData.source_timeframe || levelData.timeframe,
+        state: 'fresh',
         
         price_level: levelData.price_level,
         price_range_min: levelData.price_range_min,
@@ -320,11 +461,7 @@ export class LevelManager {
         metadata: levelData.metadata || {}
       };
 
-      const { data, error } = await this.supabase
-        .from('detected_levels')
-        .insert(level)
-        .select()
-        .single();
+      const { data, error } = await this.store.insertLevel(level);
 
       if (error) {
         console.error('Error creating new level:', error);
@@ -358,12 +495,7 @@ export class LevelManager {
    */
   async getLevelsForConfluence(symbol, timeframe, priceRange, minConfidence = 0.6) {
     try {
-      const { data, error } = await this.supabase
-        .rpc('get_active_levels_for_confluence', {
-          p_symbol: symbol,
-          p_timeframe: timeframe,
-          p_min_confidence: minConfidence
-        });
+      const { data, error } = await this.store.getLevelsForConfluence(symbol, timeframe, minConfidence);
 
       if (error) {
         console.error('Error getting levels for confluence:', error);
@@ -384,56 +516,85 @@ export class LevelManager {
   }
 
   /**
-   * Invalidate broken levels (mark as inactive)
+   * Fade levels that have gone untouched and retire the ones that faded out or broke too often.
+   * Confidence halves every halfLifeHours × timeframe weight since the last touch, reconfirmation or decay step.
+   * @returns {Promise<Object>} { success, decayedCount, retiredCount }
    */
-  async invalidateBrokenLevels(symbol, timeframe) {
+  async retireLevels(symbol, timeframe, now = new Date()) {
     try {
-      // Find levels with high break count relative to total touches
-      const { data: brokenLevels, error } = await this.supabase
-        .from('detected_levels')
-        .select('id, level_id, break_count, touch_count')
-        .eq('symbol', symbol)
-        .eq('timeframe', timeframe)
-        .eq('is_active', true)
-        .gt('break_count', 0);
+      const { data: levels, error } = await this.store.findLevels({ symbol, timeframe, isActive: true });
 
       if (error) {
-        console.error('Error finding broken levels:', error);
+        console.error('Error loading levels to retire:', error);
         return { success: false, error };
       }
 
-      const levelsToInvalidate = brokenLevels.filter(level => {
-        const breakRatio = level.break_count / Math.max(level.touch_count, 1);
-        return breakRatio > 0.5 || level.break_count >= 3; // Invalidate if >50% breaks or 3+ breaks
-      });
+      const retired = [];
+      let decayedCount = 0;
 
-      if (levelsToInvalidate.length === 0) {
-        return { success: true, invalidatedCount: 0 };
+      for (const level of levels || []) {
+        if ((level.break_count || 0) >= this.maxBreaks) {
+          retired.push(level.id);
+          continue;
+        }
+
+        const confidence = this.decayedConfidence(level, now);
+        if (confidence === null) continue;
+
+        if (confidence < this.retireConfidence) {
+          retired.push(level.id);
+          continue;
+        }
+
+        const { error: updateError } = await this.store.updateLevel(level.id, { confidence, decayed_at: now.toISOString() });
+        if (updateError) {
+          console.error('Error decaying level:', updateError);
+          continue;
+        }
+        decayedCount++;
       }
 
-      const levelIds = levelsToInvalidate.map(l => l.id);
-      
-      const { error: updateError } = await this.supabase
-        .from('detected_levels')
-        .update({
+      if (retired.length > 0) {
+        const { error: updateError } = await this.store.updateLevels(retired, {
           is_active: false,
-          invalidated_at: new Date().toISOString()
-        })
-        .in('id', levelIds);
+          state: 'retired',
+          state_changed_at: now.toISOString(),
+          invalidated_at: now.toISOString()
+        });
 
-      if (updateError) {
-        console.error('Error invalidating levels:', updateError);
-        return { success: false, error: updateError };
+        if (updateError) {
+          console.error('Error retiring levels:', updateError);
+          return { success: false, error: updateError };
+        }
+
+        console.log(`Retired ${retired.length} faded or broken levels`);
       }
 
-      console.log(`Invalidated ${levelsToInvalidate.length} broken levels`);
-      return { success: true, invalidatedCount: levelsToInvalidate.length };
+      return { success: true, decayedCount, retiredCount: retired.length };
     } catch (err) {
-      console.error('Exception in invalidateBrokenLevels:', err);
+      console.error('Exception in retireLevels:', err);
       return { success: false, error: err.message };
     }
   }
 
+  /**
+   * Confidence after decay since the level's last activity, or null when less than an hour has passed
+   */
+  decayedConfidence(level, now) {
+    if (!(this.halfLifeHours > 0)) return null;
+
+    const activity = [level.last_touch_time, level.last_confirmed, level.first_detected, level.decayed_at]
+      .filter(Boolean)
+      .map(value => new Date(value).getTime());
+    if (activity.length === 0) return null;
+
+    const hours = (now.getTime() - Math.max(...activity)) / MS_PER_HOUR;
+    if (hours < 1) return null;
+
+    const halfLife = this.halfLifeHours * levelWeight(level);
+    return level.confidence * Math.pow(0.5, hours / halfLife);
+  }
+
   /**
    * Get level statistics for analysis
    */
@@ -442,19 +603,12 @@ export class LevelManager {
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - days);
 
-      const { data, error } = await this.supabase
-        .from('detected_levels')
-        .select(`
-          level_type,
-          confidence,
-          touch_count,
-          bounce_count,
-          break_count,
-          is_active
-        `)
-        .eq('symbol', symbol)
-        .eq('timeframe', timeframe)
-        .gte('first_detected', cutoffDate.toISOString());
+      const { data, error } = await this.store.findLevels({
+        fields: 'level_type, confidence, touch_count, bounce_count, break_count, is_active',
+        symbol,
+        timeframe,
+        detectedSince: cutoffDate.toISOString()
+      });
 
       if (error) {
         console.error('Error getting level stats:', error);
@@ -512,11 +666,7 @@ export class LevelManager {
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - daysOld);
 
-      const { data, error } = await this.supabase
-        .from('detected_levels')
-        .delete()
-        .eq('is_active', false)
-        .lt('invalidated_at', cutoffDate.toISOString());
+      const { data, error } = await this.store.deleteInactiveLevels(cutoffDate.toISOString());
 
       if (error) {
         console.error('Error cleaning up old levels:', error);
@@ -559,4 +709,11 @@ export class LevelManager {
       }
     }));
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Lifecycle state of a stored level; rows from before the lifecycle count as tested once touched
+ */
+function levelState(level) {
+  return level.state ?? ((level.touch_count || 0) > 0 ? 'tested' : 'fresh');
+}
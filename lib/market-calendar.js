@@ -0,0 +1,270 @@
+// lib/market-calendar.js
+// NYSE trading days, holidays and early closes. Loaded from the bundled lib/data/market-calendar.json
+// and optionally refreshed from Alpaca's /v2/calendar (MARKET_CALENDAR_SOURCE=alpaca).
+// Also tags bars with their extended-hours session (premarket, regular, afterhours, overnight).
+
+import { readFileSync } from 'fs';
+import { AlpacaClient } from './alpaca-client.js';
+import {
+  easternDate,
+  easternParts,
+  nextDate,
+  MARKET_OPEN_MINUTE,
+  MARKET_CLOSE_MINUTE,
+  PREMARKET_OPEN_MINUTE,
+  AFTER_HOURS_CLOSE_MINUTE
+} from './market-time.js';
+
+const DEFAULT_CALENDAR_FILE = new URL('./data/market-calendar.json', import.meta.url);
+const REFRESH_INTERVAL_MS = 12 * 60 * 60 * 1000;
+const REFRESH_PAST_DAYS = 7;
+const REFRESH_FUTURE_DAYS = 90;
+
+let sharedCalendar = null;
+
+export class MarketCalendar {
+  /**
+   * @param {Object} [data] - Same shape as lib/data/market-calendar.json
+   * @param {Object<string, string>} [data.holidays] - { 'YYYY-MM-DD': name }
+   * @param {Object<string, string>} [data.early_closes] - { 'YYYY-MM-DD': 'HH:MM' } (ET)
+   * @param {string} [data.first_date] - First date the data covers
+   * @param {string} [data.last_date] - Last date the data covers; outside the range only weekends are closed
+   */
+  constructor({ holidays = {}, early_closes: earlyCloses = {}, first_date: firstDate = null, last_date: lastDate = null } = {}) {
+    this.holidays = new Map(Object.entries(holidays));
+    this.earlyCloses = new Map(Object.entries(earlyCloses).map(([day, close]) => [day, toMinute(close)]));
+    this.firstDate = firstDate;
+    this.lastDate = lastDate;
+    this.refreshedAt = null;
+    this.warnedUncovered = false;
+  }
+
+  /**
+   * Load a calendar JSON file; an unreadable file leaves only weekends closed
+   */
+  static fromFile(file = DEFAULT_CALENDAR_FILE) {
+    try {
+      return new MarketCalendar(JSON.parse(readFileSync(file, 'utf8')));
+    } catch (error) {
+      console.error(`[CALENDAR] Failed to load market calendar from ${file}:`, error.message);
+      return new MarketCalendar();
+    }
+  }
+
+  /**
+   * Regular session for an ET date
+   * @param {string} day - YYYY-MM-DD
+   * @returns {Object} { date, isTradingDay, holiday, earlyClose, open, close, openMinute, closeMinute }
+   */
+  getSession(day) {
+    const holiday = this.holidays.get(day) || null;
+
+    if (isWeekend(day) || holiday) {
+      return {
+        date: day,
+        isTradingDay: false,
+        holiday,
+        earlyClose: false,
+        open: null,
+        close: null,
+        openMinute: null,
+        closeMinute: null
+      };
+    }
+
+    if (!this.covers(day) && !this.warnedUncovered) {
+      this.warnedUncovered = true;
+      console.warn(`[CALENDAR] ${day} is outside the market calendar (${this.firstDate} - ${this.lastDate}), treating weekdays as full sessions`);
+    }
+
+    const closeMinute = this.earlyCloses.get(day) ?? MARKET_CLOSE_MINUTE;
+
+    return {
+      date: day,
+      isTradingDay: true,
+      holiday: null,
+      earlyClose: closeMinute < MARKET_CLOSE_MINUTE,
+      open: toClock(MARKET_OPEN_MINUTE),
+      close: toClock(closeMinute),
+      openMinute: MARKET_OPEN_MINUTE,
+      closeMinute
+    };
+  }
+
+  /**
+   * Session for the ET date of an instant
+   */
+  sessionAt(instant) {
+    return this.getSession(easternDate(instant));
+  }
+
+  /**
+   * Whether the regular session is open at the instant
+   */
+  isOpen(instant) {
+    const { date, minuteOfDay } = easternParts(instant);
+    const session = this.getSession(date);
+    return session.isTradingDay && minuteOfDay >= session.openMinute && minuteOfDay < session.closeMinute;
+  }
+
+  /**
+   * Session a bar at the instant belongs to: 'premarket' (4:00 to the open), 'regular',
+   * 'afterhours' (close to 20:00) or 'overnight' (20:00 to 4:00, weekends and holidays)
+   */
+  barSession(instant) {
+    const { date, minuteOfDay } = easternParts(instant);
+    const session = this.getSession(date);
+
+    if (!session.isTradingDay || minuteOfDay < PREMARKET_OPEN_MINUTE || minuteOfDay >= AFTER_HOURS_CLOSE_MINUTE) {
+      return 'overnight';
+    }
+    if (minuteOfDay < session.openMinute) return 'premarket';
+    if (minuteOfDay < session.closeMinute) return 'regular';
+    return 'afterhours';
+  }
+
+  /**
+   * Extended-hours window (4:00-20:00 ET on trading days) at the instant
+   * @returns {Object} { isOpen, session, minutesSinceOpen }
+   */
+  extendedSessionAt(instant) {
+    const { minuteOfDay } = easternParts(instant);
+    const session = this.barSession(instant);
+
+    return {
+      isOpen: session !== 'overnight',
+      session,
+      minutesSinceOpen: session === 'overnight' ? null : minuteOfDay - PREMARKET_OPEN_MINUTE
+    };
+  }
+
+  /**
+   * Last trading day before an ET date
+   */
+  previousTradingDay(day) {
+    let previous = shiftDate(day, -1);
+    // Bounded so a calendar of nothing but holidays can't loop forever
+    for (let i = 0; i < 14 && !this.getSession(previous).isTradingDay; i++) {
+      previous = shiftDate(previous, -1);
+    }
+    return previous;
+  }
+
+  covers(day) {
+    return !!this.firstDate && !!this.lastDate && day >= this.firstDate && day <= this.lastDate;
+  }
+
+  /**
+   * Replace [start, end] with Alpaca's trading days. Weekdays missing from the response become holidays.
+   * @param {Object} params
+   * @param {string} params.start - YYYY-MM-DD
+   * @param {string} params.end - YYYY-MM-DD
+   * @param {AlpacaClient} [params.alpaca]
+   */
+  async refreshFromAlpaca({ start, end, alpaca = new AlpacaClient() }) {
+    const days = await alpaca.getCalendar({ start, end });
+    if (!Array.isArray(days) || days.length === 0) {
+      throw new Error(`Empty market calendar for ${start} - ${end}`);
+    }
+
+    const tradingDays = new Map(days.map(day => [day.date, day]));
+
+    for (let day = start; day <= end; day = nextDate(day)) {
+      if (isWeekend(day)) continue;
+
+      const tradingDay = tradingDays.get(day);
+      if (!tradingDay) {
+        this.holidays.set(day, this.holidays.get(day) || 'Market closed');
+        this.earlyCloses.delete(day);
+        continue;
+      }
+
+      this.holidays.delete(day);
+      const closeMinute = toMinute(tradingDay.close);
+      if (closeMinute < MARKET_CLOSE_MINUTE) {
+        this.earlyCloses.set(day, closeMinute);
+      } else {
+        this.earlyCloses.delete(day);
+      }
+    }
+
+    this.firstDate = this.firstDate && this.firstDate < start ? this.firstDate : start;
+    this.lastDate = this.lastDate && this.lastDate > end ? this.lastDate : end;
+    this.refreshedAt = Date.now();
+
+    console.log(`[CALENDAR] Refreshed ${days.length} trading days from Alpaca (${start} - ${end})`);
+    return { trading_days: days.length, start, end };
+  }
+}
+
+/**
+ * Process-wide calendar, loaded from MARKET_CALENDAR_FILE or the bundled data file
+ */
+export function getMarketCalendar() {
+  if (!sharedCalendar) {
+    sharedCalendar = MarketCalendar.fromFile(process.env.MARKET_CALENDAR_FILE || DEFAULT_CALENDAR_FILE);
+  }
+  return sharedCalendar;
+}
+
+/**
+ * Replace the shared calendar (e.g. with a hand-built one for a replay)
+ */
+export function setMarketCalendar(calendar) {
+  sharedCalendar = calendar;
+}
+
+/**
+ * Whether pre-market and after-hours minutes are ingested (EXTENDED_HOURS=true)
+ */
+export function extendedHoursEnabled() {
+  return (process.env.EXTENDED_HOURS || 'false').toLowerCase() === 'true';
+}
+
+/**
+ * Shared calendar, refreshed from Alpaca first when MARKET_CALENDAR_SOURCE=alpaca and the last refresh is stale.
+ * A failed refresh keeps the bundled data.
+ */
+export async function ensureMarketCalendar({ now = new Date(), alpaca } = {}) {
+  const calendar = getMarketCalendar();
+  const source = (process.env.MARKET_CALENDAR_SOURCE || 'file').toLowerCase();
+
+  if (source !== 'alpaca' || (calendar.refreshedAt && now.getTime() - calendar.refreshedAt < REFRESH_INTERVAL_MS)) {
+    return calendar;
+  }
+
+  const today = easternDate(now);
+  try {
+    await calendar.refreshFromAlpaca({
+      start: shiftDate(today, -REFRESH_PAST_DAYS),
+      end: shiftDate(today, REFRESH_FUTURE_DAYS),
+      ...(alpaca ? { alpaca } : {})
+    });
+  } catch (error) {
+    console.error('[CALENDAR] Alpaca calendar refresh failed, using bundled calendar:', error.message);
+    // Don't retry on every call; try again after the refresh interval
+    calendar.refreshedAt = now.getTime();
+  }
+
+  return calendar;
+}
+
+function isWeekend(day) {
+  const weekday = new Date(`${day}T12:00:00Z`).getUTCDay();
+  return weekday === 0 || weekday === 6;
+}
+
+function shiftDate(day, days) {
+  const date = new Date(`${day}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function toMinute(clock) {
+  const [hour, minute] = clock.split(':').map(value => parseInt(value));
+  return hour * 60 + minute;
+}
+
+function toClock(minuteOfDay) {
+  return `${String(Math.floor(minuteOfDay / 60)).padStart(2, '0')}:${String(minuteOfDay % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,151 @@
+// lib/market-stream.js
+// Alpaca market data WebSocket client: authenticates, subscribes to minute bars (and optionally trades)
+// and reconnects with backoff. Also works against the local replay server (lib/replay-server.js).
+
+import WebSocket from 'ws';
+import { getDataFeed } from './data-feed.js';
+
+const STREAM_BASE_URL = 'wss://stream.data.alpaca.markets/v2';
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+export class MarketDataStream {
+  /**
+   * @param {Object} options
+   * @param {Array<string>} options.symbols
+   * @param {Function} options.onBar - Called with (symbol, alpacaBar) for each closed minute bar
+   * @param {Function} [options.onTrade] - Called with (symbol, alpacaTrade); subscribes to trades when set
+   * @param {Function} [options.onConnected] - Called after every successful (re)subscription
+   * @param {string} [options.url] - Defaults to ALPACA_STREAM_URL or the ALPACA_DATA_FEED stream
+   * @param {boolean} [options.reconnect=true]
+   */
+  constructor({ symbols, onBar, onTrade, onConnected, url, reconnect = true }) {
+    this.url = url || process.env.ALPACA_STREAM_URL || `${STREAM_BASE_URL}/${getDataFeed()}`;
+    this.apiKey = process.env.ALPACA_API_KEY;
+    this.secretKey = process.env.ALPACA_API_SECRET;
+    this.symbols = symbols;
+    this.onBar = onBar;
+    this.onTrade = onTrade;
+    this.onConnected = onConnected;
+    this.reconnect = reconnect;
+
+    this.socket = null;
+    this.stopped = false;
+    this.reconnectAttempts = 0;
+  }
+
+  /**
+   * Connect and resolve once the subscription is confirmed
+   */
+  start() {
+    this.stopped = false;
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const settle = (fn, value) => {
+        if (!settled) {
+          settled = true;
+          fn(value);
+        }
+      };
+
+      const socket = new WebSocket(this.url);
+      this.socket = socket;
+
+      socket.on('message', data => {
+        let messages;
+        try {
+          messages = JSON.parse(data.toString());
+        } catch (error) {
+          console.error('[STREAM] Unparseable message:', data.toString());
+          return;
+        }
+
+        for (const message of [].concat(messages)) {
+          this.handleMessage(message, {
+            subscribed: () => settle(resolve),
+            failed: error => settle(reject, error)
+          });
+        }
+      });
+
+      socket.on('error', error => {
+        console.error('[STREAM] Socket error:', error.message);
+        settle(reject, error);
+      });
+
+      socket.on('close', code => {
+        console.warn(`[STREAM] Connection closed (${code})`);
+        settle(reject, new Error(`Stream closed before subscribing (${code})`));
+        if (!this.stopped && this.reconnect) {
+          this.scheduleReconnect();
+        }
+      });
+    });
+  }
+
+  handleMessage(message, { subscribed, failed }) {
+    switch (message.T) {
+      case 'success':
+        if (message.msg === 'connected') {
+          this.send({ action: 'auth', key: this.apiKey, secret: this.secretKey });
+        } else if (message.msg === 'authenticated') {
+          this.send({
+            action: 'subscribe',
+            bars: this.symbols,
+            // Late corrections to a minute bar arrive as updatedBars
+            updatedBars: this.symbols,
+            ...(this.onTrade ? { trades: this.symbols } : {})
+          });
+        }
+        break;
+
+      case 'subscription':
+        console.log(`[STREAM] Subscribed to bars for ${(message.bars || []).join(', ')}`);
+        this.reconnectAttempts = 0;
+        subscribed();
+        Promise.resolve(this.onConnected?.()).catch(error => {
+          console.error('[STREAM] onConnected failed:', error);
+        });
+        break;
+
+      case 'error':
+        console.error(`[STREAM] Error ${message.code}: ${message.msg}`);
+        failed(new Error(`Stream error ${message.code}: ${message.msg}`));
+        break;
+
+      case 'b':
+      case 'u':
+        this.onBar(message.S, message);
+        break;
+
+      case 't':
+        this.onTrade?.(message.S, message);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  send(payload) {
+    if (this.socket?.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(payload));
+    }
+  }
+
+  scheduleReconnect() {
+    const delay = Math.min(1000 * 2 ** this.reconnectAttempts, MAX_RECONNECT_DELAY_MS);
+    this.reconnectAttempts++;
+
+    console.log(`[STREAM] Reconnecting in ${delay}ms`);
+    setTimeout(() => {
+      if (this.stopped) return;
+      this.start().catch(error => console.error('[STREAM] Reconnect failed:', error.message));
+    }, delay);
+  }
+
+  stop() {
+    this.stopped = true;
+    this.socket?.close();
+  }
+}
@@ -0,0 +1,100 @@
+// lib/market-time.js
+// America/New_York market clock: UTC <-> Eastern conversions from explicit Intl offsets
+// (independent of the host time zone) and session buckets anchored to the 9:30 open.
+
+export const MARKET_TIMEZONE = 'America/New_York';
+export const MARKET_OPEN_MINUTE = 9 * 60 + 30;  // 09:30 ET
+export const MARKET_CLOSE_MINUTE = 16 * 60;     // 16:00 ET
+export const PREMARKET_OPEN_MINUTE = 4 * 60;    // 04:00 ET
+export const AFTER_HOURS_CLOSE_MINUTE = 20 * 60; // 20:00 ET
+
+const MS_PER_MINUTE = 60 * 1000;
+
+const easternFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: MARKET_TIMEZONE,
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+  weekday: 'short',
+  hour12: false
+});
+
+/**
+ * Eastern wall-clock fields of an instant
+ * @param {Date|string|number} instant
+ * @returns {Object} { date: 'YYYY-MM-DD', year, month, day, hour, minute, minuteOfDay, weekday: 'Mon', isWeekday }
+ */
+export function easternParts(instant) {
+  const parts = easternFormatter.formatToParts(new Date(instant));
+  const get = type => parts.find(p => p.type === type).value;
+
+  const year = parseInt(get('year'));
+  const month = parseInt(get('month'));
+  const day = parseInt(get('day'));
+  const hour = parseInt(get('hour')) % 24;
+  const minute = parseInt(get('minute'));
+  const weekday = get('weekday');
+
+  return {
+    date: `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`,
+    year,
+    month,
+    day,
+    hour,
+    minute,
+    minuteOfDay: hour * 60 + minute,
+    weekday,
+    isWeekday: !['Sat', 'Sun'].includes(weekday)
+  };
+}
+
+/**
+ * Minutes America/New_York is offset from UTC at the given instant (-300 or -240)
+ */
+export function easternOffsetMinutes(instant) {
+  const date = new Date(instant);
+  const { year, month, day, hour, minute } = easternParts(date);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+  return Math.round((asUtc - Math.floor(date.getTime() / MS_PER_MINUTE) * MS_PER_MINUTE) / MS_PER_MINUTE);
+}
+
+/**
+ * YYYY-MM-DD of the instant in America/New_York
+ */
+export function easternDate(instant) {
+  return easternParts(instant).date;
+}
+
+/**
+ * UTC instant of an ET wall-clock time (minutes after midnight) on the given date.
+ * The offset is looked up a second time at the first guess, so times after a 2:00 switch land on the right side.
+ */
+export function easternTimeToUtc(day, minuteOfDay) {
+  const wallClock = Date.parse(`${day}T00:00:00Z`) + minuteOfDay * MS_PER_MINUTE;
+  const guess = wallClock - easternOffsetMinutes(wallClock) * MS_PER_MINUTE;
+  return new Date(wallClock - easternOffsetMinutes(guess) * MS_PER_MINUTE);
+}
+
+/**
+ * Calendar date after `day` (YYYY-MM-DD)
+ */
+export function nextDate(day) {
+  const date = new Date(`${day}T12:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Start (UTC) of the bucket holding the instant, counted in whole intervals from the 9:30 open,
+ * e.g. 9:30/9:32 for 2m and 10:00/10:05 for 5m.
+ * @param {Date|string|number} instant
+ * @param {number} timeframeMinutes
+ * @param {number} [anchorMinute=MARKET_OPEN_MINUTE] - ET minute of day buckets are aligned to
+ */
+export function bucketStart(instant, timeframeMinutes, anchorMinute = MARKET_OPEN_MINUTE) {
+  const { date, minuteOfDay } = easternParts(instant);
+  const bucketMinute = anchorMinute + Math.floor((minuteOfDay - anchorMinute) / timeframeMinutes) * timeframeMinutes;
+  return easternTimeToUtc(date, bucketMinute);
+}
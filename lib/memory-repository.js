@@ -0,0 +1,354 @@
+// lib/memory-repository.js
+// In-process repository with the same contract as SupabaseRepository, for local runs, backtests and tests
+
+const ACTIVE_PATTERN_STAGES = ['FORMING', 'CONSOLIDATING', 'CONFIRMED'];
+
+export class MemoryRepository {
+  constructor(seed = {}) {
+    this.backend = 'memory';
+    this.tables = new Map();
+    this.nextId = 1;
+
+    Object.entries(seed).forEach(([table, rows]) => this.seed(table, rows));
+  }
+
+  /**
+   * Load rows into a table (ids are assigned when missing)
+   */
+  seed(table, rows) {
+    const target = this.table(table);
+    rows.forEach(row => target.push({ id: row.id ?? this.nextId++, ...row }));
+    return target.length;
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) {
+      this.tables.set(name, []);
+    }
+    return this.tables.get(name);
+  }
+
+  insertRow(table, row, defaults = {}) {
+    const now = new Date().toISOString();
+    const stored = { id: this.nextId++, created_at: now, ...defaults, ...clone(row) };
+    this.table(table).push(stored);
+    return clone(stored);
+  }
+
+  async ping() {
+    return { data: true, error: null };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Bars
+  // ---------------------------------------------------------------------------
+
+  async upsertMinuteBars(records) {
+    return ok(records.map(record => this.upsertRow('minute_bars', record, ['symbol', 'timestamp'])));
+  }
+
+  async getMinuteBars(symbol, options = {}) {
+    return ok(this.queryBars('minute_bars', symbol, null, options));
+  }
+
+  async upsertAggregatedBars(records) {
+    return ok(records.map(record => this.upsertRow('aggregated_bars', record, ['symbol', 'timeframe', 'timestamp'])));
+  }
+
+  async getAggregatedBars(symbol, timeframe, options = {}) {
+    return ok(this.queryBars('aggregated_bars', symbol, timeframe, options));
+  }
+
+  async findAggregatedBars({ symbols, timeframes, timestamps }) {
+    const times = new Set(timestamps.map(time));
+    return ok(clone(this.table('aggregated_bars')
+      .filter(row => symbols.includes(row.symbol) && timeframes.includes(row.timeframe))
+      .filter(row => times.has(time(row.timestamp)))));
+  }
+
+  async insertQuarantinedBars(records) {
+    return ok(records.map(record => this.insertRow('quarantined_bars', record)));
+  }
+
+  async getQuarantinedBars(symbol, options = {}) {
+    return ok(this.queryBars('quarantined_bars', symbol, null, options));
+  }
+
+  async upsertVolumeProfiles(records) {
+    return ok(records.map(record => this.upsertRow('volume_profiles', record, ['symbol', 'trading_date'])));
+  }
+
+  async getVolumeProfiles(symbol, { start, end } = {}) {
+    return ok(clone(this.table('volume_profiles')
+      .filter(row => row.symbol === symbol)
+      .filter(row => (!start || row.trading_date >= start) && (!end || row.trading_date <= end))
+      .sort(byField('trading_date', true))));
+  }
+
+  queryBars(table, symbol, timeframe, { start, end, after, limit, offset = 0, ascending = true } = {}) {
+    const rows = this.table(table)
+      .filter(row => row.symbol === symbol)
+      .filter(row => !timeframe || row.timeframe === timeframe)
+      .filter(row => !start || time(row.timestamp) >= time(start))
+      .filter(row => !end || time(row.timestamp) <= time(end))
+      .filter(row => !after || time(row.timestamp) > time(after))
+      .sort(byField('timestamp', ascending));
+
+    return clone(limit !== undefined ? rows.slice(offset, offset + limit) : rows);
+  }
+
+  upsertRow(table, record, keyColumns) {
+    const existing = this.table(table).find(row => keyColumns.every(column => String(row[column]) === String(record[column])));
+
+    if (existing) {
+      Object.assign(existing, clone(record));
+      return clone(existing);
+    }
+
+    return this.insertRow(table, record);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Patterns
+  // ---------------------------------------------------------------------------
+
+  async getActivePatterns(symbol, timeframe, now = new Date().toISOString()) {
+    return ok(clone(this.table('pattern_states')
+      .filter(p => p.symbol === symbol && p.timeframe === timeframe)
+      .filter(p => ACTIVE_PATTERN_STAGES.includes(p.stage))
+      .filter(p => time(p.expires_at) > time(now))
+      .sort(byField('detected_at', false))));
+  }
+
+  async getPatterns(symbol, timeframe, { since } = {}) {
+    return ok(clone(this.table('pattern_states')
+      .filter(p => p.symbol === symbol && p.timeframe === timeframe)
+      .filter(p => !since || time(p.detected_at) >= time(since))));
+  }
+
+  async insertPattern(pattern) {
+    const now = new Date().toISOString();
+    return ok(this.insertRow('pattern_states', pattern, { detected_at: now, last_updated: now }));
+  }
+
+  async updatePattern(patternId, updates) {
+    this.table('pattern_states')
+      .filter(p => p.pattern_id === patternId)
+      .forEach(p => Object.assign(p, clone(updates)));
+    return ok(null);
+  }
+
+  async expirePatterns() {
+    const now = Date.now();
+    let expired = 0;
+
+    this.table('pattern_states').forEach(pattern => {
+      if (ACTIVE_PATTERN_STAGES.includes(pattern.stage) && time(pattern.expires_at) <= now) {
+        pattern.stage = 'EXPIRED';
+        pattern.last_updated = new Date(now).toISOString();
+        expired++;
+      }
+    });
+
+    return ok(expired);
+  }
+
+  async deletePatterns({ stages, before }) {
+    return ok(this.deleteWhere('pattern_states', p => stages.includes(p.stage) && time(p.last_updated) < time(before)));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Levels
+  // ---------------------------------------------------------------------------
+
+  async findLevels(filter = {}) {
+    let rows = this.table('detected_levels').filter(level =>
+      (!filter.symbol || level.symbol === filter.symbol) &&
+      (!filter.timeframe || level.timeframe === filter.timeframe) &&
+      (!filter.levelType || level.level_type === filter.levelType) &&
+      (filter.isActive === undefined || level.is_active === filter.isActive) &&
+      (filter.minConfidence === undefined || level.confidence >= filter.minConfidence) &&
+      (filter.priceMin === undefined || level.price_level >= filter.priceMin) &&
+      (filter.priceMax === undefined || level.price_level <= filter.priceMax) &&
+      (filter.minBreakCount === undefined || (level.break_count || 0) >= filter.minBreakCount) &&
+      (!filter.detectedSince || time(level.first_detected) >= time(filter.detectedSince))
+    );
+
+    if (filter.orderBy) rows = rows.sort(byField(filter.orderBy, !!filter.ascending));
+    if (filter.limit) rows = rows.slice(0, filter.limit);
+
+    return ok(clone(rows));
+  }
+
+  async insertLevel(level) {
+    const now = new Date().toISOString();
+    return ok(this.insertRow('detected_levels', level, {
+      is_active: true,
+      state: 'fresh',
+      touch_count: 0,
+      bounce_count: 0,
+      break_count: 0,
+      first_detected: now,
+      last_confirmed: now
+    }));
+  }
+
+  async updateLevel(id, updates) {
+    const level = this.table('detected_levels').find(l => l.id === id);
+    if (!level) {
+      return { data: null, error: { message: `Level ${id} not found` } };
+    }
+
+    Object.assign(level, clone(updates));
+    return ok(clone(level));
+  }
+
+  async updateLevels(ids, updates) {
+    this.table('detected_levels')
+      .filter(level => ids.includes(level.id))
+      .forEach(level => Object.assign(level, clone(updates)));
+    return ok(null);
+  }
+
+  async updateLevelStats(levelId, stats) {
+    const level = this.table('detected_levels').find(l => l.id === levelId);
+    if (!level) {
+      return { data: null, error: { message: `Level ${levelId} not found` } };
+    }
+
+    level.touch_count = (level.touch_count || 0) + stats.touchIncrement;
+    level.bounce_count = (level.bounce_count || 0) + stats.bounceIncrement;
+    level.break_count = (level.break_count || 0) + stats.breakIncrement;
+    level.confidence = Math.max(0, Math.min(1, (level.confidence || 0) + stats.confidenceChange));
+    level.last_touch_time = stats.lastTouchTime;
+    level.last_touch_price = stats.lastTouchPrice;
+
+    return ok(null);
+  }
+
+  async getLevelsForConfluence(symbol, timeframe, minConfidence) {
+    return this.findLevels({ symbol, timeframe, isActive: true, minConfidence, orderBy: 'confidence' });
+  }
+
+  async deleteInactiveLevels(before) {
+    return ok(this.deleteWhere('detected_levels', level =>
+      level.is_active === false && level.invalidated_at && time(level.invalidated_at) < time(before)
+    ));
+  }
+
+  async insertLevelTouch(touch) {
+    return ok(this.insertRow('level_touches', touch));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Execution state
+  // ---------------------------------------------------------------------------
+
+  async getExecutionState(symbol, timeframe) {
+    const state = this.table('execution_state').find(s => s.symbol === symbol && s.timeframe === timeframe);
+    return ok(state ? clone(state) : null);
+  }
+
+  async listExecutionStates(symbol, timeframe = null) {
+    return ok(clone(this.table('execution_state')
+      .filter(s => s.symbol === symbol && (!timeframe || s.timeframe === timeframe))));
+  }
+
+  async insertExecutionState(state) {
+    return ok(this.insertRow('execution_state', state));
+  }
+
+  async updateExecutionState(symbol, timeframe, updates) {
+    const state = this.table('execution_state').find(s => s.symbol === symbol && s.timeframe === timeframe);
+    if (!state) {
+      return { data: null, error: { message: `No execution state for ${symbol} ${timeframe}` } };
+    }
+
+    Object.assign(state, clone(updates));
+    return ok(clone(state));
+  }
+
+  async upsertExecutionState(state) {
+    return ok(this.upsertRow('execution_state', state, ['symbol', 'timeframe']));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Watchlist
+  // ---------------------------------------------------------------------------
+
+  async getWatchlist() {
+    return ok(clone([...this.table('watchlist')].sort((a, b) => a.symbol.localeCompare(b.symbol))));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Trades, executions, events and errors
+  // ---------------------------------------------------------------------------
+
+  async insertTrade(trade) {
+    return ok([this.insertRow('trades', trade)]);
+  }
+
+  async updateTrade(id, updates) {
+    const trade = this.table('trades').find(t => t.id === id);
+    if (!trade) {
+      return { data: null, error: { message: `Trade ${id} not found` } };
+    }
+
+    Object.assign(trade, clone(updates));
+    return ok(clone(trade));
+  }
+
+  async getTrades({ symbol, status, start, end, hasPnl, limit, offset = 0, ascending = false } = {}) {
+    const rows = this.table('trades')
+      .filter(t => !symbol || t.symbol === symbol)
+      .filter(t => !status || t.status === status)
+      .filter(t => !start || time(t.timestamp) >= time(start))
+      .filter(t => !end || time(t.timestamp) <= time(end))
+      .filter(t => !hasPnl || (t.pnl !== null && t.pnl !== undefined))
+      .sort(byField('timestamp', ascending));
+
+    return ok(clone(limit !== undefined ? rows.slice(offset, offset + limit) : rows));
+  }
+
+  async insertStrategyExecution(execution) {
+    return ok(this.insertRow('strategy_executions', execution));
+  }
+
+  async insertEvent(event) {
+    return ok(this.insertRow('system_events', event));
+  }
+
+  async insertError(errorLog) {
+    return ok(this.insertRow('error_logs', errorLog));
+  }
+
+  deleteWhere(table, predicate) {
+    const rows = this.table(table);
+    const removed = rows.filter(predicate);
+    this.tables.set(table, rows.filter(row => !predicate(row)));
+    return clone(removed);
+  }
+}
+
+function ok(data) {
+  return { data, error: null };
+}
+
+function time(value) {
+  return new Date(value).getTime();
+}
+
+function byField(field, ascending) {
+  return (a, b) => {
+    const left = a[field];
+    const right = b[field];
+    const diff = typeof left === 'number' && typeof right === 'number'
+      ? left - right
+      : time(left) - time(right);
+    return ascending ? diff : -diff;
+  };
+}
+
+function clone(value) {
+  return value === null || value === undefined ? value : structuredClone(value);
+}
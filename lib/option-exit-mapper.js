@@ -0,0 +1,74 @@
+// lib/option-exit-mapper.js
+// Converts underlying stop/target levels into option premium levels for bracket legs.
+// Uses a second-order delta/gamma expansion: ΔP ≈ δ·ΔS + ½·γ·ΔS²
+
+/**
+ * Option tick size: $0.01 under $3.00, $0.05 at or above (non-penny classes)
+ */
+export function optionTickSize(price) {
+  return price < 3 ? 0.01 : 0.05;
+}
+
+/**
+ * Round a premium to a valid tick
+ * @param {number} price
+ * @param {'up'|'down'|'nearest'} [mode='nearest']
+ */
+export function roundToTick(price, mode = 'nearest') {
+  const tick = optionTickSize(price);
+  const round = mode === 'up' ? Math.ceil : mode === 'down' ? Math.floor : Math.round;
+  // Nudge before rounding so 1.2300000001 does not become 1.24
+  const ticks = round(price / tick + (mode === 'up' ? -1e-6 : mode === 'down' ? 1e-6 : 0));
+  return Math.round(ticks * tick * 100) / 100;
+}
+
+/**
+ * Estimated option premium after the underlying moves to targetPrice
+ * @param {Object} option - { price, delta, gamma }; delta is negative for puts
+ */
+export function projectPremium(option, underlyingPrice, targetPrice) {
+  const move = targetPrice - underlyingPrice;
+  return option.price + option.delta * move + 0.5 * (option.gamma || 0) * move * move;
+}
+
+/**
+ * Premium stop and target for the contract's bracket legs
+ * @param {Object} option - Selected contract ({ price, delta, gamma })
+ * @param {Object} levels
+ * @param {number} levels.underlyingPrice - Underlying price at entry
+ * @param {number} levels.stopLoss - Underlying stop level
+ * @param {number} levels.takeProfit - Underlying target level
+ * @returns {{ success: boolean, stopPrice?: number, stopLimitPrice?: number, takeProfitPrice?: number, reason?: string }}
+ */
+export function mapExitLevels(option, { underlyingPrice, stopLoss, takeProfit }) {
+  if (!option.price || !Number.isFinite(option.delta) || option.delta === 0) {
+    return { success: false, reason: 'Contract has no price or delta' };
+  }
+
+  if (!Number.isFinite(underlyingPrice) || !Number.isFinite(stopLoss) || !Number.isFinite(takeProfit)) {
+    return { success: false, reason: 'Missing underlying price, stop or target' };
+  }
+
+  // Round away from the entry so the legs never sit inside the spread of the fill
+  const stopPrice = roundToTick(projectPremium(option, underlyingPrice, stopLoss), 'down');
+  const takeProfitPrice = roundToTick(projectPremium(option, underlyingPrice, takeProfit), 'up');
+
+  if (stopPrice < optionTickSize(stopPrice)) {
+    return { success: false, reason: `Projected stop premium ${stopPrice} is below the minimum tick` };
+  }
+
+  if (stopPrice >= option.price) {
+    return { success: false, reason: `Projected stop premium ${stopPrice} is not below the entry premium ${option.price}` };
+  }
+
+  if (takeProfitPrice <= option.price) {
+    return { success: false, reason: `Projected target premium ${takeProfitPrice} is not above the entry premium ${option.price}` };
+  }
+
+  return {
+    success: true,
+    stopPrice,
+    stopLimitPrice: Math.max(roundToTick(stopPrice * 0.99, 'down'), optionTickSize(stopPrice)),
+    takeProfitPrice
+  };
+}
@@ -0,0 +1,182 @@
+// lib/option-pricing.js
+// Black-Scholes pricing, greeks and implied volatility for European-style option quotes.
+// Used to fill in greeks for chains that only carry bid/ask (Alpaca contracts, recorded chains).
+
+import { easternTimeToUtc, MARKET_CLOSE_MINUTE } from './market-time.js';
+
+const MIN_VOLATILITY = 0.01;
+const MAX_VOLATILITY = 5;
+const MIN_TIME = 1 / (365 * 24 * 60); // One minute, keeps d1/d2 finite at expiration
+const MS_PER_YEAR = 365 * 24 * 60 * 60 * 1000;
+
+export const DEFAULT_RISK_FREE_RATE = parseFloat(process.env.RISK_FREE_RATE || '0.045');
+
+/**
+ * Standard normal density
+ */
+export function normalPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Standard normal CDF (Abramowitz & Stegun 7.1.26, |error| < 7.5e-8)
+ */
+export function normalCdf(x) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(x));
+  const poly = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  const tail = normalPdf(x) * poly;
+  return x >= 0 ? 1 - tail : tail;
+}
+
+function d1d2({ spot, strike, timeToExpiry, rate, volatility, dividendYield = 0 }) {
+  const t = Math.max(timeToExpiry, MIN_TIME);
+  const sigmaRootT = volatility * Math.sqrt(t);
+  const d1 = (Math.log(spot / strike) + (rate - dividendYield + 0.5 * volatility * volatility) * t) / sigmaRootT;
+  return { d1, d2: d1 - sigmaRootT, t };
+}
+
+/**
+ * Black-Scholes price
+ * @param {Object} params
+ * @param {'call'|'put'} params.type
+ * @param {number} params.spot - Underlying price
+ * @param {number} params.strike
+ * @param {number} params.timeToExpiry - Years
+ * @param {number} params.rate - Annual risk-free rate, continuously compounded
+ * @param {number} params.volatility - Annualized volatility
+ * @param {number} [params.dividendYield=0]
+ */
+export function blackScholesPrice(params) {
+  const { type, spot, strike, rate, dividendYield = 0 } = params;
+  const { d1, d2, t } = d1d2(params);
+  const discountedSpot = spot * Math.exp(-dividendYield * t);
+  const discountedStrike = strike * Math.exp(-rate * t);
+
+  return type === 'call'
+    ? discountedSpot * normalCdf(d1) - discountedStrike * normalCdf(d2)
+    : discountedStrike * normalCdf(-d2) - discountedSpot * normalCdf(-d1);
+}
+
+/**
+ * Black-Scholes greeks; theta is per calendar day and vega per 1 vol point
+ * @returns {{ delta: number, gamma: number, theta: number, vega: number }}
+ */
+export function calculateGreeks(params) {
+  const { type, spot, strike, rate, volatility, dividendYield = 0 } = params;
+  const { d1, d2, t } = d1d2(params);
+  const spotDiscount = Math.exp(-dividendYield * t);
+  const strikeDiscount = Math.exp(-rate * t);
+  const density = normalPdf(d1);
+
+  const delta = type === 'call'
+    ? spotDiscount * normalCdf(d1)
+    : spotDiscount * (normalCdf(d1) - 1);
+
+  const gamma = spotDiscount * density / (spot * volatility * Math.sqrt(t));
+  const vega = spot * spotDiscount * density * Math.sqrt(t);
+
+  const decay = -spot * spotDiscount * density * volatility / (2 * Math.sqrt(t));
+  const theta = type === 'call'
+    ? decay - rate * strike * strikeDiscount * normalCdf(d2) + dividendYield * spot * spotDiscount * normalCdf(d1)
+    : decay + rate * strike * strikeDiscount * normalCdf(-d2) - dividendYield * spot * spotDiscount * normalCdf(-d1);
+
+  return {
+    delta,
+    gamma,
+    theta: theta / 365,
+    vega: vega / 100
+  };
+}
+
+/**
+ * Volatility that reproduces the given price (Newton steps, bisection fallback)
+ * @returns {number|null} null when the price is outside the no-arbitrage bounds
+ */
+export function impliedVolatility({ price, ...params }, { tolerance = 1e-6, maxIterations = 100 } = {}) {
+  const { type, spot, strike, timeToExpiry, rate, dividendYield = 0 } = params;
+  const t = Math.max(timeToExpiry, MIN_TIME);
+
+  const intrinsic = type === 'call'
+    ? Math.max(spot * Math.exp(-dividendYield * t) - strike * Math.exp(-rate * t), 0)
+    : Math.max(strike * Math.exp(-rate * t) - spot * Math.exp(-dividendYield * t), 0);
+  const upperBound = type === 'call' ? spot : strike;
+
+  if (!(price > intrinsic) || price >= upperBound) {
+    return null;
+  }
+
+  let low = MIN_VOLATILITY;
+  let high = MAX_VOLATILITY;
+  let volatility = 0.3;
+
+  for (let i = 0; i < maxIterations; i++) {
+    const diff = blackScholesPrice({ ...params, volatility }) - price;
+    if (Math.abs(diff) < tolerance) {
+      return volatility;
+    }
+
+    if (diff > 0) high = volatility;
+    else low = volatility;
+
+    const vega = calculateGreeks({ ...params, volatility }).vega * 100;
+    const next = vega > 1e-8 ? volatility - diff / vega : NaN;
+    volatility = next > low && next < high ? next : (low + high) / 2;
+  }
+
+  return high - low < 1e-4 ? volatility : null;
+}
+
+/**
+ * Years until the contract stops trading (16:00 ET on the expiration date)
+ */
+export function yearsToExpiration(expiration, now = new Date()) {
+  const close = easternTimeToUtc(expiration, MARKET_CLOSE_MINUTE);
+  return Math.max((close.getTime() - new Date(now).getTime()) / MS_PER_YEAR, 0);
+}
+
+/**
+ * Fill in implied volatility and greeks for contracts that lack them
+ * @param {Array<Object>} contracts - Chain contracts ({ type, strike, expiration, bid, ask, mark_price, last_price })
+ * @param {Object} market
+ * @param {number} market.underlyingPrice
+ * @param {number} [market.rate] - Defaults to RISK_FREE_RATE
+ * @param {Date} [market.now]
+ * @returns {Array<Object>} Contracts with `greeks` and `implied_volatility`; unsolvable ones are left unchanged
+ */
+export function enrichContractsWithGreeks(contracts, { underlyingPrice, rate = DEFAULT_RISK_FREE_RATE, now = new Date() }) {
+  if (!underlyingPrice) {
+    return contracts;
+  }
+
+  return contracts.map(contract => {
+    if (contract.greeks?.delta) {
+      return contract;
+    }
+
+    const type = String(contract.type).toLowerCase();
+    const price = contract.mark_price || contract.last_price;
+    const params = {
+      type,
+      spot: underlyingPrice,
+      strike: parseFloat(contract.strike),
+      timeToExpiry: yearsToExpiration(contract.expiration, now),
+      rate
+    };
+
+    if (!price || !params.strike || params.timeToExpiry <= 0) {
+      return contract;
+    }
+
+    const volatility = contract.implied_volatility || impliedVolatility({ price, ...params });
+    if (!volatility) {
+      return contract;
+    }
+
+    return {
+      ...contract,
+      implied_volatility: volatility,
+      greeks: { ...contract.greeks, ...calculateGreeks({ ...params, volatility }) },
+      greeks_source: 'black_scholes'
+    };
+  });
+}
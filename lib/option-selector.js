@@ -1,3 +1,5 @@
+import { enrichContractsWithGreeks } from './option-pricing.js';
+
 export class OptionSelector {
     constructor() {
         this.targetDelta = { min: 0.20, max: 0.50 };
@@ -8,7 +10,13 @@ export class OptionSelector {
         this.minDTE = 7;
     }
 
-    selectOption(optionChain, direction, riskAmount) {
+    /**
+     * @param {Object} optionChain - { contracts, underlying_price? }
+     * @param {string} direction - 'bullish' or 'bearish'
+     * @param {number} riskAmount
+     * @param {Object} [market] - Underlying price and pricing time, used to compute missing greeks
+     */
+    selectOption(optionChain, direction, riskAmount, { underlyingPrice, now = new Date() } = {}) {
         if (!optionChain || !optionChain.contracts) {
             return null;
         }
@@ -19,9 +27,15 @@ export class OptionSelector {
             contract.type.toLowerCase() === optionType
         );
 
+        // Chains with only quotes get Black-Scholes greeks from the mid price
+        const pricedOptions = enrichContractsWithGreeks(relevantOptions, {
+            underlyingPrice: underlyingPrice || optionChain.underlying_price,
+            now
+        });
+
         // Apply basic filters
-        const filteredOptions = relevantOptions.filter(option => 
-            this.passesBasicFilters(option)
+        const filteredOptions = pricedOptions.filter(option => 
+            this.passesBasicFilters(option, now)
         );
 
         if (filteredOptions.length === 0) {
@@ -60,9 +74,9 @@ export class OptionSelector {
         };
     }
 
-    passesBasicFilters(option) {
+    passesBasicFilters(option, now = new Date()) {
         // Check days to expiration
-        const dte = this.getDaysToExpiration(option.expiration);
+        const dte = this.getDaysToExpiration(option.expiration, now);
         if (dte < this.minDTE || dte > this.maxDTE) {
             return false;
         }
@@ -73,8 +87,8 @@ export class OptionSelector {
             return false;
         }
 
-        // Check liquidity
-        if ((option.volume || 0) < this.minVolume || 
+        // Check liquidity (Alpaca's contract list has open interest but no daily volume)
+        if ((option.volume !== undefined && option.volume !== null && option.volume < this.minVolume) || 
             (option.open_interest || 0) < this.minOpenInterest) {
             return false;
         }
@@ -142,9 +156,8 @@ export class OptionSelector {
         return Math.min(maxContracts, 10); // Max 10 contracts per trade
     }
 
-    getDaysToExpiration(expirationDate) {
+    getDaysToExpiration(expirationDate, now = new Date()) {
         const expiration = new Date(expirationDate);
-        const now = new Date();
         const timeDiff = expiration.getTime() - now.getTime();
         return Math.ceil(timeDiff / (1000 * 3600 * 24));
     }
@@ -1,9 +1,15 @@
 // lib/pattern-manager.js
 // Manages pattern lifecycle and persistence across Vercel Edge Function invocations
 
+import { resolveRepository } from './repository.js';
+import { calculatePatternExpiration } from './strategy-helpers.js';
+
 export class PatternManager {
-  constructor(supabaseClient) {
-    this.supabase = supabaseClient;
+  /**
+   * @param {Object} [store] - Repository or raw Supabase client; defaults to the configured repository
+   */
+  constructor(store) {
+    this.store = resolveRepository(store);
     this.touchThreshold = 0.005; // 0.5% price distance for breakout confirmation
   }
 
@@ -12,14 +18,7 @@ export class PatternManager {
    */
   async getActivePatterns(symbol, timeframe) {
     try {
-      const { data, error } = await this.supabase
-        .from('pattern_states')
-        .select('*')
-        .eq('symbol', symbol)
-        .eq('timeframe', timeframe)
-        .in('stage', ['FORMING', 'CONSOLIDATING', 'CONFIRMED'])
-        .gt('expires_at', new Date().toISOString())
-        .order('detected_at', { ascending: false });
+      const { data, error } = await this.store.getActivePatterns(symbol, timeframe);
 
       if (error) {
         console.error('Error loading active patterns:', error);
@@ -114,10 +113,7 @@ export class PatternManager {
         last_updated: new Date().toISOString()
       };
 
-      const { error } = await this.supabase
-        .from('pattern_states')
-        .update(updateData)
-        .eq('pattern_id', patternId);
+      const { error } = await this.store.updatePattern(patternId, updateData);
 
       if (error) {
         console.error('Error updating pattern breakout:', error);
@@ -178,14 +174,10 @@ export class PatternManager {
         near_support: patternData.near_support,
         confluence_count: patternData.confluence_count || 0,
         
-        expires_at: this.calculateExpiration(patternData.timeframe)
+        expires_at: this.calculateExpiration(patternData.timeframe, patternData.symbol)
       };
 
-      const { data, error } = await this.supabase
-        .from('pattern_states')
-        .insert(pattern)
-        .select()
-        .single();
+      const { data, error } = await this.store.insertPattern(pattern);
 
       if (error) {
         console.error('Error creating pattern:', error);
@@ -219,10 +211,7 @@ export class PatternManager {
         ...additionalData
       };
 
-      const { error } = await this.supabase
-        .from('pattern_states')
-        .update(updateData)
-        .eq('pattern_id', patternId);
+      const { error } = await this.store.updatePattern(patternId, updateData);
 
       if (error) {
         console.error('Error updating pattern stage:', error);
@@ -238,27 +227,10 @@ export class PatternManager {
   }
 
   /**
-   * Calculate pattern expiration time based on timeframe
+   * Calculate pattern expiration time from the session schedule (patterns expire if they don't break out)
    */
-  calculateExpiration(timeframe) {
-    const now = new Date();
-    
-    // Expiration time in bars - patterns should expire if they don't break out
-    const expirationBars = {
-      '2m': 30,   // 60 minutes
-      '5m': 24,   // 120 minutes  
-      '10m': 18,  // 180 minutes
-      '2Min': 30, // Handle both formats
-      '5Min': 24,
-      '10Min': 18
-    };
-    
-    const timeframeKey = timeframe.toLowerCase().replace('min', 'm');
-    const bars = expirationBars[timeframeKey] || expirationBars[timeframe] || 20;
-    const minutes = parseInt(timeframe.replace(/[^0-9]/g, '')) * bars;
-    
-    now.setMinutes(now.getMinutes() + minutes);
-    return now.toISOString();
+  calculateExpiration(timeframe, symbol = null) {
+    return calculatePatternExpiration(timeframe, new Date(), symbol);
   }
 
   /**
@@ -266,8 +238,7 @@ export class PatternManager {
    */
   async expireOldPatterns() {
     try {
-      const { data, error } = await this.supabase
-        .rpc('expire_old_patterns');
+      const { data, error } = await this.store.expirePatterns();
 
       if (error) {
         console.error('Error expiring patterns:', error);
@@ -295,10 +266,7 @@ export class PatternManager {
         last_updated: new Date().toISOString()
       };
 
-      const { error } = await this.supabase
-        .from('pattern_states')
-        .update(updateData)
-        .eq('pattern_id', patternId);
+      const { error } = await this.store.updatePattern(patternId, updateData);
 
       if (error) {
         console.error('Error marking pattern as failed:', error);
@@ -319,6 +287,19 @@ export class PatternManager {
     }
   }
 
+  /**
+   * Mark pattern as traded once an entry order has been submitted
+   */
+  async markTraded(patternId, orderId) {
+    const result = await this.updatePatternStage(patternId, 'TRADED');
+
+    if (result.success) {
+      await this.logPatternEvent(patternId, 'TRADE_EXECUTED', { order_id: orderId });
+    }
+
+    return result;
+  }
+
   /**
    * Get pattern statistics for analysis
    */
@@ -327,12 +308,9 @@ export class PatternManager {
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - days);
 
-      const { data, error } = await this.supabase
-        .from('pattern_states')
-        .select('stage, pattern_type, quality_score, confidence')
-        .eq('symbol', symbol)
-        .eq('timeframe', timeframe)
-        .gte('detected_at', cutoffDate.toISOString());
+      const { data, error } = await this.store.getPatterns(symbol, timeframe, {
+        since: cutoffDate.toISOString()
+      });
 
       if (error) {
         console.error('Error getting pattern stats:', error);
@@ -387,10 +365,13 @@ export class PatternManager {
    */
   async logPatternEvent(patternId, eventType, eventData) {
     try {
+      // Pattern ids are SYMBOL_TIMEFRAME_TIMESTAMP
+      const [idSymbol, idTimeframe] = String(patternId).split('_');
+
       const logData = {
         event_type: 'PATTERN_EVENT',
-        symbol: eventData.symbol || 'QQQ',
-        timeframe: eventData.timeframe || '10Min',
+        symbol: eventData.symbol || idSymbol,
+        timeframe: eventData.timeframe || idTimeframe,
         timestamp: new Date().toISOString(),
         event_details: {
           pattern_id: patternId,
@@ -399,9 +380,7 @@ export class PatternManager {
         }
       };
 
-      await this.supabase
-        .from('system_events')
-        .insert(logData);
+      await this.store.insertEvent(logData);
 
     } catch (err) {
       console.error('Exception in logPatternEvent:', err);
@@ -417,11 +396,10 @@ export class PatternManager {
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - daysOld);
 
-      const { data, error } = await this.supabase
-        .from('pattern_states')
-        .delete()
-        .in('stage', ['BROKEN_OUT', 'FAILED', 'EXPIRED'])
-        .lt('last_updated', cutoffDate.toISOString());
+      const { data, error } = await this.store.deletePatterns({
+        stages: ['BROKEN_OUT', 'FAILED', 'EXPIRED'],
+        before: cutoffDate.toISOString()
+      });
 
       if (error) {
         console.error('Error cleaning up old patterns:', error);
@@ -0,0 +1,312 @@
+// lib/position-reconciler.js
+// Reconciles open `trades` rows with broker orders and positions, closing rows once a bracket leg fills
+
+import { resolveRepository } from './repository.js';
+import { getBroker } from './broker.js';
+
+const OPEN_ORDER_STATUSES = ['new', 'accepted', 'pending_new', 'held', 'partially_filled', 'accepted_for_bidding', 'pending_replace', 'replaced'];
+const DEAD_ORDER_STATUSES = ['canceled', 'expired', 'rejected', 'done_for_day'];
+const OCC_SYMBOL = /^[A-Z]{1,6}\d{6}[CP]\d{8}$/;
+
+export class PositionReconciler {
+  /**
+   * @param {Object} [deps]
+   * @param {Object} [deps.store] - Repository or raw Supabase client; defaults to the configured repository
+   * @param {Object} [deps.broker] - Broker adapter; defaults to the configured broker
+   */
+  constructor({ store, broker } = {}) {
+    this.store = resolveRepository(store);
+    this.broker = broker || getBroker();
+  }
+
+  /**
+   * Check every open trade against the broker and flag positions/orders without a trade row
+   */
+  async reconcile() {
+    const startTime = Date.now();
+    console.log(`[RECONCILE] Starting reconciliation via ${this.broker.name}`);
+
+    try {
+      const { data: openTrades, error } = await this.store.getTrades({ status: 'open', ascending: true });
+      if (error) {
+        throw new Error(`Failed to load open trades: ${error.message}`);
+      }
+
+      const [positions, openOrders] = await Promise.all([
+        this.broker.getPositions(),
+        this.broker.getOrders({ status: 'open', nested: true })
+      ]);
+
+      const closed = [];
+      const updated = [];
+      const issues = [];
+
+      for (const trade of openTrades || []) {
+        const outcome = await this.reconcileTrade(trade, positions);
+
+        if (outcome.action === 'closed') closed.push(outcome);
+        else if (outcome.action === 'updated') updated.push(outcome);
+        else if (outcome.action === 'flagged') issues.push(outcome);
+      }
+
+      // Rows closed above no longer explain a position or order
+      const stillOpen = (openTrades || []).filter(trade => !closed.some(c => c.trade_id === trade.id));
+      const orphans = this.findOrphans(stillOpen, positions, openOrders);
+
+      for (const orphan of [...orphans.positions, ...orphans.orders]) {
+        await this.logEvent('RECONCILIATION_ORPHAN', orphan.symbol, orphan);
+      }
+
+      for (const issue of issues) {
+        await this.logEvent('RECONCILIATION_ISSUE', issue.symbol, issue);
+      }
+
+      const result = {
+        success: true,
+        trades_checked: (openTrades || []).length,
+        trades_closed: closed.length,
+        trades_updated: updated.length,
+        realized_pnl: closed.reduce((sum, c) => sum + (c.pnl || 0), 0),
+        closed,
+        updated,
+        issues,
+        orphans,
+        execution_time_ms: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      };
+
+      console.log(`[RECONCILE] ✅ Checked ${result.trades_checked} trades: ${closed.length} closed, ${issues.length} issues, ${orphans.positions.length + orphans.orders.length} orphans`);
+      return result;
+
+    } catch (error) {
+      console.error('[RECONCILE] Reconciliation failed:', error);
+      return {
+        success: false,
+        error: error.message,
+        execution_time_ms: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Determine what happened to one trade's entry order and its exit legs
+   * @returns {Promise<Object>} { action: 'closed'|'updated'|'pending'|'flagged', ... }
+   */
+  async reconcileTrade(trade, positions = []) {
+    const symbol = tradedSymbol(trade);
+    const base = { trade_id: trade.id, order_id: trade.order_id, symbol };
+
+    if (!trade.order_id) {
+      return { ...base, action: 'flagged', reason: 'Trade has no order_id' };
+    }
+
+    let order;
+    try {
+      order = await this.broker.getOrder(trade.order_id);
+    } catch (error) {
+      return { ...base, action: 'flagged', reason: `Order lookup failed: ${error.message}` };
+    }
+
+    const filledQty = parseFloat(order.filled_qty || 0);
+
+    // Entry never filled
+    if (DEAD_ORDER_STATUSES.includes(order.status) && filledQty === 0) {
+      const { error } = await this.store.updateTrade(trade.id, {
+        status: 'cancelled',
+        exit_reason: `entry_${order.status}`,
+        exit_time: order.canceled_at || order.expired_at || order.failed_at || new Date().toISOString()
+      });
+
+      if (error) {
+        return { ...base, action: 'flagged', reason: `Failed to update trade: ${error.message}` };
+      }
+
+      console.log(`[RECONCILE] Trade ${trade.id} entry ${order.status}, marked cancelled`);
+      return { ...base, action: 'closed', status: 'cancelled', exit_reason: `entry_${order.status}`, pnl: null };
+    }
+
+    if (filledQty === 0) {
+      return { ...base, action: 'pending', reason: `Entry order ${order.status}` };
+    }
+
+    const entryPrice = parseFloat(order.filled_avg_price);
+    const exitLeg = (order.legs || []).find(leg => leg.status === 'filled');
+
+    if (exitLeg) {
+      return this.closeTrade(trade, {
+        entryPrice,
+        quantity: filledQty,
+        exitPrice: parseFloat(exitLeg.filled_avg_price),
+        exitTime: exitLeg.filled_at,
+        exitReason: exitLeg.type === 'limit' ? 'take_profit' : 'stop_loss',
+        exitOrderId: exitLeg.id
+      });
+    }
+
+    const hasPosition = positions.some(position => position.symbol === symbol);
+    const legsOpen = (order.legs || []).some(leg => OPEN_ORDER_STATUSES.includes(leg.status));
+
+    if (hasPosition || legsOpen) {
+      // Still in the trade: record the actual entry fill once
+      if (Math.abs(parseFloat(trade.price) - entryPrice) > 1e-9) {
+        const { error } = await this.store.updateTrade(trade.id, { price: entryPrice });
+        if (!error) {
+          return { ...base, action: 'updated', entry_price: entryPrice };
+        }
+      }
+      return { ...base, action: 'pending', reason: 'Position open' };
+    }
+
+    // Position gone without a bracket exit: the trade manager or a manual order closed it,
+    // possibly over several fills (scale-out then final exit)
+    const closingFills = await this.findClosingFills(symbol, order);
+    if (closingFills.length > 0) {
+      const closedQty = closingFills.reduce((sum, fill) => sum + parseFloat(fill.filled_qty), 0);
+      const exitPrice = closingFills.reduce((sum, fill) =>
+        sum + parseFloat(fill.filled_avg_price) * parseFloat(fill.filled_qty), 0) / closedQty;
+      const lastFill = closingFills[closingFills.length - 1];
+
+      return this.closeTrade(trade, {
+        entryPrice,
+        quantity: filledQty,
+        exitPrice: Math.round(exitPrice * 10000) / 10000,
+        exitTime: lastFill.filled_at,
+        exitReason: trade.management?.exit_reason || 'manual_close',
+        exitOrderId: lastFill.id
+      });
+    }
+
+    return { ...base, action: 'flagged', reason: 'Entry filled but no position or exit fill found' };
+  }
+
+  /**
+   * Write exit details and realized P&L to the trade row
+   */
+  async closeTrade(trade, { entryPrice, quantity, exitPrice, exitTime, exitReason, exitOrderId }) {
+    const symbol = tradedSymbol(trade);
+    const direction = trade.side === 'sell' ? -1 : 1;
+    const pnl = roundCurrency((exitPrice - entryPrice) * quantity * contractMultiplier(symbol) * direction);
+
+    const { error } = await this.store.updateTrade(trade.id, {
+      status: 'closed',
+      price: entryPrice,
+      exit_price: exitPrice,
+      exit_time: exitTime || new Date().toISOString(),
+      exit_reason: exitReason,
+      pnl
+    });
+
+    if (error) {
+      console.error(`[RECONCILE] Failed to close trade ${trade.id}:`, error);
+      return { trade_id: trade.id, order_id: trade.order_id, symbol, action: 'flagged', reason: `Failed to close trade: ${error.message}` };
+    }
+
+    console.log(`[RECONCILE] Trade ${trade.id} closed by ${exitReason} at ${exitPrice}: P&L ${pnl}`);
+
+    await this.logEvent('TRADE_CLOSED', trade.symbol, {
+      trade_id: trade.id,
+      order_id: trade.order_id,
+      exit_order_id: exitOrderId,
+      contract: symbol,
+      entry_price: entryPrice,
+      exit_price: exitPrice,
+      exit_reason: exitReason,
+      pnl
+    });
+
+    return {
+      trade_id: trade.id,
+      order_id: trade.order_id,
+      symbol,
+      action: 'closed',
+      status: 'closed',
+      entry_price: entryPrice,
+      exit_price: exitPrice,
+      exit_reason: exitReason,
+      pnl
+    };
+  }
+
+  /**
+   * Filled orders on the opposite side of the entry, submitted after it, oldest first
+   */
+  async findClosingFills(symbol, entryOrder) {
+    try {
+      const orders = await this.broker.getOrders({ status: 'closed', symbols: symbol, nested: true });
+      const exitSide = entryOrder.side === 'buy' ? 'sell' : 'buy';
+
+      return (orders || [])
+        .filter(order =>
+          order.id !== entryOrder.id &&
+          order.side === exitSide &&
+          order.status === 'filled' &&
+          new Date(order.filled_at) >= new Date(entryOrder.filled_at)
+        )
+        .sort((a, b) => new Date(a.filled_at) - new Date(b.filled_at));
+    } catch (error) {
+      console.error(`[RECONCILE] Failed to load closed orders for ${symbol}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Broker positions and open orders that no open trade row accounts for
+   */
+  findOrphans(openTrades, positions = [], openOrders = []) {
+    const tradedSymbols = new Set(openTrades.map(tradedSymbol));
+    const tradeOrderIds = new Set(openTrades
+      .flatMap(trade => [trade.order_id, ...(trade.management?.exit_order_ids || [])])
+      .filter(Boolean));
+
+    return {
+      positions: positions
+        .filter(position => !tradedSymbols.has(position.symbol))
+        .map(position => ({
+          type: 'position',
+          symbol: position.symbol,
+          qty: parseFloat(position.qty),
+          market_value: parseFloat(position.market_value),
+          reason: 'Position has no open trade row'
+        })),
+      orders: openOrders
+        .filter(order => !tradeOrderIds.has(order.id) && !tradeOrderIds.has(order.parent_id))
+        .map(order => ({
+          type: 'order',
+          order_id: order.id,
+          symbol: order.symbol,
+          side: order.side,
+          status: order.status,
+          reason: 'Open order has no trade row'
+        }))
+    };
+  }
+
+  async logEvent(eventType, symbol, details) {
+    try {
+      await this.store.insertEvent({
+        event_type: eventType,
+        symbol,
+        timestamp: new Date().toISOString(),
+        event_details: details
+      });
+    } catch (err) {
+      console.error('[RECONCILE] Failed to log event:', err);
+    }
+  }
+}
+
+/**
+ * The instrument actually bought: the option contract when there is one
+ */
+function tradedSymbol(trade) {
+  return trade.option_contract || trade.symbol;
+}
+
+function contractMultiplier(symbol) {
+  return OCC_SYMBOL.test(symbol) ? 100 : 1;
+}
+
+function roundCurrency(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,135 @@
+// lib/replay-server.js
+// Local WebSocket server speaking the Alpaca market data protocol (connect, auth, subscribe)
+// that streams recorded minute bars, so the ingestion worker can run offline.
+
+import { WebSocketServer } from 'ws';
+import { loadBarsFromFile } from './bar-source.js';
+
+export class ReplayServer {
+  /**
+   * @param {Object} options
+   * @param {Object<string, Array<Object>>} options.barsBySymbol - Recorded bars ({ timestamp, open, high, low, close, volume })
+   * @param {number} [options.port=8765] - 0 picks a free port
+   * @param {number} [options.intervalMs=100] - Delay between minutes
+   * @param {boolean} [options.closeOnEnd=true] - Close client connections after the last bar
+   */
+  constructor({ barsBySymbol, port = 8765, intervalMs = 100, closeOnEnd = true }) {
+    this.port = port;
+    this.intervalMs = intervalMs;
+    this.closeOnEnd = closeOnEnd;
+    this.minutes = groupByMinute(barsBySymbol);
+    this.server = null;
+  }
+
+  /**
+   * Load one symbol's bars from a CSV/JSON file (same formats as the backtest)
+   */
+  static async fromFile(file, symbol, options = {}) {
+    const bars = await loadBarsFromFile(file, symbol);
+    return new ReplayServer({ ...options, barsBySymbol: { [symbol]: bars } });
+  }
+
+  /**
+   * Start listening; resolves with the bound port
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = new WebSocketServer({ port: this.port });
+      this.server.on('listening', () => {
+        this.port = this.server.address().port;
+        console.log(`[REPLAY] Listening on ws://localhost:${this.port} with ${this.minutes.length} minutes of bars`);
+        resolve(this.port);
+      });
+      this.server.on('error', reject);
+      this.server.on('connection', socket => this.handleConnection(socket));
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => {
+      if (!this.server) return resolve();
+      for (const client of this.server.clients) client.terminate();
+      this.server.close(() => resolve());
+    });
+  }
+
+  handleConnection(socket) {
+    const send = payload => socket.send(JSON.stringify([payload]));
+    let authenticated = false;
+
+    send({ T: 'success', msg: 'connected' });
+
+    socket.on('message', data => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        send({ T: 'error', code: 400, msg: 'invalid syntax' });
+        return;
+      }
+
+      if (message.action === 'auth') {
+        authenticated = true;
+        send({ T: 'success', msg: 'authenticated' });
+      } else if (message.action === 'subscribe') {
+        if (!authenticated) {
+          send({ T: 'error', code: 401, msg: 'not authenticated' });
+          return;
+        }
+
+        const symbols = message.bars || [];
+        send({ T: 'subscription', trades: [], quotes: [], bars: symbols, updatedBars: message.updatedBars || [] });
+        this.stream(socket, new Set(symbols));
+      }
+    });
+  }
+
+  async stream(socket, symbols) {
+    for (const minute of this.minutes) {
+      if (socket.readyState !== socket.OPEN) return;
+
+      const messages = minute.filter(bar => symbols.has(bar.S));
+      if (messages.length > 0) {
+        socket.send(JSON.stringify(messages));
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.intervalMs));
+    }
+
+    console.log('[REPLAY] Finished streaming recorded bars');
+    if (this.closeOnEnd && socket.readyState === socket.OPEN) {
+      socket.close(1000, 'replay finished');
+    }
+  }
+}
+
+/**
+ * Alpaca bar messages grouped by minute, oldest first
+ */
+function groupByMinute(barsBySymbol) {
+  const minutes = new Map();
+
+  for (const [symbol, bars] of Object.entries(barsBySymbol)) {
+    for (const bar of bars) {
+      const t = new Date(bar.timestamp).toISOString().replace('.000Z', 'Z');
+      if (!minutes.has(t)) minutes.set(t, []);
+
+      minutes.get(t).push({
+        T: 'b',
+        S: symbol,
+        t,
+        o: bar.open,
+        h: bar.high,
+        l: bar.low,
+        c: bar.close,
+        v: bar.volume,
+        n: bar.trade_count ?? 0,
+        vw: bar.vwap ?? bar.close
+      });
+    }
+  }
+
+  return [...minutes.entries()]
+    .sort(([a], [b]) => new Date(a) - new Date(b))
+    .map(([, messages]) => messages);
+}
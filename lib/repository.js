@@ -0,0 +1,84 @@
+// lib/repository.js
+// Selects the persistence backend (Supabase or in-memory) from configuration
+
+import { createClient } from '@supabase/supabase-js';
+import { SupabaseRepository } from './supabase-repository.js';
+import { MemoryRepository } from './memory-repository.js';
+
+let sharedRepository = null;
+
+/**
+ * Create a repository for the configured backend
+ * @param {Object} [config]
+ * @param {string} [config.backend] - 'supabase' (default) or 'memory'; falls back to PERSISTENCE_BACKEND
+ * @param {Object} [config.seed] - Initial rows per table for the memory backend
+ */
+export function createRepository(config = {}) {
+  const backend = (config.backend || process.env.PERSISTENCE_BACKEND || 'supabase').toLowerCase();
+
+  switch (backend) {
+    case 'memory':
+      console.log('Using in-memory persistence backend');
+      return new MemoryRepository(config.seed);
+
+    case 'supabase':
+      return new SupabaseRepository(createSupabaseClient());
+
+    default:
+      throw new Error(`Unknown PERSISTENCE_BACKEND: ${backend} (expected 'supabase' or 'memory')`);
+  }
+}
+
+/**
+ * Process-wide repository so every module in one invocation shares the same store
+ */
+export function getRepository() {
+  if (!sharedRepository) {
+    sharedRepository = createRepository();
+  }
+  return sharedRepository;
+}
+
+/**
+ * Replace the shared repository (e.g. with a seeded MemoryRepository)
+ */
+export function setRepository(repository) {
+  sharedRepository = repository;
+}
+
+/**
+ * Accept a repository, a raw Supabase client, or nothing (shared repository)
+ */
+export function resolveRepository(clientOrRepository) {
+  if (!clientOrRepository) {
+    return getRepository();
+  }
+
+  if (typeof clientOrRepository.from === 'function') {
+    return new SupabaseRepository(clientOrRepository);
+  }
+
+  return clientOrRepository;
+}
+
+function createSupabaseClient() {
+  // Use service role key for bypassing RLS when available, fallback to anon key
+  const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+  if (!supabaseKey) {
+    throw new Error('Missing Supabase keys: SUPABASE_SERVICE_ROLE_KEY or SUPABASE_ANON_KEY required');
+  }
+
+  const client = createClient(
+    process.env.SUPABASE_URL,
+    supabaseKey,
+    {
+      auth: {
+        autoRefreshToken: false,
+        persistSession: false
+      }
+    }
+  );
+
+  console.log(`Supabase repository initialized with ${process.env.SUPABASE_SERVICE_ROLE_KEY ? 'service role' : 'anon'} key`);
+  return client;
+}
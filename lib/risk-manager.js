@@ -8,6 +8,7 @@ export class RiskManager {
     this.minBuyingPower = 0.10; // Keep 10% buying power available
     this.maxOpenPositions = parseInt(process.env.MAX_OPEN_POSITIONS || '5');
     this.maxConsecutiveLosses = 3;
+    this.maxPortfolioRisk = parseFloat(process.env.MAX_PORTFOLIO_RISK || '0.03'); // 3% across all symbols
   }
 
   /**
@@ -134,6 +135,41 @@ export class RiskManager {
     }
   }
 
+  /**
+   * Shared budget for one strategy run across every watchlist symbol
+   */
+  createRiskBudget(params) {
+    const { account, positions = [], maxPositions } = params;
+    const equity = parseFloat(account?.equity || 0);
+
+    return {
+      maxPositions: maxPositions ?? this.maxOpenPositions,
+      openPositions: positions.length,
+      maxRisk: equity * this.maxPortfolioRisk,
+      riskAllocated: 0
+    };
+  }
+
+  /**
+   * Risk amount still available for a new entry (0 when the budget is exhausted)
+   */
+  getAvailableRisk(budget, requestedRisk) {
+    if (budget.openPositions >= budget.maxPositions) {
+      return 0;
+    }
+
+    return Math.max(0, Math.min(requestedRisk, budget.maxRisk - budget.riskAllocated));
+  }
+
+  /**
+   * Charge an executed entry against the budget
+   */
+  allocateRisk(budget, riskAmount) {
+    budget.openPositions += 1;
+    budget.riskAllocated += riskAmount;
+    return budget;
+  }
+
   /**
    * Validate trade parameters before execution
    */
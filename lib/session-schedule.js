@@ -0,0 +1,237 @@
+// lib/session-schedule.js
+// Declarative intraday session schedule: which timeframe is aggregated and traded in each ET window,
+// with its lookback, priority and pattern expiry, plus optional per-symbol schedules.
+// Loaded from SESSION_SCHEDULE (inline JSON or a file path) or the bundled lib/data/session-schedule.json.
+
+import { readFileSync } from 'fs';
+import { easternParts, MARKET_OPEN_MINUTE } from './market-time.js';
+import { getMarketCalendar } from './market-calendar.js';
+
+const DEFAULT_SCHEDULE_FILE = new URL('./data/session-schedule.json', import.meta.url);
+const PRIORITY_ORDER = ['high', 'medium', 'low'];
+const DEFAULT_PATTERN_EXPIRY_BARS = 20;
+
+let sharedSchedule = null;
+
+export class SessionSchedule {
+  /**
+   * @param {Object} config - Same shape as lib/data/session-schedule.json
+   * @param {Array<Object>} config.sessions - { name, start: 'HH:MM', end: 'HH:MM' | 'close', timeframe, lookback, priority, pattern_expiry_bars }
+   * @param {Object<string, Object>} [config.symbols] - { SPY: { sessions: [...] } } replaces the schedule for that symbol
+   * @param {Object} [deps]
+   * @param {MarketCalendar} [deps.calendar] - Holidays and early closes; defaults to the shared calendar
+   */
+  constructor({ sessions, symbols = {} }, { calendar } = {}) {
+    this.sessions = parseSessions(sessions, 'sessions');
+    this.symbolSessions = new Map(Object.entries(symbols).map(([symbol, override]) => [
+      symbol.toUpperCase(),
+      parseSessions(override.sessions, `symbols.${symbol}.sessions`)
+    ]));
+    this.calendar = calendar || getMarketCalendar();
+  }
+
+  static fromFile(file = DEFAULT_SCHEDULE_FILE, deps = {}) {
+    return new SessionSchedule(JSON.parse(readFileSync(file, 'utf8')), deps);
+  }
+
+  /**
+   * Configured windows for a symbol (its override, or the default schedule)
+   */
+  sessionsFor(symbol = null) {
+    return (symbol && this.symbolSessions.get(symbol.toUpperCase())) || this.sessions;
+  }
+
+  /**
+   * Windows on an ET date in minutes of the day, ending before endMinute. Holidays have none, and windows are cut at the day's close.
+   * @returns {Array<Object>} { name, timeframe, startMinute, endMinute, lookback, priority, patternExpiryBars }
+   */
+  windowsOn(day, symbol = null) {
+    const market = this.calendar.getSession(day);
+    if (!market.isTradingDay) return [];
+
+    return this.sessionsFor(symbol)
+      .map(session => {
+        const endMinute = session.end === 'close' ? market.closeMinute : Math.min(session.endMinute, market.closeMinute);
+        return { ...session, endMinute };
+      })
+      .filter(window => window.startMinute < window.endMinute);
+  }
+
+  /**
+   * Session in force at an instant, in the shape the cron, webhook and strategy report
+   * @param {Date} [now]
+   * @param {string} [symbol] - Uses the symbol's schedule when it has one
+   */
+  sessionAt(now = new Date(), symbol = null) {
+    const { date, hour, minute, minuteOfDay, weekday } = easternParts(now);
+    const market = this.calendar.getSession(date);
+    const windows = this.windowsOn(date, symbol);
+    const window = windows.find(w => minuteOfDay >= w.startMinute && minuteOfDay < w.endMinute);
+    const currentTime = `${hour}:${minute.toString().padStart(2, '0')}`;
+
+    if (!window) {
+      return {
+        isOpen: false,
+        timeframe: null,
+        session: 'closed',
+        currentTime,
+        weekday,
+        holiday: market.holiday,
+        marketOpen: market.open,
+        marketClose: market.close
+      };
+    }
+
+    const firstStart = Math.min(MARKET_OPEN_MINUTE, ...windows.map(w => w.startMinute));
+
+    return {
+      isOpen: true,
+      timeframe: window.timeframe,
+      session: window.name,
+      currentTime,
+      minutesSinceOpen: minuteOfDay - firstStart,
+      weekday,
+      marketOpen: market.open,
+      marketClose: market.close,
+      earlyClose: market.earlyClose,
+      window: { start: toClock(window.startMinute), end: toClock(window.endMinute), lookback: window.lookback, priority: window.priority }
+    };
+  }
+
+  /**
+   * Whether a minute bar belongs to the timeframe's windows (the aggregation filter).
+   * Timeframes the schedule doesn't use keep every regular-session minute. The closing print (16:00, or 13:00 on
+   * early closes) starts a bucket of its own, so it is left out rather than forming a one-minute bar.
+   */
+  includesMinute(timestamp, timeframe, symbol = null) {
+    const { date, minuteOfDay } = easternParts(timestamp);
+    const windows = this.windowsOn(date, symbol);
+    if (windows.length === 0) return false;
+
+    const matching = windows.filter(w => w.timeframe === timeframe);
+    if (matching.length === 0) {
+      const market = this.calendar.getSession(date);
+      return minuteOfDay >= market.openMinute && minuteOfDay < market.closeMinute;
+    }
+
+    return matching.some(w => minuteOfDay >= w.startMinute && minuteOfDay < w.endMinute);
+  }
+
+  /**
+   * Timeframes a symbol aggregates and trades, highest priority first
+   */
+  timeframes(symbol = null) {
+    const sessions = [...this.sessionsFor(symbol)].sort((a, b) => priorityRank(a.priority) - priorityRank(b.priority));
+    return [...new Set(sessions.map(session => session.timeframe))];
+  }
+
+  /**
+   * Timeframe of the last window of the day, used when no session is in force
+   */
+  defaultTimeframe(symbol = null) {
+    const sessions = this.sessionsFor(symbol);
+    return sessions[sessions.length - 1].timeframe;
+  }
+
+  /**
+   * First configured window for a timeframe, or null
+   */
+  sessionForTimeframe(timeframe, symbol = null) {
+    return this.sessionsFor(symbol).find(session => session.timeframe === timeframe) || null;
+  }
+
+  /**
+   * Minutes a pattern on this timeframe stays active without breaking out
+   */
+  patternExpiryMinutes(timeframe, symbol = null) {
+    const session = this.sessionForTimeframe(timeframe, symbol);
+    const bars = session?.patternExpiryBars || DEFAULT_PATTERN_EXPIRY_BARS;
+    return bars * timeframeMinutes(timeframe);
+  }
+}
+
+/**
+ * Process-wide schedule from SESSION_SCHEDULE or the bundled file
+ */
+export function getSessionSchedule() {
+  if (!sharedSchedule) {
+    sharedSchedule = loadSessionSchedule(process.env.SESSION_SCHEDULE);
+  }
+  return sharedSchedule;
+}
+
+/**
+ * Replace the shared schedule (e.g. to try 3m/15m windows in a replay)
+ */
+export function setSessionSchedule(schedule) {
+  sharedSchedule = schedule;
+}
+
+/**
+ * Parse a SESSION_SCHEDULE value: inline JSON, a file path, or empty for the bundled schedule
+ */
+export function loadSessionSchedule(value, deps = {}) {
+  const trimmed = (value || '').trim();
+
+  if (!trimmed) {
+    return SessionSchedule.fromFile(DEFAULT_SCHEDULE_FILE, deps);
+  }
+
+  if (trimmed.startsWith('{')) {
+    return new SessionSchedule(JSON.parse(trimmed), deps);
+  }
+
+  return SessionSchedule.fromFile(trimmed, deps);
+}
+
+function parseSessions(sessions, path) {
+  if (!Array.isArray(sessions) || sessions.length === 0) {
+    throw new Error(`Session schedule: ${path} must be a non-empty array`);
+  }
+
+  const parsed = sessions.map((session, index) => {
+    const timeframe = String(session.timeframe || '').trim().toLowerCase().replace('min', 'm');
+    if (!/^\d+m$/.test(timeframe)) {
+      throw new Error(`Session schedule: ${path}[${index}] has invalid timeframe "${session.timeframe}"`);
+    }
+
+    const startMinute = toMinute(session.start);
+    const endMinute = session.end === 'close' ? null : toMinute(session.end);
+    if (startMinute === null || (session.end !== 'close' && (endMinute === null || endMinute <= startMinute))) {
+      throw new Error(`Session schedule: ${path}[${index}] needs start < end ('HH:MM', end may be 'close')`);
+    }
+
+    return {
+      name: session.name || `${timeframe}_${session.start}`,
+      start: session.start,
+      end: session.end,
+      startMinute,
+      endMinute,
+      timeframe,
+      lookback: parseInt(session.lookback ?? 60),
+      priority: session.priority || 'high',
+      patternExpiryBars: parseInt(session.pattern_expiry_bars ?? session.patternExpiryBars ?? DEFAULT_PATTERN_EXPIRY_BARS)
+    };
+  });
+
+  return parsed.sort((a, b) => a.startMinute - b.startMinute);
+}
+
+function priorityRank(priority) {
+  const rank = PRIORITY_ORDER.indexOf(priority);
+  return rank === -1 ? PRIORITY_ORDER.length : rank;
+}
+
+function timeframeMinutes(timeframe) {
+  const match = String(timeframe).match(/(\d+)/);
+  return match ? parseInt(match[1]) : 1;
+}
+
+function toMinute(clock) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(clock || ''));
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+function toClock(minuteOfDay) {
+  return `${String(Math.floor(minuteOfDay / 60)).padStart(2, '0')}:${String(minuteOfDay % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,521 @@
+// lib/simulated-broker.js
+// Deterministic paper-trading broker that fills orders against recorded bars and quotes
+
+const OPTION_SYMBOL = /^[A-Z]{1,6}\d{6}[CP]\d{8}$/;
+const OPEN_STATUSES = ['new', 'held'];
+
+export class SimulatedBroker {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.initialCash=100000] - Starting cash balance
+   * @param {number} [options.commissionPerOrder=0] - Flat commission charged on every fill
+   * @param {Object} [options.marketData] - Initial { quotes, optionChains } (see loadMarketData)
+   */
+  constructor(options = {}) {
+    this.name = 'simulated';
+    this.initialCash = options.initialCash ?? 100000;
+    this.commissionPerOrder = options.commissionPerOrder ?? 0;
+
+    this.cash = this.initialCash;
+    this.lastEquity = this.initialCash;
+    this.realizedPnL = 0;
+
+    this.positions = new Map();    // symbol -> { qty, avgEntryPrice, multiplier }
+    this.orders = [];              // every order, bracket legs included
+    this.fills = [];
+    this.quotes = new Map();       // symbol -> { bid, ask, timestamp }
+    this.lastPrices = new Map();   // symbol -> last trade/close/mid price
+    this.optionChains = new Map(); // underlying -> contracts
+
+    this.clock = null;
+    this.currentDay = null;
+    this.nextOrderId = 1;
+
+    if (options.marketData) {
+      this.loadMarketData(options.marketData);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Market data feed
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Load recorded quotes and option chains
+   * @param {Object} marketData
+   * @param {Object} [marketData.quotes] - { SYMBOL: { bid, ask, timestamp } }
+   * @param {Object} [marketData.optionChains] - { UNDERLYING: [contracts] }
+   */
+  loadMarketData({ quotes = {}, optionChains = {} } = {}) {
+    Object.entries(optionChains).forEach(([underlying, contracts]) => this.setOptionChain(underlying, contracts));
+    Object.entries(quotes).forEach(([symbol, quote]) => this.setQuote(symbol, quote));
+  }
+
+  setOptionChain(underlying, contracts) {
+    this.optionChains.set(underlying, contracts.map(contract => ({ ...contract })));
+  }
+
+  /**
+   * Record a quote and fill any resting orders it crosses
+   */
+  setQuote(symbol, { bid, ask, timestamp }) {
+    this.advanceClock(timestamp);
+
+    const quote = { bid: parseFloat(bid), ask: parseFloat(ask), timestamp: this.now() };
+    this.quotes.set(symbol, quote);
+    this.lastPrices.set(symbol, (quote.bid + quote.ask) / 2);
+
+    this.matchOrders(symbol, order => this.priceAgainstQuote(order, quote));
+  }
+
+  /**
+   * Replay one bar: fill resting orders whose prices the bar traded through, then mark to close
+   */
+  processBar(symbol, bar) {
+    this.advanceClock(bar.timestamp);
+
+    const prices = {
+      open: parseFloat(bar.open),
+      high: parseFloat(bar.high),
+      low: parseFloat(bar.low),
+      close: parseFloat(bar.close)
+    };
+
+    this.matchOrders(symbol, order => this.priceAgainstBar(order, prices));
+    this.lastPrices.set(symbol, prices.close);
+  }
+
+  /**
+   * Replay bars for several symbols in timestamp order
+   * @param {Object} barsBySymbol - { SYMBOL: [bars] }
+   */
+  replayBars(barsBySymbol) {
+    const events = Object.entries(barsBySymbol)
+      .flatMap(([symbol, bars]) => bars.map(bar => ({ symbol, bar })))
+      .sort((a, b) => new Date(a.bar.timestamp) - new Date(b.bar.timestamp));
+
+    events.forEach(({ symbol, bar }) => this.processBar(symbol, bar));
+    return events.length;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Broker interface
+  // ---------------------------------------------------------------------------
+
+  async getAccount() {
+    const equity = this.getEquity();
+
+    return {
+      id: 'simulated',
+      account_number: 'SIMULATED',
+      status: 'ACTIVE',
+      currency: 'USD',
+      cash: round(this.cash),
+      equity: round(equity),
+      last_equity: round(this.lastEquity),
+      portfolio_value: round(equity),
+      buying_power: round(Math.max(this.cash, 0)),
+      realized_pl: round(this.realizedPnL),
+      day_trade_count: 0,
+      pattern_day_trader: false,
+      trading_blocked: false,
+      account_blocked: false,
+      trade_suspended_by_user: false
+    };
+  }
+
+  async getPositions() {
+    return Array.from(this.positions.entries()).map(([symbol, position]) => {
+      const currentPrice = this.lastPrices.get(symbol) ?? position.avgEntryPrice;
+      const costBasis = position.qty * position.avgEntryPrice * position.multiplier;
+      const marketValue = position.qty * currentPrice * position.multiplier;
+      const unrealizedPL = marketValue - costBasis;
+
+      return {
+        symbol,
+        asset_class: position.multiplier === 100 ? 'us_option' : 'us_equity',
+        qty: position.qty,
+        side: position.qty > 0 ? 'long' : 'short',
+        avg_entry_price: round(position.avgEntryPrice),
+        current_price: round(currentPrice),
+        market_value: round(marketValue),
+        cost_basis: round(costBasis),
+        unrealized_pl: round(unrealizedPL),
+        unrealized_plpc: costBasis !== 0 ? unrealizedPL / Math.abs(costBasis) : 0
+      };
+    });
+  }
+
+  /**
+   * @param {Object} [params]
+   * @param {string} [params.status='open'] - 'open', 'closed' or 'all'
+   * @param {string} [params.symbols] - Comma-separated symbol filter
+   */
+  async getOrders({ status = 'open', symbols } = {}) {
+    const symbolFilter = symbols ? symbols.split(',') : null;
+
+    return this.orders
+      .filter(order => !order.parent_id)
+      .filter(order => !symbolFilter || symbolFilter.includes(order.symbol))
+      .filter(order => {
+        if (status === 'all') return true;
+        const isOpen = OPEN_STATUSES.includes(order.status) || hasOpenLegs(order);
+        return status === 'open' ? isOpen : !isOpen;
+      })
+      .map(cloneOrder);
+  }
+
+  async getOrder(orderId) {
+    return cloneOrder(this.findOrder(orderId));
+  }
+
+  /**
+   * Accepts the same payload as Alpaca's POST /v2/orders, including order_class 'bracket'
+   */
+  async submitOrder(payload) {
+    const order = this.createOrder(payload);
+
+    if (payload.order_class === 'bracket') {
+      if (!payload.take_profit?.limit_price || !payload.stop_loss?.stop_price) {
+        throw new Error('Bracket orders require take_profit.limit_price and stop_loss.stop_price');
+      }
+
+      const exitSide = order.side === 'buy' ? 'sell' : 'buy';
+      const legBase = {
+        symbol: order.symbol,
+        qty: order.qty,
+        side: exitSide,
+        time_in_force: order.time_in_force
+      };
+
+      order.legs = [
+        this.createOrder({
+          ...legBase,
+          type: 'limit',
+          limit_price: payload.take_profit.limit_price
+        }, order.id),
+        this.createOrder({
+          ...legBase,
+          type: payload.stop_loss.limit_price ? 'stop_limit' : 'stop',
+          stop_price: payload.stop_loss.stop_price,
+          limit_price: payload.stop_loss.limit_price
+        }, order.id)
+      ];
+    }
+
+    this.checkBuyingPower(order);
+    this.orders.push(order, ...(order.legs || []));
+
+    console.log(`[SIM_BROKER] Accepted ${order.order_class} ${order.side} ${order.qty} ${order.symbol} (${order.type}) as ${order.id}`);
+
+    // Marketable orders fill immediately against the latest quote
+    const quote = this.quotes.get(order.symbol);
+    if (quote) {
+      this.matchOrders(order.symbol, candidate => candidate.id === order.id ? this.priceAgainstQuote(candidate, quote) : null);
+    }
+
+    return cloneOrder(order);
+  }
+
+  async cancelOrder(orderId) {
+    const order = this.findOrder(orderId);
+
+    if (!OPEN_STATUSES.includes(order.status) && !hasOpenLegs(order)) {
+      throw new Error(`Order ${orderId} is already ${order.status}`);
+    }
+
+    this.closeOrder(order, 'canceled');
+    (order.legs || []).forEach(leg => this.closeOrder(leg, 'canceled'));
+    return null;
+  }
+
+  async getQuotes(symbols) {
+    return symbols.reduce((quotes, symbol) => {
+      const quote = this.quotes.get(symbol);
+      if (quote) {
+        quotes[symbol] = { bp: quote.bid, ap: quote.ask, t: quote.timestamp };
+      }
+      return quotes;
+    }, {});
+  }
+
+  async getOptionChain(symbol) {
+    const contracts = this.optionChains.get(symbol);
+    if (!contracts || contracts.length === 0) {
+      return null;
+    }
+
+    return {
+      contracts: contracts.map(contract => {
+        const quote = this.quotes.get(contract.symbol);
+        if (!quote) return { ...contract };
+
+        return {
+          ...contract,
+          bid: quote.bid,
+          ask: quote.ask,
+          mark_price: (quote.bid + quote.ask) / 2
+        };
+      })
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Order matching
+  // ---------------------------------------------------------------------------
+
+  createOrder(payload, parentId = null) {
+    const qty = parseFloat(payload.qty);
+    const type = payload.type || 'market';
+
+    if (!payload.symbol) throw new Error('Order symbol is required');
+    if (!(qty > 0)) throw new Error(`Invalid order quantity: ${payload.qty}`);
+    if (!['buy', 'sell'].includes(payload.side)) throw new Error(`Invalid order side: ${payload.side}`);
+    if (['limit', 'stop_limit'].includes(type) && !payload.limit_price) throw new Error(`${type} orders require limit_price`);
+    if (['stop', 'stop_limit'].includes(type) && !payload.stop_price) throw new Error(`${type} orders require stop_price`);
+
+    return {
+      id: `sim-${this.nextOrderId++}`,
+      client_order_id: payload.client_order_id || null,
+      parent_id: parentId,
+      symbol: payload.symbol,
+      asset_class: isOptionSymbol(payload.symbol) ? 'us_option' : 'us_equity',
+      qty,
+      filled_qty: 0,
+      filled_avg_price: null,
+      side: payload.side,
+      type,
+      order_class: parentId ? 'bracket' : (payload.order_class || 'simple'),
+      time_in_force: payload.time_in_force || 'day',
+      limit_price: payload.limit_price ? parseFloat(payload.limit_price) : null,
+      stop_price: payload.stop_price ? parseFloat(payload.stop_price) : null,
+      status: parentId ? 'held' : 'new',
+      submitted_at: this.now(),
+      filled_at: null,
+      canceled_at: null,
+      legs: null
+    };
+  }
+
+  /**
+   * Fill every working order for the symbol that priceFn prices; stops are checked
+   * before targets so a bar that spans both legs of a bracket exits at the stop
+   */
+  matchOrders(symbol, priceFn) {
+    const working = this.orders
+      .filter(order => order.symbol === symbol && order.status === 'new')
+      .sort((a, b) => isStopOrder(b) - isStopOrder(a));
+
+    for (const order of working) {
+      // An earlier fill in this pass may have cancelled the OCO sibling
+      if (order.status !== 'new') continue;
+
+      const price = priceFn(order);
+      if (price !== null && price !== undefined) {
+        this.fillOrder(order, price);
+      }
+    }
+  }
+
+  priceAgainstQuote(order, { bid, ask }) {
+    const isBuy = order.side === 'buy';
+    const touch = isBuy ? ask : bid;
+    if (!(touch > 0)) return null;
+
+    switch (order.type) {
+      case 'market':
+        return touch;
+      case 'limit':
+        return (isBuy ? touch <= order.limit_price : touch >= order.limit_price) ? touch : null;
+      case 'stop':
+        return (isBuy ? touch >= order.stop_price : touch <= order.stop_price) ? touch : null;
+      case 'stop_limit': {
+        const triggered = isBuy ? touch >= order.stop_price : touch <= order.stop_price;
+        const withinLimit = isBuy ? touch <= order.limit_price : touch >= order.limit_price;
+        return triggered && withinLimit ? touch : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  priceAgainstBar(order, { open, high, low }) {
+    const isBuy = order.side === 'buy';
+
+    switch (order.type) {
+      case 'market':
+        return open;
+      case 'limit':
+        if (isBuy) return low <= order.limit_price ? Math.min(open, order.limit_price) : null;
+        return high >= order.limit_price ? Math.max(open, order.limit_price) : null;
+      case 'stop':
+        // Gaps through the stop fill at the open
+        if (isBuy) return high >= order.stop_price ? Math.max(open, order.stop_price) : null;
+        return low <= order.stop_price ? Math.min(open, order.stop_price) : null;
+      case 'stop_limit': {
+        if (isBuy) {
+          if (high < order.stop_price || low > order.limit_price) return null;
+          return Math.min(Math.max(open, order.stop_price), order.limit_price);
+        }
+        if (low > order.stop_price || high < order.limit_price) return null;
+        return Math.max(Math.min(open, order.stop_price), order.limit_price);
+      }
+      default:
+        return null;
+    }
+  }
+
+  fillOrder(order, price) {
+    const multiplier = isOptionSymbol(order.symbol) ? 100 : 1;
+    const signedQty = order.side === 'buy' ? order.qty : -order.qty;
+
+    this.applyFill(order.symbol, signedQty, price, multiplier);
+
+    order.status = 'filled';
+    order.filled_qty = order.qty;
+    order.filled_avg_price = price;
+    order.filled_at = this.now();
+
+    this.fills.push({
+      order_id: order.id,
+      parent_id: order.parent_id,
+      symbol: order.symbol,
+      side: order.side,
+      qty: order.qty,
+      price,
+      commission: this.commissionPerOrder,
+      timestamp: order.filled_at
+    });
+
+    console.log(`[SIM_BROKER] Filled ${order.id} ${order.side} ${order.qty} ${order.symbol} @ ${round(price)}`);
+
+    // Bracket entry filled: activate both exit legs
+    (order.legs || []).forEach(leg => {
+      if (leg.status === 'held') leg.status = 'new';
+    });
+
+    // Bracket exit filled: cancel the other leg (one-cancels-other)
+    if (order.parent_id) {
+      this.orders
+        .filter(sibling => sibling.parent_id === order.parent_id && sibling.id !== order.id)
+        .forEach(sibling => this.closeOrder(sibling, 'canceled'));
+    }
+  }
+
+  applyFill(symbol, signedQty, price, multiplier) {
+    const position = this.positions.get(symbol) || { qty: 0, avgEntryPrice: 0, multiplier };
+
+    this.cash -= signedQty * price * multiplier + this.commissionPerOrder;
+
+    const isIncreasing = position.qty === 0 || Math.sign(position.qty) === Math.sign(signedQty);
+    if (isIncreasing) {
+      const totalQty = Math.abs(position.qty) + Math.abs(signedQty);
+      position.avgEntryPrice = (Math.abs(position.qty) * position.avgEntryPrice + Math.abs(signedQty) * price) / totalQty;
+      position.qty += signedQty;
+    } else {
+      const closingQty = Math.min(Math.abs(signedQty), Math.abs(position.qty));
+      this.realizedPnL += closingQty * (price - position.avgEntryPrice) * Math.sign(position.qty) * multiplier;
+
+      const remaining = position.qty + signedQty;
+      if (remaining !== 0 && Math.sign(remaining) !== Math.sign(position.qty)) {
+        position.avgEntryPrice = price; // Flipped through flat
+      }
+      position.qty = remaining;
+    }
+
+    this.realizedPnL -= this.commissionPerOrder;
+
+    if (position.qty === 0) {
+      this.positions.delete(symbol);
+    } else {
+      this.positions.set(symbol, position);
+    }
+  }
+
+  checkBuyingPower(order) {
+    if (order.side !== 'buy') return;
+
+    const quote = this.quotes.get(order.symbol);
+    const referencePrice = order.limit_price ?? quote?.ask ?? this.lastPrices.get(order.symbol);
+    if (!referencePrice) return;
+
+    const multiplier = isOptionSymbol(order.symbol) ? 100 : 1;
+    const cost = order.qty * referencePrice * multiplier + this.commissionPerOrder;
+
+    if (cost > this.cash) {
+      throw new Error(`Insufficient buying power: order cost ${round(cost)} exceeds cash ${round(this.cash)}`);
+    }
+  }
+
+  closeOrder(order, status) {
+    if (!OPEN_STATUSES.includes(order.status)) return;
+    order.status = status;
+    order.canceled_at = this.now();
+  }
+
+  findOrder(orderId) {
+    const order = this.orders.find(o => o.id === orderId);
+    if (!order) {
+      throw new Error(`Order ${orderId} not found`);
+    }
+    return order;
+  }
+
+  getEquity() {
+    let marketValue = 0;
+    this.positions.forEach((position, symbol) => {
+      const price = this.lastPrices.get(symbol) ?? position.avgEntryPrice;
+      marketValue += position.qty * price * position.multiplier;
+    });
+    return this.cash + marketValue;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Simulated clock
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Move the clock forward; a new trading day expires open 'day' orders and rolls last_equity
+   */
+  advanceClock(timestamp) {
+    if (!timestamp) return;
+
+    const time = new Date(timestamp);
+    if (this.clock && time < this.clock) return;
+
+    const day = time.toISOString().split('T')[0];
+    if (this.currentDay && day !== this.currentDay) {
+      this.orders
+        .filter(order => order.time_in_force === 'day')
+        .forEach(order => this.closeOrder(order, 'expired'));
+      this.lastEquity = this.getEquity();
+    }
+
+    this.currentDay = day;
+    this.clock = time;
+  }
+
+  now() {
+    return (this.clock || new Date()).toISOString();
+  }
+}
+
+function isOptionSymbol(symbol) {
+  return OPTION_SYMBOL.test(symbol);
+}
+
+function isStopOrder(order) {
+  return order.type === 'stop' || order.type === 'stop_limit' ? 1 : 0;
+}
+
+function hasOpenLegs(order) {
+  return (order.legs || []).some(leg => OPEN_STATUSES.includes(leg.status));
+}
+
+function cloneOrder(order) {
+  return { ...order, legs: order.legs ? order.legs.map(leg => ({ ...leg })) : null };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
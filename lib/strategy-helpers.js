@@ -0,0 +1,142 @@
+// lib/strategy-helpers.js
+// Pattern mapping and trade geometry shared by the live strategy and the backtester
+
+import { getSessionSchedule } from './session-schedule.js';
+
+/**
+ * Normalize timeframe format (10Min -> 10m)
+ */
+export function normalizeTimeframe(timeframe) {
+  return timeframe.toLowerCase().replace('min', 'm');
+}
+
+/**
+ * Convert FlagDetector output to the nested input PatternManager.createPattern expects
+ * @param {Object} flagPattern - Result of FlagDetector.detectFlag
+ * @param {Array} bars - The bars passed to detectFlag (the flag is the trailing flagPattern.flagBars)
+ */
+export function convertFlagToPatternData(flagPattern, symbol, timeframe, bars) {
+  const flagStartIndex = Math.max(0, bars.length - flagPattern.flagBars);
+  const poleStartIndex = Math.max(0, flagStartIndex - flagPattern.preMoveData.duration);
+  const poleBars = bars.slice(poleStartIndex, flagStartIndex);
+  const flagBars = bars.slice(flagStartIndex);
+
+  const poleStart = poleBars[0] || flagBars[0];
+  const poleEnd = poleBars[poleBars.length - 1] || flagBars[0];
+  const isBullish = flagPattern.direction === 'bullish';
+
+  return {
+    symbol: symbol,
+    timeframe: normalizeTimeframe(timeframe),
+    pattern_type: isBullish ? 'bullish_flag' : 'bearish_flag',
+    confidence: flagPattern.validity.confidence,
+    quality_score: flagPattern.validity.score / flagPattern.validity.maxScore,
+
+    pole: {
+      start: poleStart.timestamp,
+      end: poleEnd.timestamp,
+      startPrice: poleStart.close,
+      endPrice: poleEnd.close,
+      lengthPct: flagPattern.preMoveData.movePercent,
+      avgVolume: averageVolume(poleBars)
+    },
+
+    flag: {
+      start: flagBars[0].timestamp,
+      high: flagPattern.consolidationRange.high,
+      low: flagPattern.consolidationRange.low,
+      slope: flagPattern.slope ?? (flagPattern.consolidationRange.high - flagPattern.consolidationRange.low) / flagPattern.flagBars,
+      avgVolume: flagPattern.volume.avgVolume ?? averageVolume(flagBars)
+    },
+
+    breakout_level: flagPattern.breakoutLevel,
+    volume_confirmation: flagPattern.volume.confirmation.quality === 'excellent',
+
+    confluence_count: flagPattern.confluence,
+    near_resistance: isBullish ? flagPattern.breakoutLevel : null,
+    near_support: isBullish ? null : flagPattern.breakoutLevel
+  };
+}
+
+/**
+ * Convert FlagDetector output to a flat pattern_states row (used where patterns are kept in memory)
+ */
+export function convertFlagToPatternState(flagPattern, symbol, timeframe, bars) {
+  const currentBar = bars[bars.length - 1];
+  const { pole, flag, ...patternData } = convertFlagToPatternData(flagPattern, symbol, timeframe, bars);
+
+  return {
+    ...patternData,
+    stage: 'CONFIRMED',
+
+    pole_start_time: pole.start,
+    pole_end_time: pole.end,
+    pole_start_price: pole.startPrice,
+    pole_end_price: pole.endPrice,
+    pole_length_pct: pole.lengthPct,
+    pole_avg_volume: pole.avgVolume,
+
+    flag_start_time: flag.start,
+    flag_high: flag.high,
+    flag_low: flag.low,
+    flag_slope: flag.slope,
+    flag_avg_volume: flag.avgVolume,
+
+    detected_at: currentBar.timestamp,
+    last_updated: currentBar.timestamp,
+    expires_at: calculatePatternExpiration(timeframe, currentBar.timestamp, symbol),
+
+    trade_signal_generated: false,
+    trade_executed: false
+  };
+}
+
+/**
+ * True when an equivalent pattern (same type, breakout within 0.1%) is already tracked;
+ * the same flag is usually re-detected on consecutive bars
+ */
+export function isDuplicatePattern(patternData, existingPatterns) {
+  return existingPatterns.some(pattern =>
+    pattern.pattern_type === patternData.pattern_type &&
+    Math.abs(pattern.breakout_level - patternData.breakout_level) / patternData.breakout_level < 0.001
+  );
+}
+
+/**
+ * Calculate stop loss based on pattern
+ */
+export function calculateStopLoss(pattern, breakout) {
+  const buffer = 0.005;
+
+  if (breakout.direction === 'up') {
+    return pattern.flag_low * (1 - buffer);
+  } else {
+    return pattern.flag_high * (1 + buffer);
+  }
+}
+
+/**
+ * Calculate take profit based on pattern
+ */
+export function calculateTakeProfit(pattern, breakout) {
+  const poleLength = Math.abs(pattern.pole_end_price - pattern.pole_start_price);
+
+  if (breakout.direction === 'up') {
+    return pattern.breakout_level + poleLength;
+  } else {
+    return pattern.breakout_level - poleLength;
+  }
+}
+
+/**
+ * Calculate pattern expiration (relative to fromTime, defaults to now) from the session schedule's pattern_expiry_bars
+ */
+export function calculatePatternExpiration(timeframe, fromTime = new Date(), symbol = null) {
+  const minutes = getSessionSchedule().patternExpiryMinutes(normalizeTimeframe(timeframe), symbol);
+  return new Date(new Date(fromTime).getTime() + minutes * 60 * 1000).toISOString();
+}
+
+function averageVolume(bars) {
+  if (bars.length === 0) return 0;
+  return bars.reduce((sum, bar) => sum + (parseInt(bar.volume) || 0), 0) / bars.length;
+}
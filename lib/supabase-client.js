@@ -1,40 +1,23 @@
-import { createClient } from '@supabase/supabase-js';
+import { resolveRepository } from './repository.js';
 
 export class SupabaseClient {
-  constructor() {
-    // Use service role key when available for bypassing RLS, fallback to anon key
-    const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
-
-    if (!supabaseKey) {
-      throw new Error('Missing Supabase keys: SUPABASE_SERVICE_ROLE_KEY or SUPABASE_ANON_KEY required');
-    }
-
-    this.supabase = createClient(
-      process.env.SUPABASE_URL,
-      supabaseKey,
-      {
-        auth: {
-          autoRefreshToken: false,
-          persistSession: false
-        }
-      }
-    );
-
-    console.log(`SupabaseClient initialized with ${process.env.SUPABASE_SERVICE_ROLE_KEY ? 'service role' : 'anon'} key`);
+  /**
+   * @param {Object} [store] - Repository or raw Supabase client; defaults to the configured repository
+   */
+  constructor(store = null) {
+    this.store = resolveRepository(store);
   }
 
   async logExecution(result) {
     try {
-      const { data, error } = await this.supabase
-        .from('strategy_executions')
-        .insert([{
-          timestamp: new Date().toISOString(),
-          symbol: result.symbol,
-          timeframe: result.timeframe,
-          signals_generated: result.signals?.length || 0,
-          trades_executed: result.trades?.length || 0,
-          result: result
-        }]);
+      const { data, error } = await this.store.insertStrategyExecution({
+        timestamp: new Date().toISOString(),
+        symbol: result.symbol,
+        timeframe: result.timeframe,
+        signals_generated: result.signals?.length || 0,
+        trades_executed: result.trades?.length || 0,
+        result: result
+      });
 
       if (error) {
         console.error('Error logging execution:', error);
@@ -49,21 +32,19 @@ export class SupabaseClient {
 
   async logTrade(trade) {
     try {
-      const { data, error } = await this.supabase
-        .from('trades')
-        .insert([{
-          timestamp: new Date().toISOString(),
-          symbol: trade.symbol,
-          side: trade.side,
-          quantity: trade.quantity,
-          price: trade.price,
-          option_contract: trade.optionContract,
-          strategy: 'level_flag',
-          entry_reason: trade.entryReason,
-          exit_reason: trade.exitReason,
-          pnl: trade.pnl,
-          status: trade.status
-        }]);
+      const { data, error } = await this.store.insertTrade({
+        timestamp: new Date().toISOString(),
+        symbol: trade.symbol,
+        side: trade.side,
+        quantity: trade.quantity,
+        price: trade.price,
+        option_contract: trade.optionContract,
+        strategy: 'level_flag',
+        entry_reason: trade.entryReason,
+        exit_reason: trade.exitReason,
+        pnl: trade.pnl,
+        status: trade.status
+      });
 
       if (error) {
         console.error('Error logging trade:', error);
@@ -78,14 +59,12 @@ export class SupabaseClient {
 
   async logError(error) {
     try {
-      const { data, errorDb } = await this.supabase
-        .from('error_logs')
-        .insert([{
-          timestamp: new Date().toISOString(),
-          message: error.message,
-          stack: error.stack,
-          function_name: error.functionName || 'unknown'
-        }]);
+      const { data, error: errorDb } = await this.store.insertError({
+        timestamp: new Date().toISOString(),
+        message: error.message,
+        stack: error.stack,
+        function_name: error.functionName || 'unknown'
+      });
 
       if (errorDb) console.error('Failed to log error to database:', errorDb);
       return data;
@@ -97,13 +76,11 @@ export class SupabaseClient {
 
   async logEvent(event, data = {}) {
     try {
-      const { data: result, error } = await this.supabase
-        .from('system_events')
-        .insert([{
-          timestamp: new Date().toISOString(),
-          event_type: event,
-          data: data
-        }]);
+      const { data: result, error } = await this.store.insertEvent({
+        timestamp: new Date().toISOString(),
+        event_type: event,
+        data: data
+      });
 
       if (error) {
         console.error('Error logging event:', error);
@@ -120,12 +97,12 @@ export class SupabaseClient {
     try {
       const today = new Date().toISOString().split('T')[0];
 
-      const { data, error } = await this.supabase
-        .from('trades')
-        .select('pnl')
-        .gte('timestamp', `${today}T00:00:00.000Z`)
-        .lt('timestamp', `${today}T23:59:59.999Z`)
-        .not('pnl', 'is', null);
+      const { data, error } = await this.store.getTrades({
+        fields: 'pnl',
+        start: `${today}T00:00:00.000Z`,
+        end: `${today}T23:59:59.999Z`,
+        hasPnl: true
+      });
 
       if (error) {
         console.error('Error getting today\'s PnL:', error);
@@ -141,11 +118,7 @@ export class SupabaseClient {
 
   async getRecentTrades(limit = 10) {
     try {
-      const { data, error } = await this.supabase
-        .from('trades')
-        .select('*')
-        .order('timestamp', { ascending: false })
-        .limit(limit);
+      const { data, error } = await this.store.getTrades({ limit });
 
       if (error) {
         console.error('Error getting recent trades:', error);
@@ -158,17 +131,24 @@ export class SupabaseClient {
     }
   }
 
+  /**
+   * Query trade history with filters and pagination
+   */
+  async getTrades(filter = {}) {
+    return this.store.getTrades(filter);
+  }
+
   async getAccountMetrics() {
     try {
       // Get metrics for the last 30 days
       const thirtyDaysAgo = new Date();
       thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
-      const { data, error } = await this.supabase
-        .from('trades')
-        .select('pnl, timestamp')
-        .gte('timestamp', thirtyDaysAgo.toISOString())
-        .not('pnl', 'is', null);
+      const { data, error } = await this.store.getTrades({
+        fields: 'pnl, timestamp',
+        start: thirtyDaysAgo.toISOString(),
+        hasPnl: true
+      });
 
       if (error) {
         console.error('Error getting account metrics:', error);
@@ -201,10 +181,7 @@ export class SupabaseClient {
   async testConnection() {
     try {
       console.log('Testing database connection...');
-      const { data, error } = await this.supabase
-        .from('minute_bars')
-        .select('count')
-        .limit(1);
+      const { error } = await this.store.ping('minute_bars');
 
       if (error) {
         console.error('Database connection test failed:', error);
@@ -220,6 +197,7 @@ export class SupabaseClient {
       return { 
         success: true, 
         message: 'Database connection working',
+        backend: this.store.backend,
         keyType: process.env.SUPABASE_SERVICE_ROLE_KEY ? 'service_role' : 'anon'
       };
     } catch (error) {
@@ -238,20 +216,16 @@ export class SupabaseClient {
       console.log(`Testing data access for ${symbol}...`);
 
       // Test minute_bars access
-      const { data: minuteData, error: minuteError } = await this.supabase
-        .from('minute_bars')
-        .select('*')
-        .eq('symbol', symbol)
-        .order('timestamp', { ascending: false })
-        .limit(limit);
+      const { data: minuteData, error: minuteError } = await this.store.getMinuteBars(symbol, {
+        limit,
+        ascending: false
+      });
 
       // Test aggregated_bars access
-      const { data: aggData, error: aggError } = await this.supabase
-        .from('aggregated_bars')
-        .select('*')
-        .eq('symbol', symbol)
-        .order('timestamp', { ascending: false })
-        .limit(limit);
+      const { data: aggData, error: aggError } = await this.store.getAggregatedBars(symbol, null, {
+        limit,
+        ascending: false
+      });
 
       const result = {
         minute_bars: {
@@ -0,0 +1,437 @@
+// lib/supabase-repository.js
+// Repository implementation backed by the Supabase tables and RPC functions
+
+export class SupabaseRepository {
+  constructor(supabaseClient, options = {}) {
+    this.supabase = supabaseClient;
+    this.backend = 'supabase';
+    // Upserts need UPDATE rights, which the anon key does not have under RLS
+    this.canUpsert = options.canUpsert ?? !!process.env.SUPABASE_SERVICE_ROLE_KEY;
+  }
+
+  /**
+   * Lightweight connectivity check against a table
+   */
+  async ping(table = 'minute_bars') {
+    const { error } = await this.supabase
+      .from(table)
+      .select('count')
+      .limit(1);
+
+    return { data: !error, error };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Bars
+  // ---------------------------------------------------------------------------
+
+  async upsertMinuteBars(records) {
+    return this.upsertWithFallback('minute_bars', records, ['symbol', 'timestamp']);
+  }
+
+  async getMinuteBars(symbol, options = {}) {
+    return this.queryBars('minute_bars', symbol, null, options);
+  }
+
+  async upsertAggregatedBars(records) {
+    return this.upsertWithFallback('aggregated_bars', records, ['symbol', 'timeframe', 'timestamp']);
+  }
+
+  async getAggregatedBars(symbol, timeframe, options = {}) {
+    return this.queryBars('aggregated_bars', symbol, timeframe, options);
+  }
+
+  /**
+   * Aggregated rows for the given bucket keys in one query (the IN filters may over-match; callers key by exact bucket)
+   */
+  async findAggregatedBars({ symbols, timeframes, timestamps }) {
+    if (symbols.length === 0 || timeframes.length === 0 || timestamps.length === 0) {
+      return { data: [], error: null };
+    }
+
+    return this.supabase
+      .from('aggregated_bars')
+      .select('*')
+      .in('symbol', symbols)
+      .in('timeframe', timeframes)
+      .in('timestamp', timestamps);
+  }
+
+  /**
+   * Minute bars rejected by the BarValidator, with their reasons
+   */
+  async insertQuarantinedBars(records) {
+    return this.supabase
+      .from('quarantined_bars')
+      .insert(records);
+  }
+
+  async getQuarantinedBars(symbol, options = {}) {
+    return this.queryBars('quarantined_bars', symbol, null, options);
+  }
+
+  /**
+   * Per-day volume profiles (POC, value area, nodes and bins), one row per symbol and trading_date
+   */
+  async upsertVolumeProfiles(records) {
+    return this.upsertWithFallback('volume_profiles', records, ['symbol', 'trading_date']);
+  }
+
+  async getVolumeProfiles(symbol, { start, end } = {}) {
+    let query = this.supabase
+      .from('volume_profiles')
+      .select('*')
+      .eq('symbol', symbol)
+      .order('trading_date', { ascending: true });
+
+    if (start) query = query.gte('trading_date', start);
+    if (end) query = query.lte('trading_date', end);
+
+    return query;
+  }
+
+  async queryBars(table, symbol, timeframe, { start, end, after, limit, offset, ascending = true } = {}) {
+    let query = this.supabase
+      .from(table)
+      .select('*')
+      .eq('symbol', symbol)
+      .order('timestamp', { ascending });
+
+    if (timeframe) query = query.eq('timeframe', timeframe);
+    if (start) query = query.gte('timestamp', start);
+    if (end) query = query.lte('timestamp', end);
+    if (after) query = query.gt('timestamp', after);
+
+    if (limit !== undefined) {
+      query = query.range(offset || 0, (offset || 0) + limit - 1);
+    }
+
+    return query;
+  }
+
+  /**
+   * Upsert on the natural key, falling back to select-then-insert/update per row
+   */
+  async upsertWithFallback(table, records, keyColumns) {
+    if (records.length === 0) {
+      return { data: [], error: null };
+    }
+
+    if (this.canUpsert) {
+      try {
+        const { data, error } = await this.supabase
+          .from(table)
+          .upsert(records, {
+            onConflict: keyColumns.join(','),
+            ignoreDuplicates: false
+          })
+          .select();
+
+        if (!error) {
+          return { data, error: null };
+        }
+
+        console.error(`Upsert error on ${table}, falling back to insert/update:`, error);
+      } catch (upsertError) {
+        console.error(`Upsert failed on ${table}, falling back to insert/update:`, upsertError);
+      }
+    }
+
+    const stored = [];
+    for (const record of records) {
+      const { data, error } = await this.insertOrUpdate(table, record, keyColumns);
+      if (error) {
+        return { data: stored, error };
+      }
+      stored.push(...(data || []));
+    }
+
+    return { data: stored, error: null };
+  }
+
+  async insertOrUpdate(table, record, keyColumns) {
+    const applyKey = query => keyColumns.reduce((q, column) => q.eq(column, record[column]), query);
+
+    const { data: existingRecord, error: selectError } = await applyKey(
+      this.supabase.from(table).select('id')
+    ).maybeSingle(); // Use maybeSingle to avoid error when no record found
+
+    if (selectError) {
+      console.error(`Error checking existing ${table} record:`, selectError);
+      return { data: null, error: selectError };
+    }
+
+    if (existingRecord) {
+      return applyKey(this.supabase.from(table).update(record)).select();
+    }
+
+    return this.supabase.from(table).insert(record).select();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Patterns
+  // ---------------------------------------------------------------------------
+
+  async getActivePatterns(symbol, timeframe, now = new Date().toISOString()) {
+    return this.supabase
+      .from('pattern_states')
+      .select('*')
+      .eq('symbol', symbol)
+      .eq('timeframe', timeframe)
+      .in('stage', ['FORMING', 'CONSOLIDATING', 'CONFIRMED'])
+      .gt('expires_at', now)
+      .order('detected_at', { ascending: false });
+  }
+
+  async getPatterns(symbol, timeframe, { since } = {}) {
+    let query = this.supabase
+      .from('pattern_states')
+      .select('*')
+      .eq('symbol', symbol)
+      .eq('timeframe', timeframe);
+
+    if (since) query = query.gte('detected_at', since);
+
+    return query;
+  }
+
+  async insertPattern(pattern) {
+    return this.supabase
+      .from('pattern_states')
+      .insert(pattern)
+      .select()
+      .single();
+  }
+
+  async updatePattern(patternId, updates) {
+    return this.supabase
+      .from('pattern_states')
+      .update(updates)
+      .eq('pattern_id', patternId);
+  }
+
+  /**
+   * Returns the number of patterns moved to EXPIRED
+   */
+  async expirePatterns() {
+    return this.supabase.rpc('expire_old_patterns');
+  }
+
+  async deletePatterns({ stages, before }) {
+    return this.supabase
+      .from('pattern_states')
+      .delete()
+      .in('stage', stages)
+      .lt('last_updated', before);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Levels
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Query detected_levels with optional filters
+   */
+  async findLevels(filter = {}) {
+    let query = this.supabase
+      .from('detected_levels')
+      .select(filter.fields || '*');
+
+    if (filter.symbol) query = query.eq('symbol', filter.symbol);
+    if (filter.timeframe) query = query.eq('timeframe', filter.timeframe);
+    if (filter.levelType) query = query.eq('level_type', filter.levelType);
+    if (filter.isActive !== undefined) query = query.eq('is_active', filter.isActive);
+    if (filter.minConfidence !== undefined) query = query.gte('confidence', filter.minConfidence);
+    if (filter.priceMin !== undefined) query = query.gte('price_level', filter.priceMin);
+    if (filter.priceMax !== undefined) query = query.lte('price_level', filter.priceMax);
+    if (filter.minBreakCount !== undefined) query = query.gte('break_count', filter.minBreakCount);
+    if (filter.detectedSince) query = query.gte('first_detected', filter.detectedSince);
+    if (filter.orderBy) query = query.order(filter.orderBy, { ascending: !!filter.ascending });
+    if (filter.limit) query = query.limit(filter.limit);
+
+    return query;
+  }
+
+  async insertLevel(level) {
+    return this.supabase
+      .from('detected_levels')
+      .insert(level)
+      .select()
+      .single();
+  }
+
+  async updateLevel(id, updates) {
+    return this.supabase
+      .from('detected_levels')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+  }
+
+  async updateLevels(ids, updates) {
+    return this.supabase
+      .from('detected_levels')
+      .update(updates)
+      .in('id', ids);
+  }
+
+  /**
+   * Atomically increment touch statistics on a level
+   */
+  async updateLevelStats(levelId, stats) {
+    return this.supabase
+      .rpc('update_level_stats', {
+        p_level_id: levelId,
+        p_touch_increment: stats.touchIncrement,
+        p_bounce_increment: stats.bounceIncrement,
+        p_break_increment: stats.breakIncrement,
+        p_confidence_change: stats.confidenceChange,
+        p_last_touch_time: stats.lastTouchTime,
+        p_last_touch_price: stats.lastTouchPrice
+      });
+  }
+
+  async getLevelsForConfluence(symbol, timeframe, minConfidence) {
+    return this.supabase
+      .rpc('get_active_levels_for_confluence', {
+        p_symbol: symbol,
+        p_timeframe: timeframe,
+        p_min_confidence: minConfidence
+      });
+  }
+
+  async deleteInactiveLevels(before) {
+    return this.supabase
+      .from('detected_levels')
+      .delete()
+      .eq('is_active', false)
+      .lt('invalidated_at', before);
+  }
+
+  async insertLevelTouch(touch) {
+    return this.supabase
+      .from('level_touches')
+      .insert(touch);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Execution state
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Returns { data: null } when no state exists yet
+   */
+  async getExecutionState(symbol, timeframe) {
+    return this.supabase
+      .from('execution_state')
+      .select('*')
+      .eq('symbol', symbol)
+      .eq('timeframe', timeframe)
+      .maybeSingle();
+  }
+
+  async listExecutionStates(symbol, timeframe = null) {
+    let query = this.supabase
+      .from('execution_state')
+      .select('*')
+      .eq('symbol', symbol);
+
+    if (timeframe) query = query.eq('timeframe', timeframe);
+
+    return query;
+  }
+
+  async insertExecutionState(state) {
+    return this.supabase
+      .from('execution_state')
+      .insert(state)
+      .select()
+      .single();
+  }
+
+  async updateExecutionState(symbol, timeframe, updates) {
+    return this.supabase
+      .from('execution_state')
+      .update(updates)
+      .eq('symbol', symbol)
+      .eq('timeframe', timeframe)
+      .select()
+      .single();
+  }
+
+  async upsertExecutionState(state) {
+    return this.supabase
+      .from('execution_state')
+      .upsert(state)
+      .select()
+      .single();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Watchlist
+  // ---------------------------------------------------------------------------
+
+  async getWatchlist() {
+    return this.supabase
+      .from('watchlist')
+      .select('*')
+      .order('symbol', { ascending: true });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Trades, executions, events and errors
+  // ---------------------------------------------------------------------------
+
+  async insertTrade(trade) {
+    return this.supabase
+      .from('trades')
+      .insert(trade)
+      .select();
+  }
+
+  async updateTrade(id, updates) {
+    return this.supabase
+      .from('trades')
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+  }
+
+  async getTrades({ symbol, status, start, end, hasPnl, fields = '*', limit, offset = 0, ascending = false } = {}) {
+    let query = this.supabase
+      .from('trades')
+      .select(fields)
+      .order('timestamp', { ascending });
+
+    if (symbol) query = query.eq('symbol', symbol);
+    if (status) query = query.eq('status', status);
+    if (start) query = query.gte('timestamp', start);
+    if (end) query = query.lte('timestamp', end);
+    if (hasPnl) query = query.not('pnl', 'is', null);
+    if (limit !== undefined) query = query.range(offset, offset + limit - 1);
+
+    return query;
+  }
+
+  async insertStrategyExecution(execution) {
+    return this.supabase
+      .from('strategy_executions')
+      .insert(execution)
+      .select()
+      .single();
+  }
+
+  async insertEvent(event) {
+    return this.supabase
+      .from('system_events')
+      .insert(event);
+  }
+
+  async insertError(errorLog) {
+    return this.supabase
+      .from('error_logs')
+      .insert(errorLog);
+  }
+}
@@ -0,0 +1,369 @@
+// lib/trade-manager.js
+// Manages open trades on each tick: breakeven moves, trailing stops, partial scale-outs and time-based exits.
+// Stops and targets are tracked on the underlying; exits go out as market orders on the option contract.
+
+import { resolveRepository } from './repository.js';
+import { getBroker } from './broker.js';
+import { IndicatorCalculator } from './indicators.js';
+import { easternParts } from './market-time.js';
+import { getMarketCalendar } from './market-calendar.js';
+
+const OPEN_ORDER_STATUSES = ['new', 'accepted', 'pending_new', 'held', 'partially_filled'];
+
+/**
+ * Initial management state stored on the trade row at entry.
+ * premiumExits is the mapExitLevels result when the entry order carried bracket legs.
+ */
+export function createManagementState(pattern, breakout, { stopLoss, takeProfit, entryTime, premiumExits = null }) {
+  const entryBarTime = entryTime || new Date().toISOString();
+
+  return {
+    direction: breakout.direction === 'down' ? 'short' : 'long',
+    underlying_entry: breakout.currentPrice,
+    initial_stop: stopLoss,
+    stop: stopLoss,
+    target: takeProfit,
+    flag_height: Math.abs(pattern.flag_high - pattern.flag_low),
+    exit_mode: premiumExits ? 'bracket' : 'underlying',
+    premium_stop: premiumExits?.stopPrice ?? null,
+    premium_target: premiumExits?.takeProfitPrice ?? null,
+    entry_time: entryBarTime,
+    last_bar_time: entryBarTime,
+    best_price: breakout.currentPrice,
+    bars_held: 0,
+    breakeven: false,
+    trailing: false,
+    scaled_out_qty: 0,
+    legs_cancelled: false,
+    exit_order_ids: [],
+    exit_reason: null,
+    pending_exit: null
+  };
+}
+
+export class TradeManager {
+  /**
+   * @param {Object} [deps]
+   * @param {Object} [deps.store] - Repository or raw Supabase client; defaults to the configured repository
+   * @param {Object} [deps.broker] - Broker adapter; defaults to the configured broker
+   * @param {MarketCalendar} [deps.marketCalendar] - Early closes move the pre-close exit; defaults to the shared calendar
+   */
+  constructor({ store, broker, marketCalendar } = {}) {
+    this.store = resolveRepository(store);
+    this.broker = broker || getBroker();
+    this.marketCalendar = marketCalendar || getMarketCalendar();
+    this.indicators = new IndicatorCalculator();
+
+    this.breakevenR = parseFloat(process.env.BREAKEVEN_R || '1.0');              // Move stop to entry after 1R
+    this.trailMode = (process.env.TRAIL_MODE || 'atr').toLowerCase();           // 'atr', 'flag' or 'none'
+    this.trailStartR = parseFloat(process.env.TRAIL_START_R || '1.0');
+    this.trailAtrMultiplier = parseFloat(process.env.TRAIL_ATR_MULTIPLIER || '1.5');
+    this.atrPeriod = 14;
+    this.scaleOutFraction = parseFloat(process.env.SCALE_OUT_FRACTION || '0.5'); // Sold at the pole target
+    this.maxBarsWithoutProgress = parseInt(process.env.MAX_BARS_WITHOUT_PROGRESS || '6');
+    this.progressR = parseFloat(process.env.PROGRESS_R || '0.5');                // Best excursion that counts as progress
+    this.exitMinutesBeforeClose = parseInt(process.env.EXIT_MINUTES_BEFORE_CLOSE || '15');
+  }
+
+  /**
+   * Apply the management rules to every open trade with management state
+   */
+  async manageOpenTrades(now = new Date()) {
+    try {
+      const { data: trades, error } = await this.store.getTrades({ status: 'open', ascending: true });
+      if (error) {
+        throw new Error(`Failed to load open trades: ${error.message}`);
+      }
+
+      const managed = (trades || []).filter(trade => trade.management);
+      if (managed.length === 0) {
+        return { success: true, trades_checked: 0, adjustments: [], exits: 0 };
+      }
+
+      const positions = await this.broker.getPositions();
+      const results = [];
+
+      for (const trade of managed) {
+        try {
+          results.push(await this.manageTrade(trade, positions, now));
+        } catch (err) {
+          console.error(`[TRADE_MGMT] Failed to manage trade ${trade.id}:`, err);
+          results.push({ trade_id: trade.id, actions: [], error: err.message });
+        }
+      }
+
+      const adjustments = results.flatMap(result => result.actions.map(action => ({ trade_id: result.trade_id, ...action })));
+
+      return {
+        success: true,
+        trades_checked: managed.length,
+        adjustments,
+        exits: adjustments.filter(action => action.type === 'exit').length,
+        results
+      };
+    } catch (error) {
+      console.error('[TRADE_MGMT] Trade management failed:', error);
+      return { success: false, error: error.message, adjustments: [] };
+    }
+  }
+
+  /**
+   * Walk the bars since the last tick through the stop, target, breakeven, trail and time rules
+   */
+  async manageTrade(trade, positions, now = new Date()) {
+    const state = { ...trade.management };
+    const contract = trade.option_contract || trade.symbol;
+    const result = { trade_id: trade.id, contract, actions: [] };
+
+    if (state.exit_reason) {
+      return { ...result, skipped: `Exit already submitted (${state.exit_reason})` };
+    }
+
+    const position = positions.find(p => p.symbol === contract);
+    if (!position) {
+      return { ...result, skipped: 'No open position' };
+    }
+
+    let quantity = Math.abs(parseFloat(position.qty));
+    let retryFailed = false;
+
+    // An exit whose order failed on an earlier tick is retried first, since its bar has already been walked.
+    // Outside the session a market order can't fill, so the retry waits for the open.
+    if (state.pending_exit && this.marketCalendar.isOpen(now)) {
+      const pending = state.pending_exit;
+      const partial = pending.partial && pending.quantity < quantity;
+      const reason = pending.partial && !partial ? 'take_profit' : pending.reason;
+      const action = await this.exitPosition(trade, state, partial ? pending.quantity : quantity, reason, { partial });
+      result.actions.push(action);
+
+      if (action.type === 'exit_failed') {
+        retryFailed = true;
+      } else if (partial) {
+        quantity -= pending.quantity;
+      }
+    }
+
+    const walk = !state.exit_reason && !retryFailed;
+    const { bars, newBars } = walk
+      ? await this.loadBars(trade.symbol, trade.timeframe, state.last_bar_time)
+      : { bars: [], newBars: [] };
+
+    for (const bar of newBars) {
+      state.bars_held += 1;
+      state.last_bar_time = bar.timestamp;
+
+      if (this.isStopHit(state, bar)) {
+        result.actions.push(await this.exitPosition(trade, state, quantity, this.stopReason(state)));
+        break;
+      }
+
+      if (state.scaled_out_qty === 0 && this.isTargetHit(state, bar)) {
+        const scaleQty = Math.floor(quantity * this.scaleOutFraction);
+
+        if (scaleQty >= 1 && scaleQty < quantity) {
+          const action = await this.exitPosition(trade, state, scaleQty, 'scale_out', { partial: true });
+          result.actions.push(action);
+          if (action.type === 'exit_failed') break;
+          quantity -= scaleQty;
+        } else {
+          result.actions.push(await this.exitPosition(trade, state, quantity, 'take_profit'));
+          break;
+        }
+      }
+
+      state.best_price = state.direction === 'long'
+        ? Math.max(state.best_price, bar.high)
+        : Math.min(state.best_price, bar.low);
+      const bestR = this.rMultiple(state, state.best_price);
+
+      if (!state.breakeven && bestR >= this.breakevenR) {
+        result.actions.push(this.moveStop(state, state.underlying_entry, 'breakeven'));
+        state.breakeven = true;
+      }
+
+      if (this.trailMode !== 'none' && bestR >= this.trailStartR) {
+        const distance = this.getTrailDistance(state, bars.filter(b => b.timestamp <= bar.timestamp));
+        const candidate = state.direction === 'long' ? state.best_price - distance : state.best_price + distance;
+
+        if (distance > 0 && this.improvesStop(state, candidate)) {
+          result.actions.push(this.moveStop(state, candidate, `trail_${this.trailMode}`));
+          state.trailing = true;
+        }
+      }
+
+      if (state.bars_held >= this.maxBarsWithoutProgress && bestR < this.progressR) {
+        result.actions.push(await this.exitPosition(trade, state, quantity, 'no_progress'));
+        break;
+      }
+    }
+
+    // Only while the session is open; after the close a market sell cannot fill, so the next session handles it
+    const untilClose = minutesUntilClose(now, this.marketCalendar);
+    if (!state.exit_reason && !state.pending_exit && untilClose > 0 && untilClose <= this.exitMinutesBeforeClose) {
+      result.actions.push(await this.exitPosition(trade, state, quantity, 'pre_close'));
+    }
+
+    const { error } = await this.store.updateTrade(trade.id, { management: state });
+    if (error) {
+      console.error(`[TRADE_MGMT] Failed to save management state for trade ${trade.id}:`, error);
+    }
+
+    for (const action of result.actions) {
+      await this.logAdjustment(trade, action);
+    }
+
+    return { ...result, state };
+  }
+
+  /**
+   * Trailing distance from ATR or the flag height
+   */
+  getTrailDistance(state, bars) {
+    if (this.trailMode === 'flag') {
+      return state.flag_height || 0;
+    }
+
+    const atr = this.indicators.atr(bars, this.atrPeriod);
+    return atr.length > 0 ? atr[atr.length - 1] * this.trailAtrMultiplier : 0;
+  }
+
+  moveStop(state, newStop, reason) {
+    const action = { type: 'stop_moved', reason, from: state.stop, to: newStop };
+    console.log(`[TRADE_MGMT] Stop moved ${state.stop} -> ${newStop} (${reason})`);
+    state.stop = newStop;
+    return action;
+  }
+
+  /**
+   * Cancel the bracket legs (they would hold the quantity) and sell at market
+   */
+  async exitPosition(trade, state, quantity, reason, { partial = false } = {}) {
+    const contract = trade.option_contract || trade.symbol;
+
+    try {
+      if (!state.legs_cancelled) {
+        await this.cancelExitLegs(trade);
+        state.legs_cancelled = true;
+      }
+
+      const order = await this.broker.submitOrder({
+        symbol: contract,
+        qty: quantity,
+        side: trade.side === 'sell' ? 'buy' : 'sell',
+        type: 'market',
+        time_in_force: 'day'
+      });
+
+      state.exit_order_ids = [...(state.exit_order_ids || []), order.id];
+      state.pending_exit = null;
+      if (partial) {
+        state.scaled_out_qty += quantity;
+      } else {
+        state.exit_reason = reason;
+      }
+
+      console.log(`[TRADE_MGMT] ${partial ? 'Scaled out' : 'Exited'} ${quantity} ${contract} (${reason}): ${order.id}`);
+      return { type: partial ? 'scale_out' : 'exit', reason, quantity, order_id: order.id };
+
+    } catch (error) {
+      console.error(`[TRADE_MGMT] Exit order failed for ${contract}:`, error);
+
+      // The bar that triggered it is behind last_bar_time now, so the next tick retries from this flag
+      state.pending_exit = { reason, quantity, partial };
+      return { type: 'exit_failed', reason, quantity, error: error.message };
+    }
+  }
+
+  async cancelExitLegs(trade) {
+    if (!trade.order_id) return;
+
+    const order = await this.broker.getOrder(trade.order_id);
+    const openLegs = (order.legs || []).filter(leg => OPEN_ORDER_STATUSES.includes(leg.status));
+
+    for (const leg of openLegs) {
+      try {
+        await this.broker.cancelOrder(leg.id);
+      } catch (error) {
+        console.warn(`[TRADE_MGMT] Could not cancel leg ${leg.id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Bars for ATR context plus the bars after the last managed bar
+   */
+  async loadBars(symbol, timeframe, lastBarTime) {
+    const { data, error } = await this.store.getAggregatedBars(symbol, timeframe, {
+      limit: this.atrPeriod * 4,
+      ascending: false
+    });
+
+    if (error) {
+      throw new Error(`Bar query error: ${error.message}`);
+    }
+
+    const bars = (data || []).reverse().filter(bar => bar.is_complete !== false);
+    const after = lastBarTime ? new Date(lastBarTime).getTime() : null;
+
+    return {
+      bars,
+      newBars: after ? bars.filter(bar => new Date(bar.timestamp).getTime() > after) : bars.slice(-1)
+    };
+  }
+
+  isStopHit(state, bar) {
+    return state.direction === 'long' ? bar.low <= state.stop : bar.high >= state.stop;
+  }
+
+  isTargetHit(state, bar) {
+    return state.direction === 'long' ? bar.high >= state.target : bar.low <= state.target;
+  }
+
+  improvesStop(state, candidate) {
+    return state.direction === 'long' ? candidate > state.stop : candidate < state.stop;
+  }
+
+  stopReason(state) {
+    if (state.trailing) return 'trailing_stop';
+    if (state.breakeven) return 'breakeven_stop';
+    return 'stop_loss';
+  }
+
+  /**
+   * Underlying move from entry in units of the initial risk
+   */
+  rMultiple(state, price) {
+    const risk = Math.abs(state.underlying_entry - state.initial_stop);
+    if (!risk) return 0;
+
+    const move = state.direction === 'long' ? price - state.underlying_entry : state.underlying_entry - price;
+    return move / risk;
+  }
+
+  async logAdjustment(trade, action) {
+    try {
+      await this.store.insertEvent({
+        event_type: 'TRADE_MANAGEMENT',
+        symbol: trade.symbol,
+        timeframe: trade.timeframe,
+        timestamp: new Date().toISOString(),
+        event_details: {
+          trade_id: trade.id,
+          contract: trade.option_contract,
+          ...action
+        }
+      });
+    } catch (err) {
+      console.error('[TRADE_MGMT] Failed to log adjustment:', err);
+    }
+  }
+}
+
+/**
+ * Minutes left in the day's regular session (ET, early closes included); negative after the close
+ */
+function minutesUntilClose(now, calendar) {
+  const { date, minuteOfDay } = easternParts(now);
+  const session = calendar.getSession(date);
+  return session.isTradingDay ? session.closeMinute - minuteOfDay : Infinity;
+}
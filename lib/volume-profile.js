@@ -0,0 +1,173 @@
+// lib/volume-profile.js
+// Volume profiles built from bars: each bar's volume is spread evenly across the price bins of its high-low range.
+// A profile carries the point of control (POC), the 70% value area (VAH/VAL) and high/low-volume nodes.
+// Daily profiles are stored in volume_profiles and merged into composite profiles over several days.
+
+export const VALUE_AREA_SHARE = 0.7;
+
+const NODE_COUNT = 3;          // High/low-volume nodes kept per profile
+const HVN_MULTIPLE = 1.5;      // Smoothed bin volume vs the profile average
+const LVN_MULTIPLE = 0.5;
+
+/**
+ * Bin width for a price: about 2 basis points in whole cents (10 cents at $500)
+ */
+export function profileBinSize(price) {
+  return Math.max(0.01, Math.round(price * 0.0002 * 100) / 100);
+}
+
+/**
+ * Volume profile of the bars, in snake_case like the volume_profiles row
+ * @param {Array<Object>} bars - { high, low, close, volume } (numeric strings are accepted)
+ * @param {Object} [options]
+ * @param {number} [options.binSize] - Defaults to profileBinSize of the last close
+ * @returns {Object|null} { bin_size, bins: [[binLow, volume]], poc, vah, val, high_volume_nodes, low_volume_nodes, total_volume, price_high, price_low, bar_count }
+ */
+export function buildVolumeProfile(bars, { binSize } = {}) {
+  const valid = bars
+    .map(bar => ({ high: Number(bar.high), low: Number(bar.low), close: Number(bar.close), volume: Number(bar.volume) }))
+    .filter(bar => bar.volume > 0 && bar.high >= bar.low && bar.low > 0);
+  if (valid.length === 0) return null;
+
+  const size = binSize || profileBinSize(valid[valid.length - 1].close);
+  const volumes = new Map();
+
+  for (const bar of valid) {
+    const first = binIndex(bar.low, size);
+    const last = binIndex(bar.high, size);
+    const share = bar.volume / (last - first + 1);
+
+    for (let bin = first; bin <= last; bin++) {
+      volumes.set(bin, (volumes.get(bin) || 0) + share);
+    }
+  }
+
+  return { ...summarizeProfile(volumes, size), bar_count: valid.length };
+}
+
+/**
+ * Merge stored daily profiles into one, re-binned to the widest bin size among them
+ */
+export function compositeProfile(profiles) {
+  const usable = profiles.filter(profile => profile?.bins?.length > 0);
+  if (usable.length === 0) return null;
+
+  const size = Math.max(...usable.map(profile => Number(profile.bin_size)));
+  const volumes = new Map();
+
+  for (const profile of usable) {
+    const half = Number(profile.bin_size) / 2;
+    for (const [price, volume] of profile.bins) {
+      const bin = binIndex(Number(price) + half, size);
+      volumes.set(bin, (volumes.get(bin) || 0) + Number(volume));
+    }
+  }
+
+  return {
+    ...summarizeProfile(volumes, size),
+    bar_count: usable.reduce((sum, profile) => sum + (profile.bar_count || 0), 0),
+    days: usable.map(profile => profile.trading_date).filter(Boolean)
+  };
+}
+
+/**
+ * Volume in the bin holding the price
+ */
+export function volumeAt(profile, price) {
+  const size = Number(profile.bin_size);
+  const bin = binIndex(Number(price), size);
+  const match = profile.bins.find(([low]) => binIndex(Number(low) + size / 2, size) === bin);
+  return match ? Number(match[1]) : 0;
+}
+
+/**
+ * volume_profiles row for one symbol and ET trading date
+ */
+export function toVolumeProfileRecord(symbol, tradingDate, profile, session = 'regular') {
+  return {
+    symbol,
+    trading_date: tradingDate,
+    session,
+    ...profile,
+    updated_at: new Date().toISOString()
+  };
+}
+
+function summarizeProfile(volumes, size) {
+  const indices = [...volumes.keys()];
+  const base = Math.min(...indices);
+  const count = Math.max(...indices) - base + 1;
+
+  // Contiguous bins, so the value area and the nodes can walk price
+  const bins = Array.from({ length: count }, (_, i) => volumes.get(base + i) || 0);
+  const center = i => roundPrice((base + i + 0.5) * size);
+  const total = bins.reduce((sum, volume) => sum + volume, 0);
+
+  const poc = bins.indexOf(Math.max(...bins));
+
+  // Grow the value area from the POC toward the heavier neighbouring bin
+  let low = poc;
+  let high = poc;
+  let covered = bins[poc];
+  while (covered < total * VALUE_AREA_SHARE && (low > 0 || high < count - 1)) {
+    const above = high < count - 1 ? bins[high + 1] : -1;
+    const below = low > 0 ? bins[low - 1] : -1;
+
+    if (above >= below) {
+      high++;
+      covered += above;
+    } else {
+      low--;
+      covered += below;
+    }
+  }
+
+  const nodes = findNodes(bins);
+
+  return {
+    bin_size: size,
+    bins: bins.map((volume, i) => [roundPrice((base + i) * size), Math.round(volume)]).filter(([, volume]) => volume > 0),
+    poc: center(poc),
+    vah: center(high),
+    val: center(low),
+    high_volume_nodes: nodes.high.map(center),
+    low_volume_nodes: nodes.low.map(center),
+    total_volume: Math.round(total),
+    price_high: roundPrice((base + count) * size),
+    price_low: roundPrice(base * size)
+  };
+}
+
+/**
+ * Local peaks and troughs of the 3-bin smoothed profile, well above/below the average bin
+ */
+function findNodes(bins) {
+  const smoothed = bins.map((_, i) => {
+    const window = bins.slice(Math.max(0, i - 1), i + 2);
+    return window.reduce((sum, volume) => sum + volume, 0) / window.length;
+  });
+  const average = smoothed.reduce((sum, volume) => sum + volume, 0) / smoothed.length;
+
+  const high = [];
+  const low = [];
+  for (let i = 1; i < smoothed.length - 1; i++) {
+    const volume = smoothed[i];
+    if (volume > smoothed[i - 1] && volume >= smoothed[i + 1] && volume >= average * HVN_MULTIPLE) high.push(i);
+    if (volume < smoothed[i - 1] && volume <= smoothed[i + 1] && volume <= average * LVN_MULTIPLE) low.push(i);
+  }
+
+  const strongest = (indices, order) => indices
+    .sort((a, b) => order * (smoothed[b] - smoothed[a]))
+    .slice(0, NODE_COUNT)
+    .sort((a, b) => a - b);
+
+  return { high: strongest(high, 1), low: strongest(low, -1) };
+}
+
+function binIndex(price, size) {
+  return Math.floor(price / size + 1e-9);
+}
+
+function roundPrice(value) {
+  return Math.round(value * 10000) / 10000;
+}
@@ -0,0 +1,101 @@
+// lib/watchlist.js
+// Symbols to ingest and trade, with per-symbol timeframes (default: the session schedule's), signal thresholds and position caps
+//
+// Sources, in order of precedence:
+//   1. WATCHLIST env: "QQQ,SPY,IWM" or a JSON array of symbol configs
+//   2. The `watchlist` table (symbol, enabled, timeframes, min_quality_score, min_confluence,
+//      min_pattern_quality, max_positions)
+//   3. QQQ with the default config
+
+import { resolveRepository } from './repository.js';
+import { getSessionSchedule } from './session-schedule.js';
+
+const DEFAULT_SYMBOL = 'QQQ';
+const OCC_SYMBOL = /^([A-Z]{1,6})\d{6}[CP]\d{8}$/;
+
+/**
+ * Load the enabled watchlist entries
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Repository used when WATCHLIST is not set
+ * @param {string} [options.env] - Overrides process.env.WATCHLIST
+ * @returns {Promise<Array<Object>>} Normalized symbol configs
+ */
+export async function loadWatchlist({ store, env = process.env.WATCHLIST } = {}) {
+  if (env && env.trim()) {
+    return parseWatchlist(env).filter(entry => entry.enabled);
+  }
+
+  try {
+    const { data, error } = await resolveRepository(store).getWatchlist();
+
+    if (error) {
+      console.warn('[WATCHLIST] Could not load watchlist table, using default:', error.message);
+    } else if (data && data.length > 0) {
+      return data.map(normalizeEntry).filter(entry => entry.enabled);
+    }
+  } catch (error) {
+    console.warn('[WATCHLIST] Could not load watchlist table, using default:', error.message);
+  }
+
+  return [normalizeEntry({ symbol: DEFAULT_SYMBOL })];
+}
+
+/**
+ * Parse the WATCHLIST env value (comma-separated symbols or a JSON array)
+ */
+export function parseWatchlist(value) {
+  const trimmed = value.trim();
+
+  if (trimmed.startsWith('[')) {
+    return JSON.parse(trimmed).map(entry => normalizeEntry(typeof entry === 'string' ? { symbol: entry } : entry));
+  }
+
+  return trimmed
+    .split(',')
+    .map(symbol => symbol.trim())
+    .filter(Boolean)
+    .map(symbol => normalizeEntry({ symbol }));
+}
+
+/**
+ * Accept camelCase (env JSON) or snake_case (table row) fields
+ */
+function normalizeEntry(entry) {
+  const symbol = entry.symbol.trim().toUpperCase();
+  // Without explicit timeframes a symbol trades every timeframe in its session schedule
+  const timeframes = entry.timeframes
+    ? (Array.isArray(entry.timeframes) ? entry.timeframes : String(entry.timeframes).split(','))
+    : getSessionSchedule().timeframes(symbol);
+
+  return {
+    symbol,
+    enabled: entry.enabled !== false,
+    timeframes: timeframes.map(tf => tf.trim().toLowerCase().replace('min', 'm')),
+    minQualityScore: numberOrNull(entry.minQualityScore ?? entry.min_quality_score),
+    minConfluence: numberOrNull(entry.minConfluence ?? entry.min_confluence),
+    minPatternQuality: numberOrNull(entry.minPatternQuality ?? entry.min_pattern_quality),
+    maxPositions: numberOrNull(entry.maxPositions ?? entry.max_positions)
+  };
+}
+
+/**
+ * Watchlist entries that trade the given timeframe
+ */
+export function symbolsForTimeframe(watchlist, timeframe) {
+  const tf = timeframe.toLowerCase().replace('min', 'm');
+  return watchlist.filter(entry => entry.timeframes.includes(tf));
+}
+
+/**
+ * Underlying of a stock or OCC option symbol (QQQ250321C00480000 -> QQQ)
+ */
+export function getUnderlyingSymbol(symbol) {
+  const match = OCC_SYMBOL.exec(symbol);
+  return match ? match[1] : symbol;
+}
+
+function numberOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
@@ -0,0 +1,71 @@
+// scripts/backfill-bars.js
+// Usage:
+//   node scripts/backfill-bars.js --start 2025-03-03 [--end 2025-03-07] [--symbols QQQ,SPY] \
+//     [--timeframes 2m,5m,10m] [--no-aggregate] [--out report.json]
+//   Symbols default to the watchlist. Writes to the configured PERSISTENCE_BACKEND.
+
+import { writeFile } from 'fs/promises';
+import { BarBackfill } from '../lib/bar-backfill.js';
+import { loadWatchlist } from '../lib/watchlist.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+const list = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.start) {
+    throw new Error('--start is required');
+  }
+
+  const backfill = new BarBackfill();
+  const symbols = args.symbols
+    ? list(args.symbols).map(symbol => symbol.toUpperCase())
+    : (await loadWatchlist({ store: backfill.store })).map(entry => entry.symbol);
+
+  const result = await backfill.backfill({
+    symbols,
+    start: args.start,
+    end: args.end,
+    timeframes: args.timeframes ? list(args.timeframes) : undefined,
+    aggregate: !args['no-aggregate']
+  });
+
+  console.table(Object.fromEntries(Object.entries(result.results).map(([symbol, r]) => [symbol, {
+    stored: r.stored,
+    missing_minutes: r.missing_minutes,
+    gaps: r.gaps?.length,
+    empty_sessions: r.empty_sessions?.join(' '),
+    error: r.error
+  }])));
+
+  if (args.out) {
+    await writeFile(args.out, JSON.stringify(result, null, 2));
+    console.log(`Report written to ${args.out}`);
+  }
+
+  if (!result.success) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('Backfill failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,70 @@
+// scripts/backtest.js
+// Usage:
+//   node scripts/backtest.js --symbol QQQ --timeframe 5m --start 2025-01-02 --end 2025-03-31 \
+//     --source file --file ./data/qqq-5m.csv [--equity 100000] [--risk 0.01] [--out results.json]
+//   --source aggregated_bars | minute_bars reads from the configured PERSISTENCE_BACKEND (Supabase by default)
+
+import { writeFile } from 'fs/promises';
+import { loadBars } from '../lib/bar-source.js';
+import { BacktestEngine } from '../lib/backtest-engine.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const source = args.source || (args.file ? 'file' : 'aggregated_bars');
+  const symbol = args.symbol || 'QQQ';
+  const timeframe = args.timeframe || '5m';
+
+  const bars = await loadBars({
+    source,
+    symbol,
+    timeframe,
+    start: args.start,
+    end: args.end,
+    file: args.file
+  });
+
+  if (bars.length === 0) {
+    throw new Error(`No bars found for ${symbol} ${timeframe} in the requested range`);
+  }
+
+  const engine = new BacktestEngine({
+    initialEquity: args.equity ? parseFloat(args.equity) : undefined,
+    riskPerTrade: args.risk ? parseFloat(args.risk) : undefined,
+    minQualityScore: args['min-quality'] ? parseFloat(args['min-quality']) : undefined,
+    minConfluence: args['min-confluence'] ? parseInt(args['min-confluence']) : undefined,
+    slippagePct: args.slippage ? parseFloat(args.slippage) : undefined,
+    commissionPerTrade: args.commission ? parseFloat(args.commission) : undefined
+  });
+
+  const result = await engine.run(bars, { symbol, timeframe });
+
+  console.table(result.stats);
+
+  if (args.out) {
+    await writeFile(args.out, JSON.stringify(result, null, 2));
+    console.log(`Results written to ${args.out}`);
+  }
+}
+
+main().catch(error => {
+  console.error('Backtest failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,67 @@
+// scripts/calibrate-volume.js
+// Usage:
+//   node scripts/calibrate-volume.js [--symbols QQQ,SPY] [--start 2025-03-03T14:30:00Z] [--end 2025-03-07T21:00:00Z]
+//   Compares IEX and SIP minute volume over the same regular-session minutes (default: the last 7 days,
+//   ending 20 minutes ago for SIP's delay) and prints the IEX_VOLUME_FACTORS value to configure.
+
+import { AlpacaClient } from '../lib/alpaca-client.js';
+import { calibrateVolumeFactors } from '../lib/data-feed.js';
+import { getMarketCalendar } from '../lib/market-calendar.js';
+import { loadWatchlist } from '../lib/watchlist.js';
+
+const SIP_DELAY_MS = 20 * 60 * 1000;
+const DEFAULT_DAYS = 7;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+const list = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const alpaca = new AlpacaClient();
+
+  const end = args.end ? new Date(args.end) : new Date(Date.now() - SIP_DELAY_MS);
+  const start = args.start ? new Date(args.start) : new Date(end.getTime() - DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+  const symbols = args.symbols
+    ? list(args.symbols).map(symbol => symbol.toUpperCase())
+    : (await loadWatchlist({ store: alpaca.store })).map(entry => entry.symbol);
+
+  console.log(`[CALIBRATE] Comparing IEX and SIP volume for ${symbols.join(', ')} from ${start.toISOString()} to ${end.toISOString()}`);
+
+  const results = await calibrateVolumeFactors({
+    alpaca,
+    symbols,
+    start: start.toISOString(),
+    end: end.toISOString(),
+    calendar: getMarketCalendar()
+  });
+
+  console.table(results);
+
+  const factors = Object.fromEntries(Object.entries(results)
+    .filter(([, result]) => result.factor)
+    .map(([symbol, result]) => [symbol, result.factor]));
+
+  console.log(`IEX_VOLUME_FACTORS='${JSON.stringify(factors)}'`);
+}
+
+main().catch(error => {
+  console.error('Calibration failed:', error.message);
+  process.exit(1);
+});
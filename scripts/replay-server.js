@@ -0,0 +1,49 @@
+// scripts/replay-server.js
+// Usage:
+//   node scripts/replay-server.js --file ./data/qqq-1m.csv [--symbol QQQ] [--port 8765] [--interval 100] [--keep-open]
+//   Streams the recorded minute bars to every subscriber using the Alpaca market data protocol.
+
+import { ReplayServer } from '../lib/replay-server.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file) {
+    throw new Error('--file is required');
+  }
+
+  const server = await ReplayServer.fromFile(args.file, (args.symbol || 'QQQ').toUpperCase(), {
+    port: args.port ? parseInt(args.port) : undefined,
+    intervalMs: args.interval ? parseInt(args.interval) : undefined,
+    closeOnEnd: !args['keep-open']
+  });
+
+  await server.start();
+
+  process.on('SIGINT', async () => {
+    await server.stop();
+    process.exit(0);
+  });
+}
+
+main().catch(error => {
+  console.error('Replay server failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,55 @@
+// scripts/stream-worker.js
+// Usage:
+//   node scripts/stream-worker.js [--url wss://stream.data.alpaca.markets/v2/iex] [--no-strategy]
+//   node scripts/stream-worker.js --url ws://localhost:8765 --replay
+//   --replay skips market-hours checks and gap repair, and exits when the replay server closes.
+
+import { IngestionWorker } from '../lib/ingestion-worker.js';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const replay = Boolean(args.replay);
+
+  const worker = new IngestionWorker({
+    runStrategy: !args['no-strategy'],
+    skipMarketCheck: replay
+  });
+
+  await worker.start({ url: args.url, reconnect: !replay });
+
+  process.on('SIGINT', async () => {
+    await worker.stop();
+    console.log('[WORKER] Stopped:', worker.stats);
+    process.exit(0);
+  });
+
+  if (replay) {
+    worker.stream.socket.on('close', async () => {
+      await worker.queue;
+      console.log('[WORKER] Replay finished:', worker.stats);
+    });
+  }
+}
+
+main().catch(error => {
+  console.error('Stream worker failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,82 @@
+// test/bar-validator.test.js
+// Spike quarantine: a single bad print stays quarantined, a real level shift is accepted once the next bar confirms it.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { BarValidator } from '../lib/bar-validator.js';
+import { MemoryRepository } from '../lib/memory-repository.js';
+
+const START = Date.parse('2025-03-10T14:00:00Z');
+
+function bar(minute, close) {
+  return {
+    symbol: 'QQQ',
+    timestamp: new Date(START + minute * 60 * 1000).toISOString(),
+    open: close,
+    high: close + 0.05,
+    low: close - 0.05,
+    close,
+    volume: 1000
+  };
+}
+
+async function setup() {
+  const store = new MemoryRepository();
+  await store.upsertMinuteBars(Array.from({ length: 20 }, (_, i) => bar(i, 100 + (i % 2) * 0.02)));
+  return { store, validator: new BarValidator({ store }) };
+}
+
+/**
+ * Validate one bar per call like the stream, storing what is accepted; returns 'A'/'Q' per bar
+ */
+async function stream(store, validator, bars) {
+  let outcome = '';
+  let released = [];
+
+  for (const record of bars) {
+    const result = await validator.validate([record], { source: 'stream' });
+    if (result.accepted.length > 0) await store.upsertMinuteBars(result.accepted);
+
+    outcome += result.quarantined.length > 0 ? 'Q' : 'A';
+    released = [...released, ...result.released];
+  }
+
+  return { outcome, released };
+}
+
+describe('BarValidator spikes', () => {
+  test('quarantines a single bad print and accepts the bars after it', async () => {
+    const { store, validator } = await setup();
+
+    const { outcome, released } = await stream(store, validator, [bar(20, 105), bar(21, 100.01), bar(22, 100.02)]);
+
+    assert.equal(outcome, 'QAA');
+    assert.equal(released.length, 0);
+    assert.equal(store.table('quarantined_bars').length, 1);
+    assert.equal((await store.getMinuteBars('QQQ', { after: bar(19, 0).timestamp })).data.length, 2);
+  });
+
+  test('accepts a real level shift once the next bar confirms it', async () => {
+    const { store, validator } = await setup();
+    const shifted = Array.from({ length: 20 }, (_, i) => bar(20 + i, 103 + (i % 2) * 0.02));
+
+    const { outcome, released } = await stream(store, validator, shifted);
+
+    assert.equal(outcome, 'Q' + 'A'.repeat(19));
+    assert.deepEqual(released.map(record => record.timestamp), [shifted[0].timestamp]);
+    assert.equal((await store.getMinuteBars('QQQ', { after: bar(19, 0).timestamp })).data.length, 20);
+    assert.ok(store.table('system_events').some(event => event.event_type === 'BAR_RELEASED'));
+  });
+
+  test('accepts a level shift within one backfill batch without quarantining it', async () => {
+    const { store, validator } = await setup();
+    const shifted = Array.from({ length: 5 }, (_, i) => bar(20 + i, 103));
+
+    const result = await validator.validate(shifted, { source: 'backfill', checkOrder: false });
+
+    assert.equal(result.accepted.length, 5);
+    assert.equal(result.quarantined.length, 0);
+    assert.equal(result.released.length, 1);
+    assert.equal(store.table('quarantined_bars').length, 0);
+  });
+});
@@ -0,0 +1,38 @@
+// test/data-feed.test.js
+// IEX_VOLUME_FACTORS parsing: valid values scale IEX volume, malformed ones fall back to raw volume without throwing.
+
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeVolume, volumeFactor } from '../lib/data-feed.js';
+
+describe('volumeFactor', () => {
+  afterEach(() => {
+    delete process.env.IEX_VOLUME_FACTORS;
+  });
+
+  test('reads one factor or a per-symbol JSON map', () => {
+    process.env.IEX_VOLUME_FACTORS = '40';
+    assert.equal(volumeFactor('QQQ', 'iex'), 40);
+
+    process.env.IEX_VOLUME_FACTORS = '{"qqq": 38.2, "*": 40}';
+    assert.equal(volumeFactor('QQQ', 'iex'), 38.2);
+    assert.equal(volumeFactor('SPY', 'iex'), 40);
+    assert.equal(volumeFactor('QQQ', 'sip'), 1);
+  });
+
+  test('falls back to 1 for malformed JSON instead of throwing', () => {
+    process.env.IEX_VOLUME_FACTORS = '{"QQQ": 38.2,';
+    assert.equal(volumeFactor('QQQ', 'iex'), 1);
+    assert.equal(normalizeVolume(1000, 'QQQ', 'iex'), 1000);
+  });
+
+  test('ignores factors that are not finite and positive', () => {
+    process.env.IEX_VOLUME_FACTORS = '{"QQQ": -3, "SPY": "abc", "IWM": null, "DIA": 0, "*": 25}';
+    for (const symbol of ['QQQ', 'SPY', 'IWM', 'DIA']) {
+      assert.equal(volumeFactor(symbol, 'iex'), 25);
+    }
+
+    process.env.IEX_VOLUME_FACTORS = 'Infinity';
+    assert.equal(volumeFactor('QQQ', 'iex'), 1);
+  });
+});
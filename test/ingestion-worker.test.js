@@ -0,0 +1,66 @@
+// test/ingestion-worker.test.js
+// Bucket closes in the streaming worker, including buckets whose last minute never arrives (no trades on IEX).
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { IngestionWorker } from '../lib/ingestion-worker.js';
+import { MemoryRepository } from '../lib/memory-repository.js';
+import { SimulatedBroker } from '../lib/simulated-broker.js';
+
+const START = Date.parse('2025-03-10T14:00:00Z');  // 10:00 ET
+
+function alpacaBar(minute) {
+  const price = 100 + minute * 0.01;
+  return {
+    t: new Date(START + minute * 60 * 1000).toISOString(),
+    o: price, h: price + 0.05, l: price - 0.05, c: price,
+    v: 1000, n: 10, vw: price
+  };
+}
+
+function createWorker() {
+  const store = new MemoryRepository();
+  const worker = new IngestionWorker({
+    store,
+    broker: new SimulatedBroker({}),
+    watchlist: [{ symbol: 'QQQ', timeframes: ['5m'] }],
+    runStrategy: false,
+    skipMarketCheck: true
+  });
+  return { store, worker };
+}
+
+async function replay(worker, minutes) {
+  const closes = {};
+  for (const minute of minutes) {
+    const result = await worker.handleBar('QQQ', alpacaBar(minute));
+    closes[minute] = result.closed;
+  }
+  return closes;
+}
+
+describe('IngestionWorker bucket closes', () => {
+  test('closes a bucket on its last minute', async () => {
+    const { store, worker } = createWorker();
+
+    const closes = await replay(worker, [0, 1, 2, 3, 4, 5]);
+
+    assert.deepEqual(closes[4], ['5m']);
+    assert.deepEqual(closes[5], []);
+    assert.equal(store.table('aggregated_bars').find(row => row.timestamp === alpacaBar(0).t).is_complete, true);
+  });
+
+  test('closes a bucket missing its last minute when the next bucket starts', async () => {
+    const { store, worker } = createWorker();
+
+    const closes = await replay(worker, [0, 1, 2, 3, 5, 6]);
+
+    assert.deepEqual(closes[3], []);
+    assert.deepEqual(closes[5], ['5m']);
+    assert.deepEqual(closes[6], []);
+
+    const bucket = store.table('aggregated_bars').find(row => row.timestamp === alpacaBar(0).t);
+    assert.equal(bucket.bar_count, 4);
+    assert.equal(bucket.is_complete, true);
+  });
+});
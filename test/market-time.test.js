@@ -0,0 +1,78 @@
+// test/market-time.test.js
+// ET <-> UTC conversions and 9:30-anchored buckets across the 2025 DST switches.
+// Runs under a non-UTC host time zone so nothing depends on the machine's clock settings.
+
+process.env.TZ = process.env.TZ && process.env.TZ !== 'UTC' ? process.env.TZ : 'Asia/Tokyo';
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { bucketStart, easternTimeToUtc, easternParts, easternOffsetMinutes } from '../lib/market-time.js';
+
+const OPEN = 9 * 60 + 30;
+const CLOSE = 16 * 60;
+
+// Trading days on either side of each switch: EST (-5) vs EDT (-4)
+const DST_DAYS = [
+  { day: '2025-03-07', offset: -300, open: '2025-03-07T14:30:00.000Z', close: '2025-03-07T21:00:00.000Z' },
+  { day: '2025-03-10', offset: -240, open: '2025-03-10T13:30:00.000Z', close: '2025-03-10T20:00:00.000Z' },
+  { day: '2025-10-31', offset: -240, open: '2025-10-31T13:30:00.000Z', close: '2025-10-31T20:00:00.000Z' },
+  { day: '2025-11-03', offset: -300, open: '2025-11-03T14:30:00.000Z', close: '2025-11-03T21:00:00.000Z' }
+];
+
+const iso = (day, minuteOfDay) => easternTimeToUtc(day, minuteOfDay).toISOString();
+
+describe('host time zone', () => {
+  test('is not UTC', () => {
+    assert.notEqual(new Date('2025-03-10T12:00:00Z').getTimezoneOffset(), 0);
+  });
+});
+
+describe('easternTimeToUtc', () => {
+  for (const { day, offset, open, close } of DST_DAYS) {
+    test(`converts the open and 16:00 on ${day}`, () => {
+      assert.equal(iso(day, OPEN), open);
+      assert.equal(iso(day, CLOSE), close);
+      assert.equal(easternOffsetMinutes(open), offset);
+    });
+  }
+});
+
+describe('easternParts', () => {
+  for (const { day, open, close } of DST_DAYS) {
+    test(`reads the open and 16:00 back on ${day}`, () => {
+      assert.deepEqual(pick(easternParts(open)), { date: day, hour: 9, minute: 30, minuteOfDay: OPEN });
+      assert.deepEqual(pick(easternParts(close)), { date: day, hour: 16, minute: 0, minuteOfDay: CLOSE });
+    });
+  }
+
+  test('keeps the ET date after midnight UTC', () => {
+    assert.equal(easternParts('2025-11-04T02:30:00Z').date, '2025-11-03');
+    assert.equal(easternParts('2025-03-11T01:30:00Z').date, '2025-03-10');
+  });
+});
+
+describe('bucketStart', () => {
+  for (const { day } of DST_DAYS) {
+    test(`anchors 2m, 5m and 10m buckets to 9:30 on ${day}`, () => {
+      assert.equal(bucketStart(iso(day, OPEN), 2).toISOString(), iso(day, OPEN));
+      assert.equal(bucketStart(iso(day, OPEN + 1), 2).toISOString(), iso(day, OPEN));
+      assert.equal(bucketStart(iso(day, OPEN + 3), 2).toISOString(), iso(day, OPEN + 2));
+
+      assert.equal(bucketStart(iso(day, 10 * 60 + 3), 5).toISOString(), iso(day, 10 * 60));
+      assert.equal(bucketStart(iso(day, 10 * 60 + 7), 5).toISOString(), iso(day, 10 * 60 + 5));
+
+      assert.equal(bucketStart(iso(day, OPEN + 15), 10).toISOString(), iso(day, OPEN + 10));
+      assert.equal(bucketStart(iso(day, 10 * 60 + 9), 10).toISOString(), iso(day, 10 * 60));
+    });
+
+    test(`puts the last minute before 16:00 in the closing bucket on ${day}`, () => {
+      assert.equal(bucketStart(iso(day, CLOSE - 1), 5).toISOString(), iso(day, CLOSE - 5));
+      assert.equal(bucketStart(iso(day, CLOSE - 1), 10).toISOString(), iso(day, CLOSE - 10));
+      assert.equal(bucketStart(iso(day, CLOSE), 5).toISOString(), iso(day, CLOSE));
+    });
+  }
+});
+
+function pick({ date, hour, minute, minuteOfDay }) {
+  return { date, hour, minute, minuteOfDay };
+}
@@ -0,0 +1,39 @@
+// test/session-schedule.test.js
+// The aggregation filter at the close: the last 10m bucket is 15:50-15:59 and the closing print is left out.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { getSessionSchedule } from '../lib/session-schedule.js';
+import { BarAggregator } from '../lib/bar-aggregator.js';
+import { MemoryRepository } from '../lib/memory-repository.js';
+import { easternTimeToUtc } from '../lib/market-time.js';
+
+const schedule = getSessionSchedule();
+const at = (day, hour, minute) => easternTimeToUtc(day, hour * 60 + minute).toISOString();
+
+describe('SessionSchedule.includesMinute', () => {
+  test('ends the close window before 16:00', () => {
+    assert.equal(schedule.includesMinute(at('2025-03-10', 15, 59), '10m'), true);
+    assert.equal(schedule.includesMinute(at('2025-03-10', 16, 0), '10m'), false);
+  });
+
+  test('ends the close window before 13:00 on an early close', () => {
+    assert.equal(schedule.includesMinute(at('2025-11-28', 12, 59), '10m'), true);
+    assert.equal(schedule.includesMinute(at('2025-11-28', 13, 0), '10m'), false);
+  });
+
+  test('leaves the closing print out of timeframes the schedule does not use', () => {
+    assert.equal(schedule.includesMinute(at('2025-03-10', 15, 59), '15m'), true);
+    assert.equal(schedule.includesMinute(at('2025-03-10', 16, 0), '15m'), false);
+  });
+});
+
+describe('BarAggregator.expectedBarCount', () => {
+  const aggregator = new BarAggregator(new MemoryRepository(), schedule);
+  const bucket = (hour, minute) => ({ symbol: 'QQQ', firstMinute: new Date(at('2025-03-10', hour, minute)), timeframeMinutes: 10 });
+
+  test('expects ten minutes in the last 10m bucket and none at 16:00', () => {
+    assert.equal(aggregator.expectedBarCount(bucket(15, 50), '10m'), 10);
+    assert.equal(aggregator.expectedBarCount(bucket(16, 0), '10m'), 0);
+  });
+});
@@ -0,0 +1,102 @@
+// test/trade-manager.test.js
+// A stop hit whose exit order fails is kept as pending_exit and retried on the next tick, even after price recovers.
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { TradeManager, createManagementState } from '../lib/trade-manager.js';
+import { MemoryRepository } from '../lib/memory-repository.js';
+import { SimulatedBroker } from '../lib/simulated-broker.js';
+
+const CONTRACT = 'QQQ251121C00400000';
+const START = Date.parse('2025-03-03T15:00:00Z');  // 10:00 ET
+const OPEN_TICK = new Date('2025-03-03T16:00:00Z');
+const CLOSED_TICK = new Date('2025-03-03T22:00:00Z');
+
+function bar(index, low, close) {
+  return {
+    symbol: 'QQQ',
+    timeframe: '5m',
+    timestamp: new Date(START + index * 5 * 60 * 1000).toISOString(),
+    open: close,
+    high: close + 0.1,
+    low,
+    close,
+    volume: 1000
+  };
+}
+
+async function setup() {
+  const store = new MemoryRepository();
+  const broker = new SimulatedBroker({});
+  await store.upsertAggregatedBars(Array.from({ length: 20 }, (_, i) => bar(i - 20, 99.7, 100)));
+
+  broker.setQuote(CONTRACT, { bid: 4.9, ask: 5.0, timestamp: new Date(START).toISOString() });
+  const entry = await broker.submitOrder({
+    symbol: CONTRACT, qty: 4, side: 'buy', type: 'limit', limit_price: 5.05, time_in_force: 'day',
+    order_class: 'bracket', take_profit: { limit_price: 9 }, stop_loss: { stop_price: 3, limit_price: 2.9 }
+  });
+
+  const management = createManagementState(
+    { flag_high: 100.4, flag_low: 99.8 },
+    { direction: 'up', currentPrice: 100 },
+    { stopLoss: 99, takeProfit: 102, entryTime: new Date(START - 5 * 60 * 1000).toISOString() }
+  );
+  const { data: [trade] } = await store.insertTrade({
+    timestamp: new Date(START).toISOString(), symbol: 'QQQ', timeframe: '5m', option_contract: CONTRACT,
+    side: 'buy', quantity: 4, price: 5.05, order_id: entry.id, status: 'open', management
+  });
+
+  return { store, broker, trade, manager: new TradeManager({ store, broker }) };
+}
+
+/**
+ * Make the broker reject the next exit order
+ */
+function failNextOrder(broker) {
+  const submitOrder = broker.submitOrder.bind(broker);
+  broker.submitOrder = async () => {
+    broker.submitOrder = submitOrder;
+    throw new Error('broker unavailable');
+  };
+}
+
+async function managementState(store, trade) {
+  return store.table('trades').find(row => row.id === trade.id).management;
+}
+
+describe('TradeManager failed exits', () => {
+  test('retries a failed stop exit on the next tick after price recovers', async () => {
+    const { store, broker, trade, manager } = await setup();
+
+    await store.upsertAggregatedBars([bar(0, 98.8, 99.2)]);
+    failNextOrder(broker);
+    const first = await manager.manageOpenTrades(OPEN_TICK);
+
+    assert.deepEqual(first.adjustments.map(a => [a.type, a.reason]), [['exit_failed', 'stop_loss']]);
+    const pending = await managementState(store, trade);
+    assert.equal(pending.last_bar_time, bar(0).timestamp);
+    assert.equal(pending.exit_reason, null);
+    assert.deepEqual(pending.pending_exit, { reason: 'stop_loss', quantity: 4, partial: false });
+
+    await store.upsertAggregatedBars([bar(1, 99.9, 100.3)]);
+    const second = await manager.manageOpenTrades(OPEN_TICK);
+
+    assert.deepEqual(second.adjustments.map(a => [a.type, a.reason, a.quantity]), [['exit', 'stop_loss', 4]]);
+    const exited = await managementState(store, trade);
+    assert.equal(exited.exit_reason, 'stop_loss');
+    assert.equal(exited.pending_exit, null);
+  });
+
+  test('holds the retry while the market is closed', async () => {
+    const { store, broker, trade, manager } = await setup();
+
+    await store.upsertAggregatedBars([bar(0, 98.8, 99.2)]);
+    failNextOrder(broker);
+    await manager.manageOpenTrades(OPEN_TICK);
+
+    const closed = await manager.manageOpenTrades(CLOSED_TICK);
+
+    assert.equal(closed.exits, 0);
+    assert.equal((await managementState(store, trade)).pending_exit.reason, 'stop_loss');
+  });
+});